@@ -0,0 +1,3268 @@
+/**
+ * Calorie calculator core: units, validation, BMR equations, TDEE, goals
+ * and planners, plus the CSV and JSON data format and launch URLs. It has
+ * no DOM or storage access, so the PWA, the tdee command-line tool and
+ * tests share it.
+ *
+ * Inputs are raw form data ({ age, gender, height, weight, ... } as typed)
+ * in explicit units ({ weight: 'kg' | 'lb' | 'st', height: 'cm' | 'ft',
+ * energy: 'kcal' | 'kJ' }). Results are plain objects in kg, cm and kcal.
+ */
+
+// ===== UTILITY FUNCTIONS =====
+export const Utils = {
+    /**
+     * Convert pounds to kilograms
+     */
+    lbsToKg: (lbs) => lbs * 0.453592,
+    
+    /**
+     * Convert kilograms to pounds
+     */
+    kgToLbs: (kg) => kg * 2.204623,
+    
+    /**
+     * Convert feet and inches to centimeters
+     */
+    feetInchesToCm: (feet, inches) => (feet * 12 + inches) * 2.54,
+    
+    /**
+     * Convert inches to centimeters
+     */
+    inchesToCm: (inches) => inches * 2.54,
+    
+    /**
+     * Convert centimeters to feet and inches
+     */
+    cmToFeetInches: (cm) => {
+        // Round first so 182.8 cm becomes 6 ft 0 in rather than 5 ft 12 in
+        const totalInches = Math.round(cm / 2.54);
+        const feet = Math.floor(totalInches / 12);
+        const inches = totalInches % 12;
+        return { feet, inches };
+    },
+    
+    /**
+     * Local calendar date as YYYY-MM-DD
+     */
+    toDateKey: (date = new Date()) => {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+    
+    /**
+     * Whole days between two YYYY-MM-DD dates
+     */
+    daysBetween: (fromKey, toKey) => {
+        const toUTC = (key) => {
+            const [year, month, day] = key.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(toKey) - toUTC(fromKey)) / 86400000);
+    },
+    
+    /**
+     * Format number for display
+     */
+    formatNumber: (num, decimals = 0) => {
+        return new Intl.NumberFormat(I18n.locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(num);
+    }
+};
+
+// ===== LOCALIZATION =====
+// Messages are keyed by their English text, so without a catalog everything
+// reads in English. The PWA loads catalogs and sets the locale.
+export const I18n = {
+    SOURCE_LANGUAGE: 'en',
+    
+    locale: 'en-US',
+    language: 'en',
+    catalogs: { en: {} },
+    separators: { decimal: '.', group: ',' },
+    
+    languageOf: (locale) => String(locale).split('-')[0].toLowerCase(),
+    
+    /**
+     * Translate an English message, filling {placeholders} from params
+     */
+    t: (message, params = {}) => {
+        const catalog = I18n.catalogs[I18n.language] || {};
+        const translated = Object.prototype.hasOwnProperty.call(catalog, message) ? catalog[message] : message;
+        return I18n.format(typeof translated === 'string' ? translated : translated.other, params);
+    },
+    
+    /**
+     * Translate a message that depends on a count. Catalogs key the locale's
+     * plural forms (zero, one, two, few, many, other) by the English plural.
+     */
+    tn: (one, other, count, params = {}) => {
+        const category = new Intl.PluralRules(I18n.locale).select(count);
+        const forms = (I18n.catalogs[I18n.language] || {})[other];
+        let message = category === 'one' ? one : other;
+        if (forms && typeof forms === 'object') {
+            message = forms[category] || forms.other;
+        } else if (typeof forms === 'string') {
+            message = forms;
+        }
+        return I18n.format(message, { count: Utils.formatNumber(count), ...params });
+    },
+    
+    format: (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => (
+        Object.prototype.hasOwnProperty.call(params, name) ? params[name] : match
+    )),
+    
+    /**
+     * Read a number typed in any supported locale: "70,5", "70.5", "1.234,5",
+     * "1,234.5" or Arabic-Indic digits. Returns NaN when it is not a number.
+     */
+    parseNumber: (value) => {
+        if (typeof value === 'number') {
+            return value;
+        }
+        let text = String(value ?? '').trim()
+            .replace(/[٠-٩]/g, digit => digit.charCodeAt(0) - 0x0660)
+            .replace(/[۰-۹]/g, digit => digit.charCodeAt(0) - 0x06F0)
+            .replace(/٫/g, '.')
+            .replace(/[\s٬']/g, '');
+        if (!/^[-+]?(\d|[.,]\d)[\d.,]*$/.test(text)) {
+            return NaN;
+        }
+        
+        const marks = ['.', ','].filter(mark => text.includes(mark));
+        if (marks.length === 2) {
+            // Both are used: the last one is the decimal separator
+            const decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+            text = text.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.');
+        } else if (marks.length === 1) {
+            // One mark is a decimal separator unless it repeats or is this
+            // locale's thousands separator before exactly three digits
+            const [mark] = marks;
+            const grouping = text.split(mark).length > 2
+                || (mark === I18n.separators.group && /^[-+]?\d{1,3}[.,]\d{3}$/.test(text));
+            text = grouping ? text.split(mark).join('') : text.replace(mark, '.');
+        }
+        return Number(text);
+    },
+    
+    /**
+     * A typed number as a plain "70.5" string for storage and validation.
+     * Text that is not a number reads as empty, as in a number input.
+     */
+    normalizeNumber: (value) => {
+        const number = I18n.parseNumber(value);
+        return isNaN(number) ? '' : String(number);
+    },
+    
+    /**
+     * Show a stored "70.5" value in an input with the locale's decimal separator
+     */
+    formatInput: (value) => {
+        if (value === null || value === undefined || value === '' || isNaN(Number(value))) {
+            return value ?? '';
+        }
+        return String(value).replace('.', I18n.separators.decimal);
+    }
+};
+
+// ===== UNITS =====
+export const Units = {
+    // Unit choices per quantity, with their labels
+    OPTIONS: {
+        weight: { kg: 'kg', lb: 'lb', st: 'st + lb' },
+        height: { cm: 'cm', ft: 'ft + in' },
+        energy: { kcal: 'kcal', kJ: 'kJ' }
+    },
+    
+    DEFAULTS: { weight: 'kg', height: 'cm', energy: 'kcal' },
+    IMPERIAL: { weight: 'lb', height: 'ft', energy: 'kcal' },
+    
+    KJ_PER_KCAL: 4.184,
+    LBS_PER_STONE: 14,
+    
+    /**
+     * Complete a units object, replacing missing or unknown choices with defaults
+     */
+    normalize: (units = {}) => {
+        return Object.fromEntries(Object.entries(Units.DEFAULTS).map(([quantity, fallback]) => {
+            const unit = units && units[quantity];
+            return [quantity, Object.prototype.hasOwnProperty.call(Units.OPTIONS[quantity], unit) ? unit : fallback];
+        }));
+    },
+    
+    /**
+     * Units of a saved entry or import row. Older entries only stored a
+     * metric/imperial flag.
+     */
+    ofEntry: (entry) => {
+        if (entry.units) {
+            return Units.normalize(entry.units);
+        }
+        return { ...(entry.isMetric === false ? Units.IMPERIAL : Units.DEFAULTS) };
+    },
+    
+    isMetric: (units) => units.weight === 'kg' && units.height === 'cm',
+    
+    /**
+     * Convert an entered weight (stones take the extra pounds separately) to kg
+     */
+    weightToKg: (value, unit, pounds = 0) => {
+        if (unit === 'kg') {
+            return value;
+        }
+        const lbs = unit === 'st' ? value * Units.LBS_PER_STONE + (pounds || 0) : value;
+        return Utils.lbsToKg(lbs);
+    },
+    
+    /**
+     * Split pounds into whole stones and remaining pounds, rounding the
+     * pounds first so 13.96 lb becomes 1 st 0 lb rather than 0 st 14 lb
+     */
+    toStones: (lbs, decimals = 1) => {
+        const total = Math.round(lbs * 10 ** decimals) / 10 ** decimals;
+        const stones = Math.floor(total / Units.LBS_PER_STONE);
+        const pounds = Math.round((total - stones * Units.LBS_PER_STONE) * 10 ** decimals) / 10 ** decimals;
+        return { stones, pounds };
+    },
+    
+    /**
+     * Express a weight in kg as entered values: { weight, weightPounds }
+     */
+    weightFromKg: (kg, unit, decimals = 1) => {
+        const round = (number) => String(Math.round(number * 10 ** decimals) / 10 ** decimals);
+        if (unit === 'kg') {
+            return { weight: round(kg), weightPounds: '' };
+        }
+        if (unit === 'st') {
+            const { stones, pounds } = Units.toStones(Utils.kgToLbs(kg), decimals);
+            return { weight: String(stones), weightPounds: String(pounds) };
+        }
+        return { weight: round(Utils.kgToLbs(kg)), weightPounds: '' };
+    },
+    
+    toKcal: (value, unit) => (unit === 'kJ' ? value / Units.KJ_PER_KCAL : value),
+    
+    fromKcal: (kcal, unit) => (unit === 'kJ' ? kcal * Units.KJ_PER_KCAL : kcal),
+    
+    /**
+     * Convert raw form values from one set of units to another. Empty
+     * fields stay empty.
+     */
+    convertFormData: (data, from, to) => {
+        const converted = { ...data };
+        const number = (value) => (value === null || value === undefined || value === '' ? NaN : parseFloat(value));
+        const round = (value, decimals = 1) => String(Math.round(value * 10 ** decimals) / 10 ** decimals);
+        
+        const weight = number(data.weight);
+        if (from.weight !== to.weight && !isNaN(weight)) {
+            const kg = Units.weightToKg(weight, from.weight, number(data.weightPounds) || 0);
+            Object.assign(converted, Units.weightFromKg(kg, to.weight));
+        }
+        
+        if (from.height !== to.height) {
+            if (to.height === 'cm' && !isNaN(number(data.heightFeet))) {
+                converted.height = round(Utils.feetInchesToCm(number(data.heightFeet), number(data.heightInches) || 0));
+                converted.heightFeet = '';
+                converted.heightInches = '';
+            } else if (to.height === 'ft' && !isNaN(number(data.height))) {
+                const { feet, inches } = Utils.cmToFeetInches(number(data.height));
+                converted.heightFeet = String(feet);
+                converted.heightInches = String(inches);
+                converted.height = '';
+            }
+            // Tape measurements follow the height unit
+            ['neck', 'waist', 'hip'].forEach(name => {
+                const value = number(data[name]);
+                if (!isNaN(value)) {
+                    converted[name] = round(to.height === 'cm' ? Utils.inchesToCm(value) : value / 2.54);
+                }
+            });
+        }
+        return converted;
+    }
+};
+
+// ===== VALIDATION FUNCTIONS =====
+// Validators return an issue ({ code, severity, params }) or null. Errors
+// block the calculation; warnings only ask the user to double-check.
+export const Validation = {
+    /**
+     * Message for every issue code. Placeholders are filled from the
+     * issue's params by describe().
+     */
+    MESSAGES: {
+        'not-a-number': 'Please enter a number',
+        'invalid-option': 'Please select a valid option',
+        'age-required': 'Age is required',
+        'age-range': 'Age must be between 1 and 105 years',
+        'gender-required': 'Please select your gender',
+        'gender-invalid': 'Please select a valid gender',
+        'height-required': 'Height is required',
+        'height-range': 'Height must be between 50 and 300 cm',
+        'feet-required': 'Feet is required',
+        'inches-required': 'Inches is required',
+        'feet-range': 'Feet must be between 1 and 9',
+        'inches-range': 'Inches must be between 0 and 11',
+        'weight-required': '{label} is required',
+        'weight-range-kg': '{label} must be between 5 and 500 kg',
+        'weight-range-lb': '{label} must be between 11 and 1100 lbs',
+        'weight-range-st': '{label} must be between 0 st 11 lb and 78 st 8 lb',
+        'pounds-range': 'Pounds must be between 0 and 13.9',
+        'activity-required': 'Please select your activity level',
+        'activity-range': 'Activity multiplier must be between {min} and {max}',
+        'week-required': 'Please describe your typical week',
+        'steps-range': 'Daily steps must be between 0 and {max}',
+        'workout-type': 'Workout {number}: please choose an activity',
+        'workout-intensity': 'Workout {number}: please choose an intensity',
+        'workout-minutes': 'Workout {number}: duration must be between 1 and 600 minutes',
+        'workout-sessions': 'Workout {number}: sessions must be a whole number between 1 and 14 per week',
+        'week-hours': 'That adds up to {hours} hours of exercise a week. Please check your sessions.',
+        'life-stage-male': 'Pregnancy and breastfeeding add-ons do not apply to male profiles',
+        'life-stage-age': 'Pregnancy and breastfeeding add-ons need an age of at least {age}',
+        'body-fat-number': 'Body fat must be a number',
+        'body-fat-range': 'Body fat must be between 3 and 70%',
+        'measurement-required': '{label} measurement is required',
+        'measurement-range-cm': '{label} must be between 20 and 250 cm',
+        'measurement-range-in': '{label} must be between 8 and 100 in',
+        'hip-required': 'Hip measurement is required unless calculating as male',
+        'waist-neck': 'Waist must be larger than neck',
+        'waist-hip-neck': 'Waist plus hips must be larger than neck',
+        'equation-invalid': 'Please select a valid BMR equation',
+        'equation-inputs': '{equation} needs: {inputs}',
+        'bmi-implausible': 'Together, this height and weight give a BMI of {bmi}. Please check both values.',
+        'weight-looks-lb': 'This looks like a weight in pounds, not kilograms. Please check the value or the weight unit.',
+        'weight-looks-kg': 'This looks like a weight in kilograms. Please check the value or the weight unit.',
+        'height-looks-in': 'This looks like a height in inches, not centimeters. Please check the value or the height unit.',
+        'date-required': 'Please choose a date',
+        'date-future': 'Date cannot be in the future',
+        'log-empty': 'Enter a weight, calories eaten, or both',
+        'calories-range': 'Calories must be between 0 and {max}',
+        'energy-range-kj': 'Energy must be between 0 and {max} kJ',
+        'goal-empty': 'Enter a target weight, a target date, or both',
+        'goal-date-soon': 'Target date must be at least a week from today',
+        'goal-date-far': 'Target date must be within {years} years',
+        'protein-required': 'Protein target is required',
+        'protein-range': 'Protein must be between {min} and {max} {unit}',
+        'fat-required': 'Fat percentage is required',
+        'fat-range': 'Fat must be between 10 and 80% of calories',
+        'food-required': 'Please choose a food',
+        'amount-required': 'Amount is required',
+        'amount-range': 'Amount must be more than 0 and at most {max} g in total',
+        'food-name-required': 'Food name is required',
+        'food-name-length': 'Food name must be {max} characters or fewer',
+        'food-energy-required': 'Energy per 100 g is required',
+        'food-energy-range': 'Energy must be between 0 and {max} {unit} per 100 g',
+        'nutrient-range': '{label} must be between 0 and 100 g per 100 g',
+        'nutrients-total': 'Protein, fat and carbs add up to more than 100 g per 100 g',
+        'serving-incomplete': 'Enter both a name and a weight for the household unit',
+        'serving-range': 'A household unit must weigh between 1 and {max} g',
+        'recipe-name-required': 'Recipe name is required',
+        'ingredients-required': 'Add at least one ingredient',
+        'servings-range': 'Servings must be a whole number between 1 and {max}',
+        'yield-range': 'Cooked weight must be between 1 and {max} g',
+        'sync-endpoint-required': 'Server address is required',
+        'sync-endpoint-invalid': 'Enter a full web address starting with https://',
+        'sync-endpoint-insecure': 'Use https:// unless the server runs on this computer',
+        'sync-token-invalid': 'Access token must be at most {max} characters, without spaces',
+        'body-fat-implausible': 'These measurements give an implausible body fat estimate. Please re-check them.',
+        'calculation-failed': 'Failed to calculate results. Please check your inputs.',
+        'profile-last': 'The last profile cannot be deleted',
+        'file-too-large': 'File is too large to import ({max} MB maximum)',
+        'file-unreadable': 'The file could not be read',
+        'file-not-json': 'File is not valid JSON',
+        'file-version': 'File version {version} is newer than this app supports. Please update the app.',
+        'file-no-data': 'File does not contain calculator data',
+        'file-type-missing': 'File does not say whether it holds a profile or history',
+        'file-no-rows': 'File does not contain any rows',
+        'profile-rows': 'A profile file must contain exactly one row',
+        'row-not-record': 'Row is not a record',
+        'timestamp-invalid': 'Timestamp "{value}" is not a valid date'
+    },
+    
+    // BMI outside this range is worth a second look; a reading in the other
+    // unit that lands inside PLAUSIBLE_BMI suggests a mistyped unit
+    CHECK_BMI: [13, 50],
+    PLAUSIBLE_BMI: [17, 35],
+    
+    error: (code, params = {}) => ({ code, severity: 'error', params }),
+    
+    warning: (code, params = {}) => ({ code, severity: 'warning', params }),
+    
+    /**
+     * An error for a value that has not been entered yet. Live feedback
+     * holds these back until the user has been through every input involved.
+     */
+    missing: (code, params = {}) => ({ code, severity: 'error', params, missing: true }),
+    
+    /**
+     * Message for an issue in the current language. Numbers are formatted,
+     * text params are translated and lists are joined.
+     */
+    describe: (issue) => {
+        if (!issue) {
+            return null;
+        }
+        const format = (value) => {
+            if (Array.isArray(value)) {
+                return value.map(format).join(', ');
+            }
+            if (typeof value === 'number') {
+                return Utils.formatNumber(value, Number.isInteger(value) ? 0 : 1);
+            }
+            return I18n.t(String(value));
+        };
+        const params = Object.fromEntries(Object.entries(issue.params).map(([name, value]) => [name, format(value)]));
+        return I18n.t(Validation.MESSAGES[issue.code], params);
+    },
+    
+    /**
+     * Validate age input
+     */
+    validateAge: (age) => {
+        const num = parseInt(age);
+        if (!age) {
+            return Validation.missing('age-required');
+        }
+        if (isNaN(num)) {
+            return Validation.error('not-a-number');
+        }
+        if (num < 1 || num > 105) {
+            return Validation.error('age-range');
+        }
+        return null;
+    },
+    
+    /**
+     * Validate gender selection
+     */
+    validateGender: (gender) => {
+        if (!gender) {
+            return Validation.missing('gender-required');
+        }
+        if (!Sex.GENDERS.includes(gender)) {
+            return Validation.error('gender-invalid');
+        }
+        return null;
+    },
+    
+    /**
+     * Validate the optional "calculate as" choice for other genders
+     */
+    validateCalculateAs: (calculateAs, gender) => {
+        if (gender !== 'other' || !calculateAs) {
+            return null;
+        }
+        if (!Sex.CALCULATE_AS.includes(calculateAs)) {
+            return Validation.error('invalid-option');
+        }
+        return null;
+    },
+    
+    /**
+     * Validate height input
+     */
+    validateHeight: (height, unit, feet = null, inches = null) => {
+        if (unit !== 'ft') {
+            const num = parseFloat(height);
+            if (!height) {
+                return Validation.missing('height-required');
+            }
+            if (isNaN(num)) {
+                return Validation.error('not-a-number');
+            }
+            if (num < 50 || num > 300) {
+                return Validation.error('height-range');
+            }
+        } else {
+            const feetNum = parseInt(feet);
+            const inchesNum = parseInt(inches);
+            if (!feet) {
+                return Validation.missing('feet-required');
+            }
+            if (isNaN(feetNum)) {
+                return Validation.error('not-a-number');
+            }
+            if (feetNum < 1 || feetNum > 9) {
+                return Validation.error('feet-range');
+            }
+            if (!inches) {
+                return Validation.missing('inches-required');
+            }
+            if (isNaN(inchesNum)) {
+                return Validation.error('not-a-number');
+            }
+            if (inchesNum < 0 || inchesNum > 11) {
+                return Validation.error('inches-range');
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Validate weight input
+     */
+    validateWeight: (weight, unit, pounds = null, label = 'Weight') => {
+        const num = parseFloat(weight);
+        if (!weight) {
+            return Validation.missing('weight-required', { label });
+        }
+        if (isNaN(num)) {
+            return Validation.error('not-a-number');
+        }
+        
+        if (unit === 'kg') {
+            if (num < 5 || num > 500) {
+                return Validation.error('weight-range-kg', { label });
+            }
+        } else if (unit === 'st') {
+            const poundsNum = pounds ? parseFloat(pounds) : 0;
+            if (isNaN(poundsNum) || poundsNum < 0 || poundsNum >= Units.LBS_PER_STONE) {
+                return Validation.error('pounds-range');
+            }
+            const total = num * Units.LBS_PER_STONE + poundsNum;
+            if (total < 11 || total > 1100) {
+                return Validation.error('weight-range-st', { label });
+            }
+        } else {
+            if (num < 11 || num > 1100) {
+                return Validation.error('weight-range-lb', { label });
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Validate activity level
+     */
+    validateActivityLevel: (activityLevel) => {
+        if (!activityLevel) {
+            return Validation.missing('activity-required');
+        }
+        const multiplier = parseFloat(activityLevel);
+        if (isNaN(multiplier) || multiplier < Activity.MIN_MULTIPLIER || multiplier > Activity.MAX_MULTIPLIER) {
+            return Validation.error('activity-range', { min: Activity.MIN_MULTIPLIER, max: Activity.MAX_MULTIPLIER });
+        }
+        return null;
+    },
+    
+    /**
+     * Validate a typical week entered in the activity builder
+     */
+    validateActivityWeek: (week) => {
+        if (!week) {
+            return Validation.missing('week-required');
+        }
+        const steps = week.steps === '' || week.steps === null || week.steps === undefined ? 0 : Number(week.steps);
+        if (isNaN(steps) || steps < 0 || steps > Activity.MAX_STEPS) {
+            return Validation.error('steps-range', { max: Activity.MAX_STEPS });
+        }
+        
+        for (const [index, workout] of (week.workouts || []).entries()) {
+            const number = index + 1;
+            if (!Activity.metTable[workout.type]) {
+                return Validation.error('workout-type', { number });
+            }
+            if (!Activity.INTENSITIES[workout.intensity]) {
+                return Validation.error('workout-intensity', { number });
+            }
+            const minutes = Number(workout.minutes);
+            if (!workout.minutes || isNaN(minutes) || minutes < 1 || minutes > 600) {
+                return Validation.error('workout-minutes', { number });
+            }
+            const sessions = Number(workout.sessions);
+            if (!workout.sessions || !Number.isInteger(sessions) || sessions < 1 || sessions > 14) {
+                return Validation.error('workout-sessions', { number });
+            }
+        }
+        
+        const weeklyMinutes = (week.workouts || [])
+            .reduce((total, workout) => total + Number(workout.minutes) * Number(workout.sessions), 0);
+        if (weeklyMinutes > Activity.MAX_WEEKLY_MINUTES) {
+            return Validation.error('week-hours', { hours: Math.round(weeklyMinutes / 60) });
+        }
+        return null;
+    },
+    
+    /**
+     * Validate the pregnancy / lactation selection
+     */
+    validateLifeStage: (lifeStage, gender, age) => {
+        if (!lifeStage || lifeStage === 'none') {
+            return null;
+        }
+        if (!Object.prototype.hasOwnProperty.call(LifeStage.OPTIONS, lifeStage)) {
+            return Validation.error('invalid-option');
+        }
+        if (gender === 'male') {
+            return Validation.error('life-stage-male');
+        }
+        if (parseInt(age) < LifeStage.MIN_AGE) {
+            return Validation.error('life-stage-age', { age: LifeStage.MIN_AGE });
+        }
+        return null;
+    },
+    
+    /**
+     * Validate optional body fat percentage
+     */
+    validateBodyFat: (bodyFat) => {
+        if (bodyFat === null || bodyFat === undefined || String(bodyFat).trim() === '') {
+            return null;
+        }
+        const num = parseFloat(bodyFat);
+        if (isNaN(num)) {
+            return Validation.error('body-fat-number');
+        }
+        if (num < 3 || num > 70) {
+            return Validation.error('body-fat-range');
+        }
+        return null;
+    },
+    
+    /**
+     * Validate a tape-measure circumference (neck, waist or hips)
+     */
+    validateCircumference: (value, unit, label) => {
+        const num = parseFloat(value);
+        if (!value) {
+            return Validation.missing('measurement-required', { label });
+        }
+        if (isNaN(num)) {
+            return Validation.error('not-a-number');
+        }
+        
+        if (unit !== 'ft') {
+            if (num < 20 || num > 250) {
+                return Validation.error('measurement-range-cm', { label });
+            }
+        } else {
+            if (num < 8 || num > 100) {
+                return Validation.error('measurement-range-in', { label });
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Validate that tape measurements can be used by the US Navy formula
+     */
+    validateNavyMeasurements: (neck, waist, hip, sex) => {
+        const neckNum = parseFloat(neck);
+        const waistNum = parseFloat(waist);
+        const hipNum = parseFloat(hip) || 0;
+        
+        // Other genders average both formulas, so both checks apply
+        if (sex !== 'male' && !hipNum) {
+            return Validation.missing('hip-required');
+        }
+        if (sex !== 'female' && waistNum <= neckNum) {
+            return Validation.error('waist-neck');
+        }
+        if (sex !== 'male' && waistNum + hipNum <= neckNum) {
+            return Validation.error('waist-hip-neck');
+        }
+        return null;
+    },
+    
+    /**
+     * Cross-check height against weight. A BMI far outside the human range
+     * usually means a typo or a value entered in the wrong unit.
+     */
+    validateBodySize: (data, units) => {
+        const weight = Units.weightToKg(parseFloat(data.weight), units.weight, parseFloat(data.weightPounds) || 0);
+        const height = units.height === 'cm'
+            ? parseFloat(data.height)
+            : Utils.feetInchesToCm(parseInt(data.heightFeet), parseInt(data.heightInches));
+        const bmi = (kg, cm) => kg / ((cm / 100) ** 2);
+        const within = (value, [low, high]) => value >= low && value <= high;
+        
+        if (within(bmi(weight, height), Validation.CHECK_BMI)) {
+            return null;
+        }
+        
+        // Whole inches typed into a centimeter field, or a weight in the other unit
+        const number = parseFloat(data.weight);
+        if (units.height === 'cm' && height < 100 && within(bmi(weight, Utils.inchesToCm(height)), Validation.PLAUSIBLE_BMI)) {
+            return { ...Validation.warning('height-looks-in'), field: 'height' };
+        }
+        if (units.weight === 'kg' && within(bmi(Utils.lbsToKg(number), height), Validation.PLAUSIBLE_BMI)) {
+            return Validation.warning('weight-looks-lb');
+        }
+        if (units.weight !== 'kg' && within(bmi(number, height), Validation.PLAUSIBLE_BMI)) {
+            return Validation.warning('weight-looks-kg');
+        }
+        return Validation.warning('bmi-implausible', { bmi: Math.round(bmi(weight, height) * 10) / 10 });
+    },
+    
+    /**
+     * The calculator form as a list of checks, run in order. Each names the
+     * field its issue is shown on and the inputs it reads, so live feedback
+     * can tell which checks the user has reached. `when` skips checks for
+     * hidden parts of the form; `check` gets valid(field) to build on
+     * earlier checks.
+     */
+    FORM_SCHEMA: [
+        {
+            field: 'age',
+            inputs: ['age'],
+            check: (data) => Validation.validateAge(data.age)
+        },
+        {
+            field: 'gender',
+            inputs: ['gender'],
+            check: (data) => Validation.validateGender(data.gender)
+        },
+        {
+            field: 'calculate-as',
+            inputs: ['calculate-as'],
+            check: (data) => Validation.validateCalculateAs(data.calculateAs, data.gender)
+        },
+        {
+            field: 'life-stage',
+            inputs: ['life-stage'],
+            check: (data) => Validation.validateLifeStage(data.lifeStage, data.gender, data.age)
+        },
+        {
+            field: 'height',
+            inputs: (units) => (units.height === 'ft' ? ['height-feet', 'height-inches'] : ['height']),
+            check: (data, units) => Validation.validateHeight(data.height, units.height, data.heightFeet, data.heightInches)
+        },
+        {
+            field: 'weight',
+            inputs: (units) => (units.weight === 'st' ? ['weight', 'weight-pounds'] : ['weight']),
+            check: (data, units) => Validation.validateWeight(data.weight, units.weight, data.weightPounds)
+        },
+        {
+            field: 'weight',
+            inputs: (units) => [
+                ...(units.height === 'ft' ? ['height-feet', 'height-inches'] : ['height']),
+                ...(units.weight === 'st' ? ['weight', 'weight-pounds'] : ['weight'])
+            ],
+            check: (data, units, valid) => (valid('height') && valid('weight') ? Validation.validateBodySize(data, units) : null)
+        },
+        {
+            field: 'activity-level',
+            inputs: ['activity-level'],
+            when: (data) => !data.activityMode || data.activityMode === 'preset',
+            check: (data) => Validation.validateActivityLevel(data.activityLevel)
+        },
+        {
+            field: 'activity-custom',
+            inputs: ['activity-custom'],
+            when: (data) => data.activityMode === 'custom',
+            check: (data) => Validation.validateActivityLevel(data.activityLevel)
+        },
+        {
+            field: 'activity-week',
+            inputs: [],
+            when: (data) => data.activityMode === 'builder',
+            check: (data) => Validation.validateActivityWeek(data.activityWeek)
+        },
+        ...['neck', 'waist', 'hip'].map(name => ({
+            field: name,
+            inputs: [name],
+            // Hips are optional when calculating as male
+            when: (data) => data.bodyFatMethod === 'navy'
+                && (name !== 'hip' || Sex.forCalculation(data.gender, data.calculateAs) !== 'male' || Boolean(data.hip)),
+            check: (data, units) => Validation.validateCircumference(data[name], units.height, name.charAt(0).toUpperCase() + name.slice(1))
+        })),
+        {
+            field: 'waist',
+            inputs: ['neck', 'waist', 'hip'],
+            when: (data) => data.bodyFatMethod === 'navy',
+            check: (data, units, valid) => (['neck', 'waist', 'hip'].every(valid)
+                ? Validation.validateNavyMeasurements(data.neck, data.waist, data.hip, Sex.forCalculation(data.gender, data.calculateAs))
+                : null)
+        },
+        {
+            field: 'body-fat',
+            inputs: ['body-fat'],
+            when: (data) => data.bodyFatMethod !== 'navy',
+            check: (data) => Validation.validateBodyFat(data.bodyFat)
+        },
+        {
+            // BMR equation against the inputs it needs
+            field: 'bmr-equation',
+            inputs: ['bmr-equation'],
+            check: (data, units, valid) => {
+                const hasBodyFat = data.bodyFatMethod === 'navy'
+                    ? ['neck', 'waist', 'hip'].every(valid)
+                    : Boolean(data.bodyFat) && valid('body-fat');
+                const isChild = parseInt(data.age) < LifeStage.ADULT_AGE;
+                return Validation.validateEquation(isChild ? LifeStage.PEDIATRIC_EQUATION : data.equation, {
+                    weight: data.weight,
+                    height: units.height === 'ft' ? data.heightFeet : data.height,
+                    age: data.age,
+                    gender: Sex.forCalculation(data.gender, data.calculateAs),
+                    leanMass: hasBodyFat ? data.weight : null
+                });
+            }
+        }
+    ],
+    
+    /**
+     * Input names a schema entry reads in the given units
+     */
+    inputsOf: (entry, units) => (typeof entry.inputs === 'function' ? entry.inputs(units) : entry.inputs),
+    
+    /**
+     * Run the form schema over a complete set of calculator inputs (raw form
+     * values). Returns every issue found, each with the field to show it on
+     * and the inputs involved.
+     */
+    validateForm: (data, units) => {
+        const issues = [];
+        const valid = (field) => !issues.some(issue => issue.field === field && issue.severity === 'error');
+        
+        Validation.FORM_SCHEMA.forEach(entry => {
+            if (entry.when && !entry.when(data, units)) {
+                return;
+            }
+            const issue = entry.check(data, units, valid);
+            if (issue) {
+                issues.push({ field: entry.field, inputs: Validation.inputsOf(entry, units), ...issue });
+            }
+        });
+        return issues;
+    },
+    
+    /**
+     * Errors in a complete set of calculator inputs, as an object of field
+     * name to message; empty when valid. Warnings are left out.
+     */
+    validateFormData: (data, units) => Object.fromEntries(Validation.validateForm(data, units)
+        .filter(issue => issue.severity === 'error')
+        .map(issue => [issue.field, Validation.describe(issue)])),
+    
+    /**
+     * Validate a daily log entry (weight and/or calories eaten)
+     */
+    validateLogEntry: (date, weight, calories, units, weightPounds = null) => {
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return Validation.missing('date-required');
+        }
+        if (date > Utils.toDateKey()) {
+            return Validation.error('date-future');
+        }
+        if (!weight && !calories) {
+            return Validation.missing('log-empty');
+        }
+        if (weight) {
+            const weightError = Validation.validateWeight(weight, units.weight, weightPounds);
+            if (weightError) {
+                return weightError;
+            }
+        }
+        if (calories) {
+            const num = Units.toKcal(parseFloat(calories), units.energy);
+            if (isNaN(num) || num < 0 || num > 15000) {
+                return units.energy === 'kJ'
+                    ? Validation.error('energy-range-kj', { max: Math.round(Units.fromKcal(15000, 'kJ')) })
+                    : Validation.error('calories-range', { max: 15000 });
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Validate a food diary entry: an amount of a chosen food in grams or
+     * one of its household units
+     */
+    validateDiaryEntry: (date, food, amount, unit) => {
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return Validation.missing('date-required');
+        }
+        return Validation.validateFoodAmount(food, amount, unit);
+    },
+    
+    /**
+     * Validate an amount of a chosen food, as logged or as a recipe
+     * ingredient
+     */
+    validateFoodAmount: (food, amount, unit) => {
+        if (!food) {
+            return Validation.missing('food-required');
+        }
+        if (!amount) {
+            return Validation.missing('amount-required');
+        }
+        const num = parseFloat(amount);
+        if (isNaN(num)) {
+            return Validation.error('not-a-number');
+        }
+        const grams = Nutrition.toGrams(food, num, unit);
+        if (grams <= 0 || grams > Nutrition.MAX_ENTRY_GRAMS) {
+            return Validation.error('amount-range', { max: Nutrition.MAX_ENTRY_GRAMS });
+        }
+        return null;
+    },
+    
+    /**
+     * Validate a custom food: name, energy (in the energy unit) and macros
+     * per 100 g, and an optional household unit
+     */
+    validateFood: ({ name, calories, protein, fat, carbs, servingName, servingGrams }, units) => {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return Validation.missing('food-name-required');
+        }
+        if (trimmed.length > Nutrition.MAX_NAME_LENGTH) {
+            return Validation.error('food-name-length', { max: Nutrition.MAX_NAME_LENGTH });
+        }
+        
+        if (!calories) {
+            return Validation.missing('food-energy-required');
+        }
+        const energy = Units.toKcal(parseFloat(calories), units.energy);
+        if (isNaN(energy) || energy < 0 || energy > Nutrition.MAX_CALORIES) {
+            return Validation.error('food-energy-range', {
+                max: Math.round(Units.fromKcal(Nutrition.MAX_CALORIES, units.energy)),
+                unit: units.energy === 'kJ' ? 'kJ' : 'cal'
+            });
+        }
+        
+        // Macros are optional; together they cannot outweigh the food
+        const macros = { Protein: protein, Fat: fat, Carbs: carbs };
+        let totalGrams = 0;
+        for (const [label, value] of Object.entries(macros)) {
+            if (!value) continue;
+            const grams = parseFloat(value);
+            if (isNaN(grams) || grams < 0 || grams > 100) {
+                return Validation.error('nutrient-range', { label });
+            }
+            totalGrams += grams;
+        }
+        if (totalGrams > 100) {
+            return Validation.error('nutrients-total');
+        }
+        
+        if (Boolean((servingName || '').trim()) !== Boolean(servingGrams)) {
+            return Validation.missing('serving-incomplete');
+        }
+        if (servingGrams) {
+            const grams = parseFloat(servingGrams);
+            if (isNaN(grams) || grams < 1 || grams > Nutrition.MAX_SERVING_GRAMS) {
+                return Validation.error('serving-range', { max: Nutrition.MAX_SERVING_GRAMS });
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Validate a recipe: a name, its ingredients, the number of servings and
+     * an optional cooked weight in grams
+     */
+    validateRecipe: ({ name, ingredients, servings, yieldGrams }) => {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return Validation.missing('recipe-name-required');
+        }
+        if (trimmed.length > Nutrition.MAX_NAME_LENGTH) {
+            return Validation.error('food-name-length', { max: Nutrition.MAX_NAME_LENGTH });
+        }
+        if (ingredients.length === 0) {
+            return Validation.missing('ingredients-required');
+        }
+        const servingsError = Validation.validateServings(servings);
+        if (servingsError) {
+            return servingsError;
+        }
+        if (yieldGrams) {
+            const grams = parseFloat(yieldGrams);
+            if (isNaN(grams) || grams < 1 || grams > Nutrition.MAX_YIELD_GRAMS) {
+                return Validation.error('yield-range', { max: Nutrition.MAX_YIELD_GRAMS });
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Validate the number of servings a recipe makes
+     */
+    validateServings: (servings) => {
+        const count = Number(servings);
+        if (!servings || !Number.isInteger(count) || count < 1 || count > Nutrition.MAX_SERVINGS) {
+            return Validation.error('servings-range', { max: Nutrition.MAX_SERVINGS });
+        }
+        return null;
+    },
+    
+    /**
+     * Validate sync settings: an http(s) address for the server, https unless
+     * it runs on this computer, and an optional access token
+     */
+    validateSyncSettings: ({ endpoint, token }) => {
+        const address = (endpoint || '').trim();
+        if (!address) {
+            return Validation.missing('sync-endpoint-required');
+        }
+        let url;
+        try {
+            url = new URL(address);
+        } catch (error) {
+            return Validation.error('sync-endpoint-invalid');
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return Validation.error('sync-endpoint-invalid');
+        }
+        if (url.protocol === 'http:' && !Sync.isLocalHost(url.hostname)) {
+            return Validation.error('sync-endpoint-insecure');
+        }
+        
+        const secret = (token || '').trim();
+        if (secret.length > Sync.MAX_TOKEN_LENGTH || /\s/.test(secret)) {
+            return Validation.error('sync-token-invalid', { max: Sync.MAX_TOKEN_LENGTH });
+        }
+        return null;
+    },
+    
+    /**
+     * Validate a goal timeline request (target weight and/or target date)
+     */
+    validateGoalPlan: (targetWeight, targetDate, units, targetPounds = null) => {
+        if (!targetWeight && !targetDate) {
+            return Validation.missing('goal-empty');
+        }
+        if (targetWeight) {
+            const weightError = Validation.validateWeight(targetWeight, units.weight, targetPounds, 'Target weight');
+            if (weightError) {
+                return weightError;
+            }
+        }
+        if (targetDate) {
+            const days = Utils.daysBetween(Utils.toDateKey(), targetDate);
+            if (isNaN(days) || days < 7) {
+                return Validation.error('goal-date-soon');
+            }
+            if (days > GoalPlanner.MAX_WEEKS * 7) {
+                return Validation.error('goal-date-far', { years: GoalPlanner.MAX_WEEKS / 52 });
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Validate custom macro rules
+     */
+    validateMacroRules: (rules) => {
+        const amount = parseFloat(rules.protein.amount);
+        const fatPercent = parseFloat(rules.fatPercent);
+        const [min, max] = rules.protein.unit === 'g/lb' ? [0.3, 1.8] : [0.6, 4];
+        
+        if (isNaN(amount)) {
+            return Validation.missing('protein-required');
+        }
+        if (amount < min || amount > max) {
+            return Validation.error('protein-range', { min, max, unit: rules.protein.unit });
+        }
+        if (isNaN(fatPercent)) {
+            return Validation.missing('fat-required');
+        }
+        if (fatPercent < 10 || fatPercent > 80) {
+            return Validation.error('fat-range');
+        }
+        return null;
+    },
+    
+    /**
+     * Validate BMR equation selection against the available inputs
+     */
+    validateEquation: (equationId, inputs) => {
+        const equation = Equations.get(equationId);
+        if (!equation) {
+            return Validation.error('equation-invalid');
+        }
+        const missing = Equations.missingInputs(equation, inputs);
+        if (missing.length > 0) {
+            return Validation.error('equation-inputs', {
+                equation: equation.name,
+                inputs: missing.map(key => Equations.INPUT_LABELS[key])
+            });
+        }
+        return null;
+    }
+};
+
+/**
+ * Error carrying an issue, so callers can describe it in the user's language
+ */
+export class ValidationError extends Error {
+    constructor(issue) {
+        super(Validation.describe(issue));
+        this.name = 'ValidationError';
+        this.issue = issue;
+    }
+}
+
+// ===== SEX FOR CALCULATION =====
+export const Sex = {
+    // 'other' covers intersex, non-binary and prefer not to say
+    GENDERS: ['male', 'female', 'other'],
+    CALCULATE_AS: ['range', 'male', 'female'],
+    
+    isBinary: (sex) => sex === 'male' || sex === 'female',
+    
+    /**
+     * The sex whose constants the equations use: the gender itself, the
+     * "calculate as" choice for other genders, or 'other' for the midpoint
+     */
+    forCalculation: (gender, calculateAs) => {
+        if (Sex.isBinary(gender)) {
+            return gender;
+        }
+        return Sex.isBinary(calculateAs) ? calculateAs : 'other';
+    },
+    
+    /**
+     * Evaluate a sex-specific formula. Anything but male or female gets the
+     * midpoint of the male and female results.
+     */
+    midpoint: (sex, formula) => {
+        return Sex.isBinary(sex) ? formula(sex) : (formula('male') + formula('female')) / 2;
+    }
+};
+
+// ===== BMR EQUATIONS =====
+export const Equations = {
+    DEFAULT: 'mifflin-st-jeor',
+    
+    INPUT_LABELS: {
+        weight: 'weight',
+        height: 'height',
+        age: 'age',
+        gender: 'gender',
+        leanMass: 'lean body mass (body fat %)'
+    },
+    
+    /**
+     * Supported equations. Inputs are metric: weight and leanMass in kg,
+     * height in cm, age in years. All return kcal/day. The population is
+     * the age range each equation was derived from or validated in.
+     */
+    list: [
+        {
+            id: 'mifflin-st-jeor',
+            name: 'Mifflin-St Jeor',
+            population: { minAge: 19, maxAge: 78 },
+            requires: ['weight', 'height', 'age', 'gender'],
+            citation: 'Mifflin MD, St Jeor ST, et al. A new predictive equation for resting energy expenditure in healthy individuals. Am J Clin Nutr. 1990;51(2):241-247.',
+            calculate: ({ weight, height, age, gender }) => {
+                // Men: 10W + 6.25H - 5A + 5, Women: 10W + 6.25H - 5A - 161
+                const base = 10 * weight + 6.25 * height - 5 * age;
+                return gender === 'male' ? base + 5 : base - 161;
+            }
+        },
+        {
+            id: 'harris-benedict',
+            name: 'Harris-Benedict (revised)',
+            population: { minAge: 18, maxAge: null },
+            requires: ['weight', 'height', 'age', 'gender'],
+            citation: 'Roza AM, Shizgal HM. The Harris Benedict equation reevaluated: resting energy requirements and the body cell mass. Am J Clin Nutr. 1984;40(1):168-182.',
+            calculate: ({ weight, height, age, gender }) => {
+                return gender === 'male'
+                    ? 88.362 + 13.397 * weight + 4.799 * height - 5.677 * age
+                    : 447.593 + 9.247 * weight + 3.098 * height - 4.330 * age;
+            }
+        },
+        {
+            id: 'katch-mcardle',
+            name: 'Katch-McArdle',
+            population: { minAge: 18, maxAge: null },
+            requires: ['leanMass'],
+            citation: 'McArdle WD, Katch FI, Katch VL. Exercise Physiology: Energy, Nutrition, and Human Performance. Lea & Febiger; 1986.',
+            calculate: ({ leanMass }) => 370 + 21.6 * leanMass
+        },
+        {
+            id: 'cunningham',
+            name: 'Cunningham',
+            population: { minAge: 18, maxAge: null },
+            requires: ['leanMass'],
+            citation: 'Cunningham JJ. A reanalysis of the factors influencing basal metabolic rate in normal adults. Am J Clin Nutr. 1980;33(11):2372-2374.',
+            calculate: ({ leanMass }) => 500 + 22 * leanMass
+        },
+        {
+            id: 'owen',
+            name: 'Owen',
+            population: { minAge: 18, maxAge: 82 },
+            requires: ['weight', 'gender'],
+            citation: 'Owen OE, et al. A reappraisal of caloric requirements in healthy women. Am J Clin Nutr. 1986;44(1):1-19; Owen OE, et al. A reappraisal of the caloric requirements of men. Am J Clin Nutr. 1987;46(6):875-885.',
+            calculate: ({ weight, gender }) => {
+                return gender === 'male' ? 879 + 10.2 * weight : 795 + 7.18 * weight;
+            }
+        },
+        {
+            id: 'who-schofield',
+            name: 'WHO/Schofield',
+            population: { minAge: 0, maxAge: null },
+            requires: ['weight', 'age', 'gender'],
+            citation: 'Schofield WN. Predicting basal metabolic rate, new standards and review of previous work. Hum Nutr Clin Nutr. 1985;39 Suppl 1:5-41; FAO/WHO/UNU. Energy and protein requirements. WHO Technical Report Series 724; 1985.',
+            calculate: ({ weight, age, gender }) => {
+                // [upper age bound, slope, intercept] per sex and age band
+                const bands = gender === 'male'
+                    ? [[3, 60.9, -54], [10, 22.7, 495], [18, 17.5, 651], [30, 15.3, 679], [60, 11.6, 879], [Infinity, 13.5, 487]]
+                    : [[3, 61.0, -51], [10, 22.5, 499], [18, 12.2, 746], [30, 14.7, 496], [60, 8.7, 829], [Infinity, 10.5, 596]];
+                const [, slope, intercept] = bands.find(([upper]) => age < upper);
+                return slope * weight + intercept;
+            }
+        }
+    ],
+    
+    /**
+     * Look up an equation by id
+     */
+    get: (id) => Equations.list.find(equation => equation.id === id) || null,
+    
+    /**
+     * List required inputs that are missing for an equation
+     */
+    missingInputs: (equation, inputs) => {
+        return equation.requires.filter(key => {
+            const value = inputs[key];
+            return value === null || value === undefined || value === '' || Number.isNaN(value);
+        });
+    },
+    
+    /**
+     * Run an equation, taking the midpoint of both sexes for other genders
+     */
+    evaluate: (equation, inputs) => {
+        return Sex.midpoint(inputs.gender, gender => equation.calculate({ ...inputs, gender }));
+    },
+    
+    /**
+     * Check whether an equation can be applied to the given inputs
+     */
+    isApplicable: (equation, inputs) => Equations.missingInputs(equation, inputs).length === 0,
+    
+    /**
+     * Check whether an age falls inside an equation's validated population
+     */
+    inPopulation: (equation, age) => {
+        const { minAge, maxAge } = equation.population;
+        return age >= minAge && (maxAge === null || age <= maxAge);
+    },
+    
+    /**
+     * Describe the ages an equation was validated for
+     */
+    describePopulation: (equation) => {
+        const { minAge, maxAge } = equation.population;
+        return maxAge === null
+            ? I18n.t('Validated for ages {min}+', { min: minAge })
+            : I18n.t('Validated for ages {min}-{max}', { min: minAge, max: maxAge });
+    }
+};
+
+// ===== LIFE STAGES =====
+export const LifeStage = {
+    ADULT_AGE: 18,
+    
+    // Schofield has child age bands; adult-only equations are swapped for it
+    PEDIATRIC_EQUATION: 'who-schofield',
+    
+    OPTIONS: {
+        none: 'Not pregnant or breastfeeding',
+        'pregnant-1': 'Pregnant, 1st trimester',
+        'pregnant-2': 'Pregnant, 2nd trimester',
+        'pregnant-3': 'Pregnant, 3rd trimester',
+        'lactating-early': 'Breastfeeding, 0-6 months',
+        'lactating-late': 'Breastfeeding, 7-12 months'
+    },
+    
+    // Extra kcal/day on top of the non-pregnant estimate (IOM 2005 DRI):
+    // pregnancy deposition by trimester, lactation milk energy less
+    // weight-loss mobilisation
+    ADD_ONS: {
+        none: 0,
+        'pregnant-1': 0,
+        'pregnant-2': 340,
+        'pregnant-3': 452,
+        'lactating-early': 330,
+        'lactating-late': 400
+    },
+    
+    MIN_AGE: 10,
+    
+    // IOM physical activity coefficients for ages 3-18 by PAL category
+    // (sedentary < 1.4, low active < 1.6, active < 1.9, very active)
+    PAL_BOUNDS: [1.4, 1.6, 1.9],
+    PA_COEFFICIENTS: {
+        male: [1.0, 1.13, 1.26, 1.42],
+        female: [1.0, 1.16, 1.31, 1.56]
+    },
+    
+    /**
+     * IOM physical activity coefficient for an activity multiplier (PAL)
+     */
+    physicalActivityCoefficient: (multiplier, gender) => {
+        const category = LifeStage.PAL_BOUNDS.filter(bound => multiplier >= bound).length;
+        return Sex.midpoint(gender, sex => LifeStage.PA_COEFFICIENTS[sex][category]);
+    },
+    
+    /**
+     * Estimated Energy Requirement for ages 1-18, including energy for
+     * growth (IOM Dietary Reference Intakes for Energy, 2005).
+     * Weight in kg, height in cm.
+     */
+    childEER: ({ weight, height, age, gender, multiplier }) => {
+        if (age < 3) {
+            // 13-35 months: total energy expenditure plus 20 kcal growth
+            return 89 * weight - 100 + 20;
+        }
+        const growth = age < 9 ? 20 : 25;
+        const meters = height / 100;
+        return Sex.midpoint(gender, sex => {
+            const pa = LifeStage.physicalActivityCoefficient(multiplier, sex);
+            return sex === 'male'
+                ? 88.5 - 61.9 * age + pa * (26.7 * weight + 903 * meters) + growth
+                : 135.3 - 30.8 * age + pa * (10.0 * weight + 934 * meters) + growth;
+        });
+    }
+};
+
+// ===== MACRONUTRIENTS =====
+export const Macros = {
+    KCAL_PER_GRAM: { protein: 4, carbs: 4, fat: 9 },
+    
+    // Safety minimums: protein RDA and the lower bound of the fat AMDR
+    MIN_PROTEIN_PER_KG: 0.8,
+    MIN_FAT_PERCENT: 20,
+    
+    // Message for each split warning code, filled from the warning's min
+    WARNINGS: {
+        'low-protein': 'Protein is below the safe minimum of {min} g/kg body weight',
+        'low-fat': 'Fat is below the safe minimum of {min}% of calories'
+    },
+    
+    /**
+     * Preset rules. Protein is per kg/lb of body or lean mass, fat is a floor
+     * as % of calories, carbs take the remainder (up to an optional cap in g).
+     */
+    presets: {
+        balanced: {
+            name: 'Balanced',
+            protein: { amount: 1.6, unit: 'g/kg', basis: 'body' },
+            fatPercent: 30,
+            carbLimit: null
+        },
+        'high-protein': {
+            name: 'High protein',
+            protein: { amount: 2.2, unit: 'g/kg', basis: 'body' },
+            fatPercent: 25,
+            carbLimit: null
+        },
+        'low-carb': {
+            name: 'Low carb',
+            protein: { amount: 2.0, unit: 'g/kg', basis: 'body' },
+            fatPercent: 40,
+            carbLimit: 100
+        },
+        keto: {
+            name: 'Keto',
+            protein: { amount: 1.8, unit: 'g/kg', basis: 'lean' },
+            fatPercent: 65,
+            carbLimit: 30
+        }
+    },
+    
+    DEFAULT_SETTINGS: {
+        preset: 'balanced',
+        custom: {
+            protein: { amount: 1.6, unit: 'g/kg', basis: 'body' },
+            fatPercent: 25,
+            carbLimit: null
+        }
+    },
+    
+    /**
+     * Get the active rules for the stored settings
+     */
+    resolveRules: (settings) => {
+        if (settings.preset === 'custom') {
+            return settings.custom;
+        }
+        return Macros.presets[settings.preset] || Macros.presets.balanced;
+    },
+    
+    /**
+     * Daily protein grams for a rule, using lean mass when requested and known
+     */
+    proteinGrams: (protein, weight, leanMass = null) => {
+        const mass = protein.basis === 'lean' && leanMass ? leanMass : weight;
+        const perKg = protein.unit === 'g/lb' ? Utils.kgToLbs(protein.amount) : protein.amount;
+        return perKg * mass;
+    },
+    
+    /**
+     * Split a calorie target into protein, fat and carb grams
+     */
+    calculate: (calories, rules, { weight, leanMass = null }) => {
+        const { protein: P, carbs: C, fat: F } = Macros.KCAL_PER_GRAM;
+        let protein = Math.min(Macros.proteinGrams(rules.protein, weight, leanMass), calories / P);
+        let fat = calories * rules.fatPercent / 100 / F;
+        let carbs = (calories - protein * P - fat * F) / C;
+        
+        // Calories above the carb cap go to fat
+        if (rules.carbLimit !== null && carbs > rules.carbLimit) {
+            fat += (carbs - rules.carbLimit) * C / F;
+            carbs = rules.carbLimit;
+        }
+        
+        // Protein plus the fat floor exceed the budget: fat gives way
+        if (carbs < 0) {
+            fat = Math.max(0, fat + carbs * C / F);
+            carbs = 0;
+        }
+        
+        const percent = (grams, kcalPerGram) => calories > 0 ? Math.round(grams * kcalPerGram / calories * 100) : 0;
+        const warnings = [];
+        if (protein / weight < Macros.MIN_PROTEIN_PER_KG) {
+            warnings.push({ code: 'low-protein', min: Macros.MIN_PROTEIN_PER_KG });
+        }
+        if (fat * F < calories * Macros.MIN_FAT_PERCENT / 100 - 1) {
+            warnings.push({ code: 'low-fat', min: Macros.MIN_FAT_PERCENT });
+        }
+        
+        return {
+            protein: Math.round(protein),
+            fat: Math.round(fat),
+            carbs: Math.round(carbs),
+            percentages: {
+                protein: percent(protein, P),
+                fat: percent(fat, F),
+                carbs: percent(carbs, C)
+            },
+            warnings
+        };
+    },
+    
+    /**
+     * Describe a split warning in the current language. Calculations saved
+     * before warnings had codes hold their text instead.
+     */
+    describeWarning: (warning) => {
+        if (typeof warning === 'string') {
+            return warning;
+        }
+        return I18n.t(Macros.WARNINGS[warning.code], {
+            min: Utils.formatNumber(warning.min, Number.isInteger(warning.min) ? 0 : 1)
+        });
+    }
+};
+
+// ===== ACTIVITY =====
+export const Activity = {
+    PRESETS: ['1.2', '1.375', '1.55', '1.725', '1.9'],
+    MIN_MULTIPLIER: 1.0,
+    MAX_MULTIPLIER: 2.5,
+    MAX_STEPS: 60000,
+    MAX_WEEKLY_MINUTES: 3000,
+    
+    // The week builder starts from the sedentary multiplier, which already
+    // covers digestion and the ~3,000 steps of a desk-bound day
+    BASE_MULTIPLIER: 1.2,
+    
+    // Digesting a mixed diet uses about 10% of the energy eaten
+    TEF_SHARE: 0.1,
+    BASELINE_STEPS: 3000,
+    
+    // Walking is ~3.5 MET (2.5 above rest) at ~100 steps/min, so each step
+    // costs 2.5 kcal/kg/h over 6,000 steps/h
+    NET_KCAL_PER_KG_STEP: 2.5 / 6000,
+    
+    INTENSITIES: {
+        light: 'Light',
+        moderate: 'Moderate',
+        vigorous: 'Vigorous'
+    },
+    
+    /**
+     * MET values by intensity, from the 2011 Compendium of Physical
+     * Activities (Ainsworth et al.)
+     */
+    metTable: {
+        walking: { name: 'Walking', met: { light: 2.8, moderate: 3.5, vigorous: 5.0 } },
+        running: { name: 'Running', met: { light: 7.0, moderate: 9.8, vigorous: 11.5 } },
+        cycling: { name: 'Cycling', met: { light: 4.0, moderate: 6.8, vigorous: 10.0 } },
+        swimming: { name: 'Swimming', met: { light: 5.8, moderate: 8.3, vigorous: 9.8 } },
+        strength: { name: 'Strength training', met: { light: 3.5, moderate: 5.0, vigorous: 6.0 } },
+        circuit: { name: 'Circuit / HIIT', met: { light: 4.3, moderate: 6.0, vigorous: 8.0 } },
+        rowing: { name: 'Rowing machine', met: { light: 4.8, moderate: 7.0, vigorous: 8.5 } },
+        elliptical: { name: 'Elliptical', met: { light: 4.0, moderate: 5.0, vigorous: 7.0 } },
+        hiking: { name: 'Hiking', met: { light: 5.3, moderate: 6.0, vigorous: 7.8 } },
+        'team-sports': { name: 'Team sports', met: { light: 6.0, moderate: 7.0, vigorous: 10.0 } },
+        racket: { name: 'Racket sports', met: { light: 5.0, moderate: 7.3, vigorous: 8.0 } },
+        dancing: { name: 'Dancing', met: { light: 3.0, moderate: 5.0, vigorous: 7.3 } },
+        yoga: { name: 'Yoga / Pilates', met: { light: 2.5, moderate: 3.0, vigorous: 4.0 } }
+    },
+    
+    /**
+     * Calories per day from steps above the sedentary baseline
+     */
+    stepCalories: (steps, weight) => {
+        return Math.max(0, (Number(steps) || 0) - Activity.BASELINE_STEPS) * weight * Activity.NET_KCAL_PER_KG_STEP;
+    },
+    
+    /**
+     * Net calories per day from one recurring workout, above resting (MET - 1)
+     */
+    workoutCalories: (workout, weight) => {
+        const met = Activity.metTable[workout.type].met[workout.intensity];
+        const weeklyHours = Number(workout.minutes) * Number(workout.sessions) / 60;
+        return (met - 1) * weight * weeklyHours / 7;
+    },
+    
+    /**
+     * Calories per day that a typical week adds on top of BMR x BASE_MULTIPLIER
+     */
+    weekCalories: (week, weight) => {
+        const movement = Activity.stepCalories(week.steps, weight);
+        const exercise = (week.workouts || [])
+            .reduce((total, workout) => total + Activity.workoutCalories(workout, weight), 0);
+        return { movement, exercise };
+    },
+    
+    /**
+     * Resolve the form's activity inputs into the multiplier and extra
+     * calories used for TDEE, plus a breakdown of where TDEE comes from.
+     * Preset and custom multipliers cannot tell movement from exercise,
+     * so their exercise share is null.
+     */
+    resolve: (formData, bmr, weight) => {
+        const mode = formData.activityMode || 'preset';
+        
+        if (mode === 'builder') {
+            const { movement, exercise } = Activity.weekCalories(formData.activityWeek, weight);
+            const tdee = bmr * Activity.BASE_MULTIPLIER + movement + exercise;
+            return {
+                mode,
+                baseMultiplier: Activity.BASE_MULTIPLIER,
+                extraCalories: movement + exercise,
+                multiplier: tdee / bmr,
+                breakdown: {
+                    bmr,
+                    movement: bmr * (Activity.BASE_MULTIPLIER - 1) + movement,
+                    exercise
+                }
+            };
+        }
+        
+        const multiplier = parseFloat(formData.activityLevel);
+        return {
+            mode,
+            baseMultiplier: multiplier,
+            extraCalories: 0,
+            multiplier,
+            breakdown: {
+                bmr,
+                movement: bmr * (multiplier - 1),
+                exercise: null
+            }
+        };
+    },
+    
+    /**
+     * Split TDEE into BMR, the thermic effect of food, activity and any
+     * pregnancy or lactation add-on. Multiplier estimates already include
+     * digestion in the energy above BMR, so it is taken out of daily
+     * movement; measured exercise is left as it is.
+     */
+    split: (breakdown) => {
+        const { bmr, movement, exercise, lifeStage = 0 } = breakdown;
+        const total = bmr + movement + (exercise || 0) + lifeStage;
+        const tef = Math.min(total * Activity.TEF_SHARE, Math.max(movement, 0));
+        return { bmr, tef, movement: movement - tef, exercise, lifeStage, total };
+    }
+};
+
+// ===== CALCULATOR FUNCTIONS =====
+export const Calculator = {
+    /**
+     * Calculate BMR with the selected equation (Mifflin-St Jeor by default)
+     */
+    calculateBMR: (weight, height, age, gender, equationId = Equations.DEFAULT, leanMass = null) => {
+        const equation = Equations.get(equationId);
+        if (!equation) {
+            throw new Error(`Unknown BMR equation: ${equationId}`);
+        }
+        
+        const inputs = { weight, height, age, gender, leanMass };
+        if (!Equations.isApplicable(equation, inputs)) {
+            throw new Error(`${equation.name} cannot be used with the provided inputs`);
+        }
+        
+        return Equations.evaluate(equation, inputs);
+    },
+    
+    /**
+     * Calculate BMR and TDEE with every equation for side-by-side comparison
+     */
+    compareEquations: (inputs, activityLevel, extraCalories = 0) => {
+        return Equations.list.map(equation => {
+            const applicable = Equations.isApplicable(equation, inputs);
+            const bmr = applicable ? Equations.evaluate(equation, inputs) : null;
+            return {
+                id: equation.id,
+                name: equation.name,
+                citation: equation.citation,
+                applicable,
+                inPopulation: Equations.inPopulation(equation, inputs.age),
+                missing: Equations.missingInputs(equation, inputs),
+                bmr: applicable ? Math.round(bmr) : null,
+                tdee: applicable ? Math.round(Calculator.calculateTDEE(bmr, activityLevel, extraCalories)) : null
+            };
+        });
+    },
+    
+    /**
+     * Estimate body fat % with the US Navy circumference method
+     * (Hodgdon & Beckett, 1984). All measurements in cm.
+     */
+    estimateBodyFatNavy: (gender, height, neck, waist, hip = null) => {
+        return Sex.midpoint(gender, sex => sex === 'male'
+            ? 495 / (1.0324 - 0.19077 * Math.log10(waist - neck) + 0.15456 * Math.log10(height)) - 450
+            : 495 / (1.29579 - 0.35004 * Math.log10(waist + hip - neck) + 0.22100 * Math.log10(height)) - 450
+        );
+    },
+    
+    /**
+     * Split body weight into lean mass and fat mass (kg)
+     */
+    calculateBodyComposition: (weight, bodyFat) => {
+        const fatMass = weight * bodyFat / 100;
+        return {
+            bodyFat,
+            fatMass,
+            leanMass: weight - fatMass
+        };
+    },
+    
+    /**
+     * Calculate TDEE (Total Daily Energy Expenditure)
+     */
+    calculateTDEE: (bmr, activityLevel, extraCalories = 0) => {
+        return bmr * parseFloat(activityLevel) + extraCalories;
+    },
+    
+    /**
+     * Calculate weight management goals
+     */
+    calculateWeightGoals: (tdee) => {
+        return {
+            loss: {
+                mild: tdee - 250,      // 0.5 lbs/week
+                moderate: tdee - 500,  // 1 lb/week
+                aggressive: tdee - 1000 // 2 lbs/week
+            },
+            gain: {
+                mild: tdee + 250,      // 0.5 lbs/week
+                moderate: tdee + 500   // 1 lb/week
+            }
+        };
+    },
+    
+    /**
+     * Calculate macros for maintenance and every weight goal
+     */
+    calculateGoalMacros: (tdee, goals, rules, body) => {
+        const forGoals = (group) => Object.fromEntries(
+            Object.entries(group).map(([key, calories]) => [key, Macros.calculate(calories, rules, body)])
+        );
+        return {
+            maintenance: Macros.calculate(tdee, rules, body),
+            loss: forGoals(goals.loss),
+            gain: forGoals(goals.gain)
+        };
+    },
+    
+    /**
+     * Calculate goals and their macros from a maintenance value
+     */
+    calculateTargets: (tdee, macroRules, body, profile = null) => {
+        let goals = Calculator.calculateWeightGoals(tdee);
+        let guardrails = null;
+        if (profile) {
+            ({ goals, ...guardrails } = Guardrails.apply(goals, tdee, profile));
+        }
+        return {
+            goals,
+            guardrails,
+            macros: Calculator.calculateGoalMacros(tdee, goals, macroRules, body)
+        };
+    },
+    
+    /**
+     * BMR and TDEE calculated with the male and the female constants,
+     * as { bmr: { low, high }, tdee: { low, high } }
+     */
+    calculateRange: (formData, units) => {
+        const bySex = ['male', 'female']
+            .map(sex => Calculator.calculate({ ...formData, gender: 'other', calculateAs: sex }, { units }));
+        const span = (key) => {
+            const values = bySex.map(results => results[key]);
+            return { low: Math.min(...values), high: Math.max(...values) };
+        };
+        return { bmr: span('bmr'), tdee: span('tdee') };
+    },
+    
+    /**
+     * Main calculation function. When a usable adaptive estimate is passed,
+     * goals are based on the observed TDEE instead of the formula.
+     */
+    calculate: (formData, { adaptiveEstimate = null, units = Units.DEFAULTS } = {}) => {
+        try {
+            // Convert units to metric if needed
+            const weight = Units.weightToKg(parseFloat(formData.weight), units.weight, parseFloat(formData.weightPounds) || 0);
+            let height;
+            
+            if (units.height === 'cm') {
+                height = parseFloat(formData.height);
+            } else {
+                height = Utils.feetInchesToCm(
+                    parseInt(formData.heightFeet), 
+                    parseInt(formData.heightInches)
+                );
+            }
+            
+            const age = parseInt(formData.age);
+            const gender = formData.gender;
+            const calculateAs = gender === 'other' ? (formData.calculateAs || 'range') : null;
+            const sex = Sex.forCalculation(gender, calculateAs);
+            const lifeStage = gender !== 'male' ? (formData.lifeStage || 'none') : 'none';
+            const isChild = age < LifeStage.ADULT_AGE;
+            const notices = [];
+            
+            // Adult-only equations are replaced for children and teens
+            let equation = formData.equation || Equations.DEFAULT;
+            if (isChild && !Equations.inPopulation(Equations.get(equation), age)) {
+                notices.push({ code: 'pediatric-equation', replaced: equation, equation: LifeStage.PEDIATRIC_EQUATION });
+                equation = LifeStage.PEDIATRIC_EQUATION;
+            }
+            
+            // Body fat: entered directly or estimated from tape measurements
+            let bodyFat = null;
+            const bodyFatMethod = formData.bodyFatMethod || 'direct';
+            const toCm = (value) => units.height === 'cm' ? parseFloat(value) : Utils.inchesToCm(parseFloat(value));
+            if (bodyFatMethod === 'navy') {
+                bodyFat = Calculator.estimateBodyFatNavy(
+                    sex,
+                    height,
+                    toCm(formData.neck),
+                    toCm(formData.waist),
+                    formData.hip ? toCm(formData.hip) : null
+                );
+                if (!isFinite(bodyFat) || bodyFat < 2 || bodyFat > 75) {
+                    throw new ValidationError(Validation.error('body-fat-implausible'));
+                }
+            } else if (formData.bodyFat) {
+                bodyFat = parseFloat(formData.bodyFat);
+            }
+            
+            const bodyComposition = bodyFat === null
+                ? null
+                : { ...Calculator.calculateBodyComposition(weight, bodyFat), method: bodyFatMethod };
+            const leanMass = bodyComposition ? bodyComposition.leanMass : null;
+            
+            // Calculate BMR and TDEE
+            const bmr = Calculator.calculateBMR(weight, height, age, sex, equation, leanMass);
+            let activity = Activity.resolve(formData, bmr, weight);
+            let tdee = Calculator.calculateTDEE(bmr, activity.baseMultiplier, activity.extraCalories);
+            const comparison = Calculator.compareEquations(
+                { weight, height, age, gender: sex, leanMass }, activity.baseMultiplier, activity.extraCalories
+            );
+            
+            if (isChild) {
+                // Children need energy for growth, so TDEE comes from the IOM EER
+                tdee = LifeStage.childEER({ weight, height, age, gender: sex, multiplier: activity.multiplier });
+                activity = {
+                    ...activity,
+                    pal: activity.multiplier,
+                    multiplier: tdee / bmr,
+                    breakdown: { bmr, movement: tdee - bmr, exercise: null }
+                };
+                notices.push({ code: 'pediatric', age });
+                if (bodyComposition && bodyFatMethod === 'navy') {
+                    notices.push({ code: 'navy-adult-only' });
+                }
+            } else if (!Equations.inPopulation(Equations.get(equation), age)) {
+                notices.push({ code: 'outside-population', equation, age });
+            }
+            
+            // Pregnancy and lactation add energy on top of the usual estimate
+            const lifeStageCalories = LifeStage.ADD_ONS[lifeStage] || 0;
+            if (lifeStage !== 'none') {
+                tdee += lifeStageCalories;
+                activity = {
+                    ...activity,
+                    breakdown: { ...activity.breakdown, lifeStage: lifeStageCalories }
+                };
+                notices.push({ code: lifeStage.startsWith('pregnant') ? 'pregnancy' : 'lactation', lifeStage, calories: lifeStageCalories });
+            }
+            
+            // Without a "calculate as" choice, show where male and female constants land
+            const range = sex === 'other' ? Calculator.calculateRange(formData, units) : null;
+            
+            // Later projections scale BMR by a single effective multiplier
+            const activityLevel = String(Math.round(activity.multiplier * 1000) / 1000);
+            const macroRules = formData.macroRules || Macros.resolveRules(Macros.DEFAULT_SETTINGS);
+            const goalsSource = AdaptiveTDEE.isUsable(adaptiveEstimate) ? 'adaptive' : 'formula';
+            const targetTdee = goalsSource === 'adaptive' ? adaptiveEstimate.tdee : tdee;
+            const { goals, guardrails, macros } = Calculator.calculateTargets(
+                targetTdee, macroRules, { weight, leanMass }, { weight, height, age, sex, lifeStage, bmr }
+            );
+            
+            // Waist is only asked for with tape measurements
+            const metrics = BodyMetrics.calculate({
+                weight,
+                height,
+                age,
+                sex,
+                lifeStage,
+                waist: bodyFatMethod === 'navy' && formData.waist ? toCm(formData.waist) : null
+            });
+            
+            return {
+                bmr: Math.round(bmr),
+                tdee: Math.round(tdee),
+                targetTdee: Math.round(targetTdee),
+                range,
+                goalsSource,
+                goals,
+                guardrails,
+                macros,
+                macroRules,
+                equation,
+                comparison,
+                bodyComposition,
+                metrics,
+                activity,
+                notices,
+                inputs: { weight, height, age, gender, calculateAs, sex, activityLevel, bodyFat, lifeStage }
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new ValidationError(Validation.error('calculation-failed'));
+        }
+    },
+    
+    /**
+     * Describe a result notice code in words, with energies written by
+     * formatEnergy(kcal)
+     */
+    describeNotice: (notice, formatEnergy) => {
+        switch (notice.code) {
+            case 'pediatric-equation':
+                return I18n.t('{replaced} is for adults, so BMR uses {equation}, which has child and teen age bands.', {
+                    replaced: Equations.get(notice.replaced).name,
+                    equation: Equations.get(notice.equation).name
+                });
+            case 'pediatric':
+                return I18n.t('For ages under {age}, TDEE is the IOM Estimated Energy Requirement, which includes energy for growth. Weight-change goals for children should be set with a pediatrician.', {
+                    age: LifeStage.ADULT_AGE
+                });
+            case 'navy-adult-only':
+                return I18n.t('The US Navy tape method was developed for adults, so the body fat estimate may be inaccurate.');
+            case 'outside-population': {
+                const equation = Equations.get(notice.equation);
+                return I18n.t('{equation}: {population}. At age {age} this result is outside that population and may be less accurate.', {
+                    equation: equation.name,
+                    population: Equations.describePopulation(equation).toLocaleLowerCase(I18n.locale),
+                    age: notice.age
+                });
+            }
+            case 'pregnancy':
+                return notice.calories > 0
+                    ? I18n.t('Includes {energy} for pregnancy ({stage}). Weight loss is not recommended during pregnancy.', {
+                        energy: formatEnergy(notice.calories),
+                        stage: I18n.t(LifeStage.OPTIONS[notice.lifeStage]).toLocaleLowerCase(I18n.locale)
+                    })
+                    : I18n.t('No extra calories are needed in the 1st trimester. Weight loss is not recommended during pregnancy.');
+            case 'lactation':
+                return I18n.t('Includes {energy} for breastfeeding ({stage}).', {
+                    energy: formatEnergy(notice.calories),
+                    stage: I18n.t(LifeStage.OPTIONS[notice.lifeStage].replace('Breastfeeding, ', ''))
+                });
+            default:
+                return '';
+        }
+    }
+};
+
+// ===== SAFETY GUARDRAILS =====
+export const Guardrails = {
+    // Lowest daily intake advised without medical supervision
+    MIN_INTAKE: { male: 1500, female: 1200 },
+    
+    // Largest deficit as a share of TDEE
+    MAX_DEFICIT_PERCENT: 25,
+    
+    // Fastest advised loss as a share of body weight
+    MAX_LOSS_PERCENT_PER_WEEK: 1,
+    
+    UNDERWEIGHT_BMI: 18.5,
+    LOW_BMI: 20,
+    
+    minimumIntake: (gender) => Sex.midpoint(gender, sex => Guardrails.MIN_INTAKE[sex]),
+    
+    bmi: (weight, height) => weight / ((height / 100) ** 2),
+    
+    /**
+     * Why weight loss should not be offered at all, or null
+     */
+    lossBlocker: (profile) => {
+        if (profile.age < LifeStage.ADULT_AGE) {
+            return { code: 'child' };
+        }
+        if (profile.lifeStage && profile.lifeStage.startsWith('pregnant')) {
+            return { code: 'pregnancy' };
+        }
+        const bmi = Guardrails.bmi(profile.weight, profile.height);
+        if (bmi < Guardrails.UNDERWEIGHT_BMI) {
+            return { code: 'underweight', bmi };
+        }
+        return null;
+    },
+    
+    /**
+     * Why weight gain should not be offered, or null. A child's
+     * requirement already includes energy for growth.
+     */
+    gainBlocker: (profile) => (profile.age < LifeStage.ADULT_AGE ? { code: 'child' } : null),
+    
+    /**
+     * The lowest safe intake at a TDEE and the rule that sets it
+     */
+    lowestSafeIntake: (tdee, profile) => {
+        const limits = [
+            { code: 'min-intake', calories: Guardrails.minimumIntake(profile.sex) },
+            { code: 'max-deficit', calories: tdee * (1 - Guardrails.MAX_DEFICIT_PERCENT / 100) },
+            {
+                code: 'max-loss-rate',
+                calories: tdee - profile.weight * Guardrails.MAX_LOSS_PERCENT_PER_WEEK / 100 * AdaptiveTDEE.KCAL_PER_KG / 7
+            }
+        ];
+        return limits.reduce((highest, limit) => (limit.calories > highest.calories ? limit : highest));
+    },
+    
+    /**
+     * Check weight goals against the rules. Loss goals below the lowest safe
+     * intake are clamped up to it, goals with no safe room are hidden (and
+     * set to maintenance), and goals under BMR are flagged. Gain goals are
+     * hidden for children. Returns { goals, checks, blocker, gainBlocker }
+     * where checks mirror goals with
+     * { status: 'ok' | 'flagged' | 'clamped' | 'hidden', requested, reasons }.
+     */
+    apply: (goals, tdee, profile) => {
+        const adjusted = { loss: { ...goals.loss }, gain: { ...goals.gain } };
+        const checks = { loss: {}, gain: {} };
+        const blocker = Guardrails.lossBlocker(profile);
+        const lowest = Guardrails.lowestSafeIntake(tdee, profile);
+        const bmi = Guardrails.bmi(profile.weight, profile.height);
+        
+        Object.entries(goals.loss).forEach(([level, requested]) => {
+            const reasons = [];
+            let status = 'ok';
+            let calories = requested;
+            
+            if (blocker) {
+                status = 'hidden';
+                reasons.push(blocker);
+            } else if (lowest.calories > tdee - 50) {
+                // Less than 50 kcal/day of room is not a meaningful deficit
+                status = 'hidden';
+                reasons.push({ code: 'no-room', calories: Math.round(lowest.calories) });
+            } else if (requested < lowest.calories) {
+                status = 'clamped';
+                calories = Math.round(lowest.calories);
+                reasons.push({ ...lowest, calories });
+            }
+            
+            if (status === 'hidden') {
+                calories = tdee;
+            } else {
+                if (calories < profile.bmr) {
+                    reasons.push({ code: 'below-bmr', bmr: Math.round(profile.bmr) });
+                }
+                if (bmi < Guardrails.LOW_BMI) {
+                    reasons.push({ code: 'low-bmi', bmi });
+                }
+                if (status === 'ok' && reasons.length > 0) {
+                    status = 'flagged';
+                }
+            }
+            
+            adjusted.loss[level] = calories;
+            checks.loss[level] = { status, requested, reasons };
+        });
+        
+        const gainBlocker = Guardrails.gainBlocker(profile);
+        Object.entries(goals.gain).forEach(([level, requested]) => {
+            if (gainBlocker) {
+                adjusted.gain[level] = tdee;
+                checks.gain[level] = { status: 'hidden', requested, reasons: [gainBlocker] };
+            } else {
+                checks.gain[level] = { status: 'ok', requested, reasons: [] };
+            }
+        });
+        
+        return { goals: adjusted, checks, blocker, gainBlocker };
+    },
+    
+    /**
+     * Describe a guardrail reason code in words, with energies written by
+     * formatEnergy(kcal)
+     */
+    describe: (reason, formatEnergy) => {
+        switch (reason.code) {
+            case 'child':
+                return I18n.t('Weight-change targets are not shown for children and teens. Please talk to a pediatrician about weight goals.');
+            case 'pregnancy':
+                return I18n.t('Weight-loss targets are hidden because weight loss is not recommended during pregnancy.');
+            case 'underweight':
+                return I18n.t('Weight-loss targets are hidden because a BMI of {bmi} is underweight. Consider speaking with a doctor or dietitian.', {
+                    bmi: Utils.formatNumber(reason.bmi, 1)
+                });
+            case 'no-room':
+                return I18n.t('Weight-loss targets are hidden because your maintenance intake is already close to the lowest safe intake of {energy}.', {
+                    energy: formatEnergy(reason.calories)
+                });
+            case 'min-intake':
+                return I18n.t('Raised to {energy}, the lowest intake advised without medical supervision.', { energy: formatEnergy(reason.calories) });
+            case 'max-deficit':
+                return I18n.t('Capped at a {percent}% deficit below maintenance.', { percent: Guardrails.MAX_DEFICIT_PERCENT });
+            case 'max-loss-rate':
+                return I18n.t('Capped at a loss of about {percent}% of body weight per week.', { percent: Guardrails.MAX_LOSS_PERCENT_PER_WEEK });
+            case 'below-bmr':
+                return I18n.t('This is below your BMR ({energy}); staying under it for long is not advised.', { energy: formatEnergy(reason.bmr) });
+            case 'low-bmi':
+                return I18n.t('A BMI of {bmi} is close to underweight; lose weight only with professional advice.', {
+                    bmi: Utils.formatNumber(reason.bmi, 1)
+                });
+            default:
+                return '';
+        }
+    }
+};
+
+// ===== BODY METRICS =====
+export const BodyMetrics = {
+    // WHO adult BMI categories by lower bound
+    BMI_CATEGORIES: [
+        [0, 'underweight'],
+        [18.5, 'healthy'],
+        [25, 'overweight'],
+        [30, 'obese-1'],
+        [35, 'obese-2'],
+        [40, 'obese-3']
+    ],
+    ADULT_CUTOFFS: { thin: 18.5, overweight: 25, obese: 30 },
+    
+    // Below this age BMI is not interpreted (WHO uses weight-for-length)
+    MIN_CHILD_AGE: 2,
+    
+    // IOTF cut-offs by age in whole years: the BMI that tracks to an adult
+    // BMI of 18.5, 25 and 30 at 18 (Cole et al. 2000; Cole et al. 2007)
+    CHILD_CUTOFFS: {
+        male: {
+            2: [15.14, 18.41, 20.09],
+            3: [14.74, 17.89, 19.57],
+            4: [14.43, 17.55, 19.29],
+            5: [14.21, 17.42, 19.30],
+            6: [14.07, 17.55, 19.78],
+            7: [14.08, 17.92, 20.63],
+            8: [14.25, 18.44, 21.60],
+            9: [14.52, 19.10, 22.77],
+            10: [14.97, 19.84, 24.00],
+            11: [15.35, 20.55, 25.10],
+            12: [15.84, 21.22, 26.02],
+            13: [16.41, 21.91, 26.84],
+            14: [17.03, 22.62, 27.63],
+            15: [17.60, 23.29, 28.30],
+            16: [18.12, 23.90, 28.88],
+            17: [18.49, 24.46, 29.41]
+        },
+        female: {
+            2: [14.83, 18.02, 19.81],
+            3: [14.47, 17.56, 19.36],
+            4: [14.19, 17.28, 19.15],
+            5: [13.94, 17.15, 19.17],
+            6: [13.82, 17.34, 19.65],
+            7: [13.86, 17.75, 20.51],
+            8: [14.02, 18.35, 21.57],
+            9: [14.28, 19.07, 22.81],
+            10: [14.61, 19.86, 24.11],
+            11: [15.05, 20.74, 25.42],
+            12: [15.62, 21.68, 26.67],
+            13: [16.26, 22.58, 27.76],
+            14: [16.88, 23.34, 28.57],
+            15: [17.45, 23.94, 29.11],
+            16: [17.91, 24.37, 29.43],
+            17: [18.25, 24.70, 29.69]
+        }
+    },
+    
+    // Ideal body weight formulas: [kg at 5 ft, kg per inch over 5 ft]
+    IDEAL_WEIGHT: {
+        devine: { male: [50, 2.3], female: [45.5, 2.3] },
+        robinson: { male: [52, 1.9], female: [49, 1.7] },
+        miller: { male: [56.2, 1.41], female: [53.1, 1.36] },
+        hamwi: { male: [48, 2.7], female: [45.5, 2.2] }
+    },
+    IDEAL_WEIGHT_MIN_HEIGHT: 152.4,
+    
+    // Waist-to-height ratio by lower bound (Ashwell); used from age 6
+    WAIST_TO_HEIGHT: [
+        [0, 'low'],
+        [0.4, 'healthy'],
+        [0.5, 'increased'],
+        [0.6, 'high']
+    ],
+    WAIST_TO_HEIGHT_MIN_AGE: 6,
+    
+    /**
+     * Category for a value from a list of [lower bound, category]
+     */
+    categorize: (value, bounds) => bounds.filter(([min]) => value >= min).pop()[1],
+    
+    /**
+     * BMI cut-offs for an age and sex as { thin, overweight, obese }, or null
+     * below the age BMI is interpreted at
+     */
+    bmiCutoffs: (age, sex) => {
+        if (age >= LifeStage.ADULT_AGE) {
+            return BodyMetrics.ADULT_CUTOFFS;
+        }
+        if (age < BodyMetrics.MIN_CHILD_AGE) {
+            return null;
+        }
+        const cutoff = (index) => Sex.midpoint(sex, s => BodyMetrics.CHILD_CUTOFFS[s][age][index]);
+        return { thin: cutoff(0), overweight: cutoff(1), obese: cutoff(2) };
+    },
+    
+    /**
+     * Classify a BMI. Adults get the WHO categories, children and teens the
+     * IOTF age- and sex-specific cut-offs. Basis is 'adult', 'child',
+     * 'infant' (not classified) or 'pregnancy' (not classified).
+     */
+    classifyBmi: (bmi, age, sex, lifeStage = 'none') => {
+        if (String(lifeStage).startsWith('pregnant')) {
+            return { category: null, basis: 'pregnancy' };
+        }
+        const cutoffs = BodyMetrics.bmiCutoffs(age, sex);
+        if (!cutoffs) {
+            return { category: null, basis: 'infant' };
+        }
+        if (age >= LifeStage.ADULT_AGE) {
+            return { category: BodyMetrics.categorize(bmi, BodyMetrics.BMI_CATEGORIES), basis: 'adult' };
+        }
+        return {
+            category: BodyMetrics.categorize(bmi, [
+                [0, 'underweight'],
+                [cutoffs.thin, 'healthy'],
+                [cutoffs.overweight, 'overweight'],
+                [cutoffs.obese, 'obese']
+            ]),
+            basis: 'child'
+        };
+    },
+    
+    /**
+     * Ideal body weight (kg) by each formula for an adult height in cm
+     */
+    idealWeights: (height, sex) => {
+        const inchesOver = height / 2.54 - 60;
+        return Object.fromEntries(Object.entries(BodyMetrics.IDEAL_WEIGHT).map(([id, bySex]) => [
+            id,
+            Sex.midpoint(sex, s => bySex[s][0] + bySex[s][1] * inchesOver)
+        ]));
+    },
+    
+    /**
+     * Body metrics from metric inputs. Parts that do not apply (ideal
+     * weight for children, waist-to-height without a waist) are null.
+     */
+    calculate: ({ weight, height, age, sex, lifeStage = 'none', waist = null }) => {
+        const squared = (height / 100) ** 2;
+        const bmi = weight / squared;
+        const cutoffs = BodyMetrics.bmiCutoffs(age, sex);
+        const ratio = waist ? waist / height : null;
+        
+        return {
+            bmi: { value: bmi, ...BodyMetrics.classifyBmi(bmi, age, sex, lifeStage) },
+            healthyRange: cutoffs
+                ? { low: cutoffs.thin * squared, high: cutoffs.overweight * squared, cutoffs }
+                : null,
+            idealWeight: age >= LifeStage.ADULT_AGE && height >= BodyMetrics.IDEAL_WEIGHT_MIN_HEIGHT
+                ? BodyMetrics.idealWeights(height, sex)
+                : null,
+            waistToHeight: ratio && age >= BodyMetrics.WAIST_TO_HEIGHT_MIN_AGE
+                ? { value: ratio, category: BodyMetrics.categorize(ratio, BodyMetrics.WAIST_TO_HEIGHT) }
+                : null
+        };
+    }
+};
+
+// ===== ADAPTIVE TDEE =====
+export const AdaptiveTDEE = {
+    // Energy in 1 kg of body mass change (mixed fat/lean tissue)
+    KCAL_PER_KG: 7700,
+    
+    WINDOW_DAYS: 28,
+    MIN_DAYS: 7,
+    
+    /**
+     * The smoothed weight trend: the least-squares line through the
+     * weigh-ins, as its slope (kg/day) and its weight on the last weigh-in.
+     * It damps day-to-day water and food swings like a moving average
+     * would, without the lag that makes a moving average understate the
+     * change over a few weeks of logging.
+     */
+    trendLine: (weighed) => {
+        const origin = weighed[0].date;
+        const xs = weighed.map(point => Utils.daysBetween(origin, point.date));
+        const ys = weighed.map(point => point.weight);
+        const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+        let numerator = 0;
+        let denominator = 0;
+        xs.forEach((x, i) => {
+            numerator += (x - meanX) * (ys[i] - meanY);
+            denominator += (x - meanX) ** 2;
+        });
+        const slope = denominator === 0 ? 0 : numerator / denominator;
+        return { slope, weight: meanY + slope * (xs[xs.length - 1] - meanX) };
+    },
+    
+    /**
+     * Estimate actual expenditure from energy balance over the recent window:
+     * TDEE = average intake - daily change of the trend weight x kcal per kg
+     */
+    estimate: (entries) => {
+        const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+        if (sorted.length === 0) {
+            return { tdee: null, confidence: 'none', days: 0, intakeDays: 0, weightDays: 0 };
+        }
+        
+        const latest = sorted[sorted.length - 1].date;
+        const recent = sorted.filter(entry => Utils.daysBetween(entry.date, latest) < AdaptiveTDEE.WINDOW_DAYS);
+        const weighed = recent.filter(entry => entry.weight);
+        const intake = recent.filter(entry => entry.calories !== null && entry.calories !== undefined);
+        const days = Utils.daysBetween(recent[0].date, latest) + 1;
+        const summary = { days, intakeDays: intake.length, weightDays: weighed.length };
+        
+        const span = weighed.length > 1 ? Utils.daysBetween(weighed[0].date, weighed[weighed.length - 1].date) : 0;
+        if (span < AdaptiveTDEE.MIN_DAYS - 1 || intake.length < AdaptiveTDEE.MIN_DAYS) {
+            return { tdee: null, confidence: 'none', ...summary };
+        }
+        
+        const trend = AdaptiveTDEE.trendLine(weighed);
+        const dailyChange = trend.slope;
+        const averageIntake = intake.reduce((sum, entry) => sum + entry.calories, 0) / intake.length;
+        const tdee = averageIntake - dailyChange * AdaptiveTDEE.KCAL_PER_KG;
+        const coverage = intake.length / days;
+        
+        let confidence = 'low';
+        if (span >= 20 && coverage >= 0.8) {
+            confidence = 'high';
+        } else if (span >= 13 && coverage >= 0.6) {
+            confidence = 'medium';
+        }
+        
+        return {
+            tdee: Math.round(tdee),
+            confidence,
+            averageIntake: Math.round(averageIntake),
+            weeklyChange: dailyChange * 7,
+            trendWeight: trend.weight,
+            ...summary
+        };
+    },
+    
+    /**
+     * Only medium/high confidence estimates replace the formula for goals
+     */
+    isUsable: (estimate) => Boolean(estimate && ['medium', 'high'].includes(estimate.confidence))
+};
+
+// ===== GOAL TIMELINE =====
+export const GoalPlanner = {
+    MAX_WEEKS: 156,
+    DEFAULT_PACE: -0.5,
+    
+    // Gain pace beyond which a plan is flagged (loss limits are in Guardrails)
+    MAX_GAIN_KG_PER_WEEK: 0.5,
+    
+    /**
+     * Planner profile from a calculation's results, so the plan starts from
+     * the same maintenance figure the results show
+     */
+    profileFrom: (results) => {
+        const { weight, height, age, sex, activityLevel, lifeStage } = results.inputs;
+        return {
+            weight,
+            height,
+            age,
+            gender: sex,
+            activityLevel,
+            pal: results.activity ? results.activity.pal ?? null : null,
+            lifeStage: lifeStage || 'none',
+            equation: results.equation,
+            leanMass: results.bodyComposition ? results.bodyComposition.leanMass : null,
+            adjustment: results.targetTdee / results.tdee
+        };
+    },
+    
+    /**
+     * Maintenance calories at a given body weight, worked out the way the
+     * calculator does: the IOM EER for children, pregnancy and lactation
+     * add-ons on top. Lean mass is held constant (the change is assumed to
+     * be fat) and the adjustment scales the result towards an observed TDEE
+     * when one is available.
+     */
+    tdeeAt: (profile, weight) => {
+        const bmr = Calculator.calculateBMR(
+            weight, profile.height, profile.age, profile.gender, profile.equation, profile.leanMass
+        );
+        const tdee = profile.age < LifeStage.ADULT_AGE && profile.pal
+            ? LifeStage.childEER({ weight, height: profile.height, age: profile.age, gender: profile.gender, multiplier: profile.pal })
+            : Calculator.calculateTDEE(bmr, profile.activityLevel);
+        const lifeStageCalories = LifeStage.ADD_ONS[profile.lifeStage] || 0;
+        return (tdee + lifeStageCalories) * (profile.adjustment || 1);
+    },
+    
+    /**
+     * Simulate day by day at a constant intake, re-running BMR/TDEE as weight
+     * changes. Returns weekly snapshots and the day the target is reached.
+     */
+    simulate: (profile, dailyCalories, days, targetWeight = null) => {
+        let weight = profile.weight;
+        let reachedDay = null;
+        const direction = targetWeight === null ? 0 : Math.sign(targetWeight - profile.weight);
+        const snapshot = (day) => {
+            const tdee = GoalPlanner.tdeeAt(profile, weight);
+            return { week: day / 7, day, weight, tdee, balance: dailyCalories - tdee };
+        };
+        const weeks = [snapshot(0)];
+        
+        for (let day = 1; day <= days; day++) {
+            weight += (dailyCalories - GoalPlanner.tdeeAt(profile, weight)) / AdaptiveTDEE.KCAL_PER_KG;
+            if (reachedDay === null && direction !== 0 && Math.sign(targetWeight - weight) !== direction) {
+                reachedDay = day;
+            }
+            if (day % 7 === 0 || day === days) {
+                weeks.push(snapshot(day));
+            }
+        }
+        
+        return { weeks, reachedDay, finalWeight: weight };
+    },
+    
+    /**
+     * Constant daily intake that reaches the target weight in the given days
+     */
+    requiredCalories: (profile, targetWeight, days) => {
+        let low = 0;
+        let high = 10000;
+        for (let i = 0; i < 40; i++) {
+            const mid = (low + high) / 2;
+            const { finalWeight } = GoalPlanner.simulate(profile, mid, days);
+            if (finalWeight < targetWeight) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    },
+    
+    /**
+     * Build a plan from a target weight and/or date. Without a date the
+     * weekly pace sets the starting deficit or surplus; without a target
+     * weight the pace is projected up to the date. Warnings are returned
+     * as codes with values for the UI to describe. Plans are refused for
+     * profiles the guardrails keep from losing weight (children, pregnancy,
+     * underweight) or from gaining it (children): the result is then
+     * { blocked } with the guardrail reason.
+     */
+    plan: (profile, { targetWeight = null, targetDate = null, weeklyPace = -0.5, today = Utils.toDateKey() }) => {
+        const losing = targetWeight !== null ? targetWeight < profile.weight : weeklyPace < 0;
+        const blocker = losing ? Guardrails.lossBlocker(profile) : Guardrails.gainBlocker(profile);
+        if (blocker) {
+            return { blocked: blocker, targetWeight, targetDate };
+        }
+        
+        const warnings = [];
+        let dailyCalories;
+        let days;
+        const startTdee = GoalPlanner.tdeeAt(profile, profile.weight);
+        
+        if (targetDate) {
+            days = Utils.daysBetween(today, targetDate);
+        }
+        
+        if (targetWeight !== null && targetDate) {
+            dailyCalories = GoalPlanner.requiredCalories(profile, targetWeight, days);
+        } else {
+            const direction = targetWeight === null ? Math.sign(weeklyPace) : Math.sign(targetWeight - profile.weight);
+            dailyCalories = startTdee + direction * Math.abs(weeklyPace) * AdaptiveTDEE.KCAL_PER_KG / 7;
+            if (!targetDate) {
+                days = GoalPlanner.MAX_WEEKS * 7;
+            }
+        }
+        
+        const simulation = GoalPlanner.simulate(profile, dailyCalories, days, targetWeight);
+        let { weeks } = simulation;
+        
+        // Without a date, stop the table once the target is reached
+        if (!targetDate && simulation.reachedDay !== null) {
+            days = simulation.reachedDay;
+            weeks = GoalPlanner.simulate(profile, dailyCalories, days).weeks;
+        }
+        
+        const endWeight = weeks[weeks.length - 1].weight;
+        const firstWeekChange = weeks.length > 1 ? (weeks[1].weight - weeks[0].weight) / (weeks[1].day / 7) : 0;
+        const startBmr = Calculator.calculateBMR(
+            profile.weight, profile.height, profile.age, profile.gender, profile.equation, profile.leanMass
+        );
+        
+        if (targetWeight !== null && !targetDate && simulation.reachedDay === null) {
+            warnings.push({ code: 'plateau', weight: endWeight });
+        }
+        if (firstWeekChange < 0 && -firstWeekChange > profile.weight * Guardrails.MAX_LOSS_PERCENT_PER_WEEK / 100) {
+            warnings.push({ code: 'fast-loss', perWeek: -firstWeekChange });
+        }
+        if (firstWeekChange > GoalPlanner.MAX_GAIN_KG_PER_WEEK) {
+            warnings.push({ code: 'fast-gain', perWeek: firstWeekChange });
+        }
+        const minimum = Guardrails.minimumIntake(profile.gender);
+        if (dailyCalories < minimum) {
+            warnings.push({ code: 'below-minimum', calories: dailyCalories, minimum });
+        } else if (dailyCalories < startBmr) {
+            warnings.push({ code: 'below-bmr', calories: dailyCalories, bmr: startBmr });
+        }
+        const bmi = (targetWeight ?? endWeight) / ((profile.height / 100) ** 2);
+        if (bmi < 18.5) {
+            warnings.push({ code: 'underweight', bmi, projected: targetWeight === null });
+        }
+        
+        return {
+            dailyCalories: Math.round(dailyCalories),
+            days,
+            weeks,
+            reachedDay: targetDate ? null : simulation.reachedDay,
+            endWeight,
+            targetWeight,
+            targetDate,
+            warnings
+        };
+    }
+};
+
+// ===== CALORIE CYCLING =====
+export const CalorieCycling = {
+    DAYS: [
+        { key: 'mon', name: 'Monday' },
+        { key: 'tue', name: 'Tuesday' },
+        { key: 'wed', name: 'Wednesday' },
+        { key: 'thu', name: 'Thursday' },
+        { key: 'fri', name: 'Friday' },
+        { key: 'sat', name: 'Saturday' },
+        { key: 'sun', name: 'Sunday' }
+    ],
+    
+    GOALS: {
+        maintenance: 'Maintain weight',
+        'loss-mild': 'Mild weight loss',
+        'loss-moderate': 'Moderate weight loss',
+        'loss-aggressive': 'Aggressive weight loss',
+        'gain-mild': 'Mild weight gain',
+        'gain-moderate': 'Moderate weight gain'
+    },
+    
+    // Difference between a training day and a rest day, % of the goal
+    AMOUNTS: [10, 15, 20, 25, 30],
+    
+    DEFAULT_SETTINGS: {
+        trainingDays: [0, 2, 4],
+        goal: 'maintenance',
+        amount: 20,
+        include: true
+    },
+    
+    /**
+     * Daily calories for a goal key from calculation results
+     */
+    goalCalories: (results, goal) => {
+        if (goal === 'maintenance') {
+            return results.targetTdee ?? results.tdee;
+        }
+        const [group, level] = goal.split('-');
+        return results.goals[group][level];
+    },
+    
+    /**
+     * Spread a weekly budget of goalCalories x 7 over training and rest days.
+     * Training days sit amount% of the goal above rest days, split by the
+     * number of each so the weekly total is unchanged. Rounding is settled
+     * on Sunday so the week adds up exactly.
+     */
+    plan: (goalCalories, trainingDays, amount, rules, body, gender) => {
+        const training = CalorieCycling.DAYS.map((day, index) => trainingDays.includes(index));
+        const trainingCount = training.filter(Boolean).length;
+        const restCount = 7 - trainingCount;
+        const difference = goalCalories * amount / 100;
+        
+        const weeklyCalories = Math.round(goalCalories * 7);
+        const trainingCalories = goalCalories + difference * restCount / 7;
+        const restCalories = goalCalories - difference * trainingCount / 7;
+        
+        const calories = training.map(isTraining => Math.round(isTraining ? trainingCalories : restCalories));
+        calories[6] += weeklyCalories - calories.reduce((total, value) => total + value, 0);
+        
+        const days = CalorieCycling.DAYS.map((day, index) => ({
+            ...day,
+            training: training[index],
+            calories: calories[index],
+            macros: Macros.calculate(calories[index], rules, body)
+        }));
+        
+        const warnings = [];
+        const minimum = Guardrails.minimumIntake(gender);
+        const lowest = Math.min(...calories);
+        if (lowest < minimum) {
+            warnings.push({ code: 'below-minimum', calories: lowest, minimum });
+        }
+        
+        return {
+            goalCalories: Math.round(goalCalories),
+            weeklyCalories,
+            trainingCalories: Math.round(trainingCalories),
+            restCalories: Math.round(restCalories),
+            trainingCount,
+            amount,
+            days,
+            warnings
+        };
+    },
+    
+    /**
+     * Plan for the shown results with the remembered settings
+     */
+    forResults: (results, settings) => {
+        const leanMass = results.bodyComposition ? results.bodyComposition.leanMass : null;
+        const [group, level] = settings.goal.split('-');
+        const hidden = results.guardrails && level && results.guardrails.checks[group][level].status === 'hidden';
+        const goal = hidden ? 'maintenance' : settings.goal;
+        const plan = CalorieCycling.plan(
+            CalorieCycling.goalCalories(results, goal),
+            settings.trainingDays,
+            settings.amount,
+            results.macroRules,
+            { weight: results.inputs.weight, leanMass },
+            results.inputs.sex
+        );
+        if (hidden) {
+            plan.warnings.unshift({ code: 'goal-unavailable', goal: settings.goal });
+        }
+        return { ...plan, goal };
+    }
+};
+
+// ===== NUTRITION =====
+// Foods hold energy (kcal) and protein, fat and carbs (g) per 100 g, plus
+// household units ({ name, grams }) such as a cup or a slice
+export const Nutrition = {
+    NUTRIENTS: ['calories', 'protein', 'fat', 'carbs'],
+    
+    // Limits for custom foods and diary entries
+    MAX_NAME_LENGTH: 60,
+    MAX_CALORIES: 900,
+    MAX_SERVING_GRAMS: 2000,
+    MAX_ENTRY_GRAMS: 5000,
+    MAX_SERVINGS: 100,
+    MAX_YIELD_GRAMS: 50000,
+    
+    MAX_RESULTS: 20,
+    
+    /**
+     * Weight in grams of an amount in grams or in one of the food's units
+     */
+    toGrams: (food, amount, unit = 'g') => {
+        if (unit === 'g') {
+            return amount;
+        }
+        const serving = (food.servings || []).find(candidate => candidate.name === unit);
+        if (!serving) {
+            throw new Error(`Unknown unit "${unit}" for ${food.name}`);
+        }
+        return amount * serving.grams;
+    },
+    
+    /**
+     * Energy and macros in a weight of a food
+     */
+    forGrams: (food, grams) => Object.fromEntries(
+        Nutrition.NUTRIENTS.map(nutrient => [nutrient, food[nutrient] * grams / 100])
+    ),
+    
+    /**
+     * Sum of diary entries ({ food, grams })
+     */
+    total: (entries) => entries.reduce((totals, entry) => {
+        const amounts = Nutrition.forGrams(entry.food, entry.grams);
+        Nutrition.NUTRIENTS.forEach(nutrient => {
+            totals[nutrient] += amounts[nutrient];
+        });
+        return totals;
+    }, Object.fromEntries(Nutrition.NUTRIENTS.map(nutrient => [nutrient, 0]))),
+    
+    /**
+     * Nutrition of a recipe ({ ingredients: [{ food, grams }], servings,
+     * yieldGrams }). The cooked weight defaults to the ingredients' weight;
+     * water lost or gained in cooking changes the values per 100 g but not
+     * per serving.
+     */
+    recipe: ({ ingredients, servings, yieldGrams = null }) => {
+        const totals = Nutrition.total(ingredients);
+        const rawGrams = ingredients.reduce((sum, ingredient) => sum + ingredient.grams, 0);
+        const cookedGrams = yieldGrams || rawGrams;
+        const scale = (factor) => Object.fromEntries(
+            Nutrition.NUTRIENTS.map(nutrient => [nutrient, totals[nutrient] * factor])
+        );
+        return {
+            totals,
+            rawGrams,
+            cookedGrams,
+            servings,
+            servingGrams: cookedGrams / servings,
+            perServing: scale(1 / servings),
+            per100g: cookedGrams > 0 ? scale(100 / cookedGrams) : scale(0)
+        };
+    },
+    
+    /**
+     * A recipe as a food (values per 100 g cooked) with a serving as its
+     * household unit, so it can be logged as one item
+     */
+    recipeFood: (recipe) => {
+        const { per100g, servingGrams } = Nutrition.recipe(recipe);
+        return {
+            ...per100g,
+            name: recipe.name,
+            recipe: true,
+            recipeId: recipe.id,
+            servings: [{ name: 'serving', grams: servingGrams }]
+        };
+    },
+    
+    /**
+     * A recipe resized to a number of servings: ingredient amounts and the
+     * cooked weight scale with it, so each serving stays the same
+     */
+    scaleRecipe: (recipe, servings) => {
+        const factor = servings / recipe.servings;
+        return {
+            ...recipe,
+            servings,
+            yieldGrams: recipe.yieldGrams ? recipe.yieldGrams * factor : null,
+            ingredients: recipe.ingredients.map(ingredient => ({
+                ...ingredient,
+                amount: ingredient.amount * factor,
+                grams: ingredient.grams * factor
+            }))
+        };
+    },
+    
+    /**
+     * Daily calories and macros for a goal key (see CalorieCycling.GOALS).
+     * A goal hidden by the guardrails falls back to maintenance.
+     */
+    target: (results, goal) => {
+        const [group, level] = goal.split('-');
+        const unavailable = Boolean(results.guardrails && level && results.guardrails.checks[group][level].status === 'hidden');
+        const key = unavailable ? 'maintenance' : goal;
+        const macros = results.macros
+            ? (key === 'maintenance' ? results.macros.maintenance : results.macros[group][level])
+            : { protein: null, fat: null, carbs: null };
+        return {
+            goal: key,
+            unavailable,
+            calories: Math.round(CalorieCycling.goalCalories(results, key)),
+            protein: macros.protein,
+            fat: macros.fat,
+            carbs: macros.carbs
+        };
+    },
+    
+    /**
+     * Eaten totals against a target, per nutrient. Nutrients without a
+     * target are left out.
+     */
+    compare: (totals, target) => Nutrition.NUTRIENTS
+        .filter(nutrient => target[nutrient] !== null && target[nutrient] !== undefined)
+        .map(nutrient => ({
+            nutrient,
+            eaten: totals[nutrient],
+            target: target[nutrient],
+            remaining: target[nutrient] - totals[nutrient],
+            percent: target[nutrient] > 0 ? totals[nutrient] / target[nutrient] * 100 : 0
+        })),
+    
+    /**
+     * A food's name in a language. Bundled foods carry translated names;
+     * custom foods and recipes have the one name they were saved with.
+     */
+    nameOf: (food, language = I18n.language) => (food.names && food.names[language]) || food.name,
+    
+    /**
+     * Words of a name or query, lower-cased and without accents or Arabic
+     * vowel and hamza marks. Plurals ending in -ies are read as -y so
+     * "berry" finds "berries".
+     */
+    words: (text) => String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .map(word => word.replace(/ies$/, 'y')),
+    
+    /**
+     * Foods with a name word starting with every query word (or a plural of
+     * it), best matches first: names that start with the query, the user's
+     * own foods and recipes, then shorter names. Names in the given language
+     * are searched as well as the English ones.
+     */
+    search: (foods, query, { language = I18n.language, limit = Nutrition.MAX_RESULTS } = {}) => {
+        const queryWords = Nutrition.words(query);
+        if (queryWords.length === 0) {
+            return [];
+        }
+        const matches = (word, nameWord) => nameWord.startsWith(word)
+            || (word.startsWith(nameWord) && word.length - nameWord.length <= 2);
+        const found = (nameWords) => queryWords.every(word => nameWords.some(nameWord => matches(word, nameWord)));
+        
+        return foods
+            .map(food => {
+                const name = Nutrition.nameOf(food, language);
+                return { food, name, nameWords: [name, food.name].map(Nutrition.words).find(found) };
+            })
+            .filter(({ nameWords }) => nameWords)
+            .map(({ food, name, nameWords }) => ({
+                food,
+                name,
+                score: (matches(queryWords[0], nameWords[0]) ? 0 : 2) + (food.custom || food.recipe ? 0 : 1)
+            }))
+            .sort((a, b) => a.score - b.score || a.name.length - b.name.length)
+            .slice(0, limit)
+            .map(({ food }) => food);
+    }
+};
+
+// ===== SYNC PROTOCOL =====
+// Calculations and daily log entries can be copied to a self-hosted server.
+// The app POSTs { device, changes } to the configured address, each change
+// being { id, store, key, op: 'put' | 'delete', record, updatedAt }, with the
+// token as "Authorization: Bearer <token>". The change id is built from the
+// record's syncId, given when the record is created, because local keys
+// repeat across devices; key is the local one. The server answers
+// { results: [{ id, status }] }: status 'ok' once stored, or 'conflict' with
+// its own newer { op, record, updatedAt } in "change". On both sides the
+// change with the later updatedAt wins. sync-server.mjs is a mock server.
+export const Sync = {
+    // Synced stores and the local key of a record in each
+    STORES: {
+        history: (record) => record.id,
+        dailyLog: (record) => [record.profileId, record.date]
+    },
+    MAX_BATCH: 100,
+    MAX_TOKEN_LENGTH: 512,
+    
+    /**
+     * A new syncId, naming a record on every device
+     */
+    recordId: () => crypto.randomUUID(),
+    
+    /**
+     * Outbox and server id of a record: one pending change per record, so a
+     * later edit replaces an unsent one
+     */
+    changeId: (store, syncId) => `${store}:${syncId}`,
+    
+    /**
+     * A change for the outbox: the record as saved, or its deletion.
+     * Calculations saved before sync existed carry only their timestamp.
+     */
+    change: (store, record, { deleted = false, updatedAt = null } = {}) => ({
+        id: Sync.changeId(store, record.syncId),
+        store,
+        key: Sync.STORES[store](record),
+        op: deleted ? 'delete' : 'put',
+        record: deleted ? null : record,
+        updatedAt: updatedAt ?? (deleted ? null : record.updatedAt ?? record.timestamp) ?? Date.now()
+    }),
+    
+    /**
+     * Whether an incoming change should replace the stored one
+     */
+    wins: (incoming, stored) => !stored || incoming.updatedAt >= stored.updatedAt,
+    
+    /**
+     * Hosts on this computer, where a plain http:// server is acceptable
+     */
+    isLocalHost: (hostname) => hostname === 'localhost' ||
+        hostname.endsWith('.localhost') ||
+        hostname === '[::1]' ||
+        /^127\.\d+\.\d+\.\d+$/.test(hostname)
+};
+
+// ===== CSV =====
+export const CSV = {
+    /**
+     * Parse CSV text (RFC 4180 quoting, comma or semicolon separated)
+     * into an array of rows of strings
+     */
+    parse: (text) => {
+        const source = text.replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    },
+    
+    /**
+     * Parse CSV with a header row into objects keyed by lower-case column name
+     */
+    parseObjects: (text) => {
+        const [header = [], ...rows] = CSV.parse(text);
+        const keys = header.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+        return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ''])));
+    },
+    
+    /**
+     * Serialize objects to CSV with a header row, quoting where needed
+     */
+    stringify: (columns, records) => {
+        const escape = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",;\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns, ...records.map(record => columns.map(column => record[column]))];
+        return lines.map(cells => cells.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+};
+
+// ===== DATA FILE FORMAT =====
+export const DataFormat = {
+    NAME: 'calorie-calculator',
+    VERSION: 1,
+    
+    // What a file holds. JSON documents carry it as "type"; CSV exports
+    // repeat it in a record_type column on every row.
+    TYPES: ['profile', 'history'],
+    TYPE_COLUMN: 'record_type',
+    
+    // Input columns shared by CSV files and JSON records. Lengths may be
+    // given in either unit; weight_unit and height_unit say which one was
+    // entered, otherwise metric wins when both are present.
+    INPUT_COLUMNS: [
+        'timestamp', 'note', 'units', 'weight_unit', 'height_unit',
+        'age', 'gender', 'calculate_as', 'life_stage',
+        'height_cm', 'height_ft', 'height_in', 'weight_kg', 'weight_lb',
+        'activity_level', 'equation', 'body_fat', 'body_fat_method',
+        'neck_cm', 'waist_cm', 'hip_cm', 'neck_in', 'waist_in', 'hip_in'
+    ],
+    
+    // Calculated columns added on export and ignored on import. Energy is
+    // in energy_unit; _kcal columns are renamed _kj for kJ exports.
+    RESULT_COLUMNS: [
+        'equation_name', 'energy_unit', 'bmr', 'tdee', 'goals_source', 'maintenance_kcal',
+        'loss_mild_kcal', 'loss_moderate_kcal', 'loss_aggressive_kcal',
+        'gain_mild_kcal', 'gain_moderate_kcal',
+        'protein_g', 'fat_g', 'carbs_g', 'lean_mass_kg', 'fat_mass_kg'
+    ],
+    
+    /**
+     * Result column names for an energy unit
+     */
+    resultColumns: (energy = 'kcal') => {
+        return DataFormat.RESULT_COLUMNS.map(column => column.replace(/_kcal$/, `_${energy.toLowerCase()}`));
+    },
+    
+    GENDER_ALIASES: {
+        m: 'male',
+        f: 'female',
+        x: 'other',
+        o: 'other',
+        'non-binary': 'other',
+        nonbinary: 'other',
+        intersex: 'other'
+    },
+    
+    ACTIVITY_ALIASES: {
+        sedentary: '1.2',
+        light: '1.375',
+        lightly: '1.375',
+        moderate: '1.55',
+        moderately: '1.55',
+        active: '1.725',
+        very: '1.725',
+        extra: '1.9',
+        extremely: '1.9'
+    },
+    
+    /**
+     * Accept activity multipliers ("1.55") or names ("moderate")
+     */
+    normalizeActivity: (value) => {
+        const text = String(value).trim().toLowerCase();
+        const number = parseFloat(text);
+        if (!isNaN(number)) {
+            return String(number);
+        }
+        return DataFormat.ACTIVITY_ALIASES[text.split(/[\s_-]+/)[0]] || text;
+    },
+    
+    /**
+     * Pick calculator inputs out of free text such as
+     * "32 male 180cm 82kg moderately active". Returns a record with the
+     * input columns found.
+     */
+    fromText: (text) => {
+        let rest = ` ${String(text).toLowerCase().replace(/,/g, ' ')} `;
+        const record = {};
+        const take = (pattern, apply) => {
+            const match = rest.match(pattern);
+            if (match) {
+                apply(match);
+                rest = rest.replace(match[0], ' ');
+            }
+        };
+        const number = '(\\d+(?:\\.\\d+)?)';
+        
+        take(new RegExp(`${number}\\s*(?:%|percent)\\s*(?:body\\s*fat|bf)?`), match => { record.body_fat = match[1]; });
+        take(new RegExp(`(?:body\\s*fat|bf)\\s*:?\\s*${number}`), match => { record.body_fat = match[1]; });
+        take(new RegExp(`${number}\\s*(?:kg|kgs|kilos?|kilograms?)\\b`), match => { record.weight_kg = match[1]; });
+        take(new RegExp(`${number}\\s*(?:lb|lbs|pounds?)\\b`), match => { record.weight_lb = match[1]; });
+        take(new RegExp(`${number}\\s*(?:cm|centimet(?:er|re)s?)\\b`), match => { record.height_cm = match[1]; });
+        take(/(\d)\s*(?:ft|feet|foot|')\s*(?:(\d{1,2}(?:\.\d+)?)\s*(?:in|inch|inches|"|'')?)?/, match => {
+            record.height_ft = match[1];
+            record.height_in = match[2] || '0';
+        });
+        take(/\b([12](?:\.\d{1,2})?)\s*(?:m|meters?|metres?)\b/, match => {
+            record.height_cm = String(Math.round(parseFloat(match[1]) * 100));
+        });
+        // The first gender word wins. Single letters only count on their own,
+        // not after an apostrophe as in "I'm".
+        take(/(?<!['’])\b(?:(non-?binary|enby|intersex)|(female|woman|girl|f)|(male|man|boy|m))\b/, match => {
+            record.gender = match[1] ? 'other' : (match[2] ? 'female' : 'male');
+        });
+        take(/\b(sedentary|light(?:ly)?|moderate(?:ly)?|very|extra|extremely)\b(?:\s+active)?|\bactive\b/, match => {
+            record.activity_level = DataFormat.normalizeActivity(match[1] || 'active');
+        });
+        take(/\b(?:age\s*:?\s*)?(\d{1,3})\s*(?:y|yo|yrs?|years?)?(?:\s*old)?\b/, match => { record.age = match[1]; });
+        
+        return record;
+    },
+    
+    /**
+     * Convert an imported record into raw form data in one unit system
+     */
+    fromRecord: (record) => {
+        const value = (key) => (record[key] === undefined || record[key] === null ? '' : String(record[key]).trim());
+        const round = (number, decimals = 1) => String(Math.round(number * 10 ** decimals) / 10 ** decimals);
+        const errors = [];
+        const system = value('units').toLowerCase();
+        const isMetric = system === 'metric' || (system !== 'imperial' && (value('weight_kg') !== '' || value('weight_lb') === ''));
+        const units = Units.normalize({
+            weight: value('weight_unit').toLowerCase() || (isMetric ? 'kg' : 'lb'),
+            height: value('height_unit').toLowerCase() || (isMetric ? 'cm' : 'ft')
+        });
+        
+        // Lengths in the chosen unit, converting from the other when needed
+        const length = (name) => {
+            const cm = value(`${name}_cm`);
+            const inches = value(`${name}_in`);
+            if (units.height === 'cm') {
+                return cm || (inches ? round(Utils.inchesToCm(parseFloat(inches))) : '');
+            }
+            return inches || (cm ? round(parseFloat(cm) / 2.54) : '');
+        };
+        
+        const data = {
+            age: value('age'),
+            gender: DataFormat.GENDER_ALIASES[value('gender').toLowerCase()] || value('gender').toLowerCase(),
+            calculateAs: value('calculate_as').toLowerCase() || null,
+            height: '',
+            heightFeet: '',
+            heightInches: '',
+            weight: '',
+            weightPounds: '',
+            activityLevel: DataFormat.normalizeActivity(value('activity_level')),
+            activityMode: 'preset',
+            lifeStage: value('life_stage') || 'none',
+            equation: value('equation') || Equations.DEFAULT,
+            bodyFat: value('body_fat'),
+            bodyFatMethod: value('body_fat_method') === 'navy' ? 'navy' : 'direct',
+            neck: length('neck'),
+            waist: length('waist'),
+            hip: length('hip')
+        };
+        
+        if (data.activityLevel && !Activity.PRESETS.includes(data.activityLevel)) {
+            data.activityMode = 'custom';
+        }
+        
+        // Weight in the chosen unit; stones come from the pound columns
+        const kg = value('weight_kg');
+        const lbs = value('weight_lb');
+        if (units.weight === 'kg') {
+            data.weight = kg || (lbs ? round(Utils.lbsToKg(parseFloat(lbs))) : '');
+        } else if (kg || lbs) {
+            const totalLbs = lbs ? parseFloat(lbs) : Utils.kgToLbs(parseFloat(kg));
+            if (units.weight === 'st') {
+                Object.assign(data, Units.weightFromKg(Utils.lbsToKg(totalLbs), 'st'));
+            } else {
+                data.weight = lbs || round(totalLbs);
+            }
+        }
+        
+        if (units.height === 'cm') {
+            data.height = value('height_cm') || (value('height_ft')
+                ? round(Utils.feetInchesToCm(parseFloat(value('height_ft')), parseFloat(value('height_in')) || 0))
+                : '');
+        } else if (value('height_ft')) {
+            data.heightFeet = value('height_ft');
+            data.heightInches = value('height_in') || '0';
+        } else if (value('height_cm')) {
+            const { feet, inches } = Utils.cmToFeetInches(parseFloat(value('height_cm')));
+            data.heightFeet = String(feet);
+            data.heightInches = String(inches);
+        }
+        
+        let timestamp = null;
+        if (value('timestamp')) {
+            const raw = value('timestamp');
+            timestamp = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+            if (isNaN(timestamp)) {
+                errors.push(Validation.error('timestamp-invalid', { value: raw }));
+                timestamp = null;
+            }
+        }
+        
+        return { data, units, timestamp, note: value('note'), errors };
+    },
+    
+    /**
+     * Flatten a calorie cycling plan into export columns
+     */
+    cyclingRecord: (plan, energy = 'kcal') => {
+        const suffix = energy.toLowerCase();
+        const record = {
+            cycling_goal: plan.goal,
+            cycling_amount_percent: plan.amount,
+            [`cycling_weekly_${suffix}`]: Math.round(Units.fromKcal(plan.weeklyCalories, energy))
+        };
+        plan.days.forEach(day => {
+            record[`${day.key}_type`] = day.training ? 'training' : 'rest';
+            record[`${day.key}_${suffix}`] = Math.round(Units.fromKcal(day.calories, energy));
+            record[`${day.key}_protein_g`] = day.macros.protein;
+            record[`${day.key}_fat_g`] = day.macros.fat;
+            record[`${day.key}_carbs_g`] = day.macros.carbs;
+        });
+        return record;
+    },
+    
+    /**
+     * Convert a saved calculation ({ timestamp, units, form, results, note })
+     * into a flat record with inputs in both unit systems plus results,
+     * energy in kcal or kJ
+     */
+    toRecord: (entry, energy = 'kcal') => {
+        const { form = {}, results } = entry;
+        const round = (number, decimals = 1) => (number === null || number === undefined || isNaN(number)
+            ? ''
+            : Math.round(number * 10 ** decimals) / 10 ** decimals);
+        const { weight, height } = results.inputs;
+        const { feet, inches } = Utils.cmToFeetInches(height);
+        const units = Units.ofEntry(entry);
+        const metricHeight = units.height === 'cm';
+        const entered = (unit) => units.weight === unit && form.weight;
+        
+        // Keep the entered values exactly in the unit they were entered in
+        const record = {
+            timestamp: new Date(entry.timestamp || Date.now()).toISOString(),
+            note: entry.note || '',
+            units: Units.isMetric(units) ? 'metric' : 'imperial',
+            weight_unit: units.weight,
+            height_unit: units.height,
+            age: results.inputs.age,
+            gender: results.inputs.gender,
+            calculate_as: results.inputs.calculateAs || '',
+            life_stage: results.inputs.lifeStage || 'none',
+            height_cm: metricHeight && form.height ? form.height : round(height),
+            height_ft: !metricHeight && form.heightFeet ? form.heightFeet : feet,
+            height_in: !metricHeight && form.heightFeet ? form.heightInches : inches,
+            weight_kg: entered('kg') ? form.weight : round(weight),
+            weight_lb: entered('lb') ? form.weight : round(Utils.kgToLbs(weight)),
+            activity_level: results.inputs.activityLevel,
+            equation: results.equation,
+            body_fat: form.bodyFatMethod === 'navy' ? '' : (results.inputs.bodyFat ?? ''),
+            body_fat_method: results.bodyComposition ? results.bodyComposition.method : ''
+        };
+        
+        ['neck', 'waist', 'hip'].forEach(name => {
+            const entered = parseFloat(form[name]);
+            if (form.bodyFatMethod !== 'navy' || isNaN(entered)) {
+                record[`${name}_cm`] = '';
+                record[`${name}_in`] = '';
+                return;
+            }
+            record[`${name}_cm`] = metricHeight ? form[name] : round(Utils.inchesToCm(entered));
+            record[`${name}_in`] = metricHeight ? round(entered / 2.54) : form[name];
+        });
+        
+        const { goals, macros, bodyComposition, guardrails } = results;
+        const suffix = energy.toLowerCase();
+        const inEnergy = (kcal) => Math.round(Units.fromKcal(kcal, energy));
+        // Goals hidden by the safety guardrails are left blank
+        const goal = (group, level) => (guardrails && guardrails.checks[group][level].status === 'hidden'
+            ? ''
+            : inEnergy(goals[group][level]));
+        return {
+            ...record,
+            equation_name: Equations.get(results.equation) ? Equations.get(results.equation).name : '',
+            energy_unit: energy,
+            bmr: inEnergy(results.bmr),
+            tdee: inEnergy(results.tdee),
+            goals_source: results.goalsSource || 'formula',
+            [`maintenance_${suffix}`]: inEnergy(results.targetTdee ?? results.tdee),
+            [`loss_mild_${suffix}`]: goal('loss', 'mild'),
+            [`loss_moderate_${suffix}`]: goal('loss', 'moderate'),
+            [`loss_aggressive_${suffix}`]: goal('loss', 'aggressive'),
+            [`gain_mild_${suffix}`]: goal('gain', 'mild'),
+            [`gain_moderate_${suffix}`]: goal('gain', 'moderate'),
+            protein_g: macros ? macros.maintenance.protein : '',
+            fat_g: macros ? macros.maintenance.fat : '',
+            carbs_g: macros ? macros.maintenance.carbs : '',
+            lean_mass_kg: bodyComposition ? round(bodyComposition.leanMass) : '',
+            fat_mass_kg: bodyComposition ? round(bodyComposition.fatMass) : ''
+        };
+    }
+};
+
+// ===== URL ENTRY POINTS =====
+export const LaunchUrl = {
+    PROTOCOL: 'web+calorie:',
+    MAX_LENGTH: 2000,
+    
+    /**
+     * Encode calculator inputs as a web+calorie: URL. The payload uses the
+     * data file column names as query parameters, e.g.
+     * web+calorie:age=32&gender=male&height_cm=180&weight_kg=82&activity_level=1.55&calculate=1
+     */
+    encode: (record, { calculate = false } = {}) => {
+        const params = new URLSearchParams();
+        DataFormat.INPUT_COLUMNS
+            .filter(column => column !== 'timestamp' && column !== 'note')
+            .forEach(column => {
+                if (record[column] !== undefined && record[column] !== null && record[column] !== '') {
+                    params.set(column, record[column]);
+                }
+            });
+        if (calculate) {
+            params.set('calculate', '1');
+        }
+        return `${LaunchUrl.PROTOCOL}${params.toString()}`;
+    },
+    
+    /**
+     * Decode a web+calorie: URL or a bare payload into { record, calculate }.
+     * Unknown parameters are ignored.
+     */
+    decode: (value) => {
+        const payload = String(value).trim()
+            .replace(/^web\+calorie:(\/\/)?/i, '')
+            .replace(/^\?/, '')
+            .slice(0, LaunchUrl.MAX_LENGTH);
+        const params = new URLSearchParams(payload.replace(/;/g, '&'));
+        const record = {};
+        DataFormat.INPUT_COLUMNS.forEach(column => {
+            if (params.has(column)) {
+                record[column] = params.get(column).slice(0, 100);
+            }
+        });
+        return { record, calculate: ['1', 'true', 'yes'].includes((params.get('calculate') || '').toLowerCase()) };
+    },
+    
+    /**
+     * Work out what a launch URL asks for: { reset, focusCalculator, record, calculate }.
+     * Handles ?reset=true, #calculator, ?data= (web+calorie: protocol handler)
+     * and share target ?title=&text=&url=.
+     */
+    parse: (location) => {
+        const params = new URLSearchParams(location.search);
+        const launch = {
+            reset: params.get('reset') === 'true',
+            focusCalculator: location.hash === '#calculator',
+            record: null,
+            calculate: false
+        };
+        
+        if (params.has('data')) {
+            Object.assign(launch, LaunchUrl.decode(params.get('data')));
+        } else if (params.has('text') || params.has('title') || params.has('url')) {
+            const shared = ['title', 'text', 'url'].map(key => params.get(key) || '').join(' ');
+            const link = shared.match(/web\+calorie:\S+|[?&]data=([^&\s]+)/i);
+            if (link) {
+                Object.assign(launch, LaunchUrl.decode(link[1] ? decodeURIComponent(link[1]) : link[0]));
+            } else {
+                launch.record = DataFormat.fromText(shared.slice(0, LaunchUrl.MAX_LENGTH));
+            }
+        }
+        
+        if (launch.record && Object.keys(launch.record).length === 0) {
+            launch.record = null;
+        }
+        return launch;
+    }
+};
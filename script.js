@@ -1,735 +1,4831 @@
-/**
- * Offline Calorie Calculator PWA
- * TDEE Calculator using Mifflin-St Jeor equation
- */
-
-// ===== APPLICATION STATE =====
-const AppState = {
-    isMetric: true,
-    isCalculating: false,
-    lastCalculation: null,
-    form: null,
-    elements: {}
-};
-
-// ===== UTILITY FUNCTIONS =====
-const Utils = {
-    /**
-     * Convert pounds to kilograms
-     */
-    lbsToKg: (lbs) => lbs * 0.453592,
-    
-    /**
-     * Convert kilograms to pounds
-     */
-    kgToLbs: (kg) => kg * 2.204623,
-    
-    /**
-     * Convert feet and inches to centimeters
-     */
-    feetInchesToCm: (feet, inches) => (feet * 12 + inches) * 2.54,
-    
-    /**
-     * Convert centimeters to feet and inches
-     */
-    cmToFeetInches: (cm) => {
-        const totalInches = cm / 2.54;
-        const feet = Math.floor(totalInches / 12);
-        const inches = Math.round(totalInches % 12);
-        return { feet, inches };
-    },
-    
-    /**
-     * Debounce function calls
-     */
-    debounce: (func, wait) => {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    },
-    
-    /**
-     * Format number for display
-     */
-    formatNumber: (num, decimals = 0) => {
-        return new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(num);
-    },
-    
-    /**
-     * Animate number changes
-     */
-    animateNumber: (element, from, to, duration = 1000) => {
-        const start = performance.now();
-        const step = (timestamp) => {
-            const progress = Math.min((timestamp - start) / duration, 1);
-            const current = from + (to - from) * progress;
-            element.textContent = Utils.formatNumber(current);
-            
-            if (progress < 1) {
-                requestAnimationFrame(step);
-            }
-        };
-        requestAnimationFrame(step);
-    }
-};
-
-// ===== VALIDATION FUNCTIONS =====
-const Validation = {
-    /**
-     * Validate age input
-     */
-    validateAge: (age) => {
-        const num = parseInt(age);
-        if (!age || isNaN(num)) {
-            return 'Age is required';
-        }
-        if (num < 1 || num > 105) {
-            return 'Age must be between 1 and 105 years';
-        }
-        return null;
-    },
-    
-    /**
-     * Validate gender selection
-     */
-    validateGender: (gender) => {
-        if (!gender) {
-            return 'Please select your gender';
-        }
-        if (!['male', 'female'].includes(gender)) {
-            return 'Please select a valid gender';
-        }
-        return null;
-    },
-    
-    /**
-     * Validate height input
-     */
-    validateHeight: (height, isMetric, feet = null, inches = null) => {
-        if (isMetric) {
-            const num = parseFloat(height);
-            if (!height || isNaN(num)) {
-                return 'Height is required';
-            }
-            if (num < 50 || num > 300) {
-                return 'Height must be between 50 and 300 cm';
-            }
-        } else {
-            const feetNum = parseInt(feet);
-            const inchesNum = parseInt(inches);
-            if (!feet || isNaN(feetNum)) {
-                return 'Feet is required';
-            }
-            if (!inches || isNaN(inchesNum)) {
-                return 'Inches is required';
-            }
-            if (feetNum < 1 || feetNum > 9) {
-                return 'Feet must be between 1 and 9';
-            }
-            if (inchesNum < 0 || inchesNum > 11) {
-                return 'Inches must be between 0 and 11';
-            }
-        }
-        return null;
-    },
-    
-    /**
-     * Validate weight input
-     */
-    validateWeight: (weight, isMetric) => {
-        const num = parseFloat(weight);
-        if (!weight || isNaN(num)) {
-            return 'Weight is required';
-        }
-        
-        if (isMetric) {
-            if (num < 20 || num > 500) {
-                return 'Weight must be between 20 and 500 kg';
-            }
-        } else {
-            if (num < 44 || num > 1100) {
-                return 'Weight must be between 44 and 1100 lbs';
-            }
-        }
-        return null;
-    },
-    
-    /**
-     * Validate activity level
-     */
-    validateActivityLevel: (activityLevel) => {
-        if (!activityLevel) {
-            return 'Please select your activity level';
-        }
-        const validLevels = ['1.2', '1.375', '1.55', '1.725', '1.9'];
-        if (!validLevels.includes(activityLevel)) {
-            return 'Please select a valid activity level';
-        }
-        return null;
-    }
-};
-
-// ===== CALCULATOR FUNCTIONS =====
-const Calculator = {
-    /**
-     * Calculate BMR using Mifflin-St Jeor equation
-     */
-    calculateBMR: (weight, height, age, gender) => {
-        // Mifflin-St Jeor equation:
-        // Men: BMR = 10 × weight(kg) + 6.25 × height(cm) - 5 × age(years) + 5
-        // Women: BMR = 10 × weight(kg) + 6.25 × height(cm) - 5 × age(years) - 161
-        
-        const baseBMR = 10 * weight + 6.25 * height - 5 * age;
-        return gender === 'male' ? baseBMR + 5 : baseBMR - 161;
-    },
-    
-    /**
-     * Calculate TDEE (Total Daily Energy Expenditure)
-     */
-    calculateTDEE: (bmr, activityLevel) => {
-        return bmr * parseFloat(activityLevel);
-    },
-    
-    /**
-     * Calculate weight management goals
-     */
-    calculateWeightGoals: (tdee) => {
-        return {
-            loss: {
-                mild: tdee - 250,      // 0.5 lbs/week
-                moderate: tdee - 500,  // 1 lb/week
-                aggressive: tdee - 1000 // 2 lbs/week
-            },
-            gain: {
-                mild: tdee + 250,      // 0.5 lbs/week
-                moderate: tdee + 500   // 1 lb/week
-            }
-        };
-    },
-    
-    /**
-     * Main calculation function
-     */
-    calculate: (formData) => {
-        try {
-            // Convert units to metric if needed
-            let weight = parseFloat(formData.weight);
-            let height;
-            
-            if (AppState.isMetric) {
-                height = parseFloat(formData.height);
-            } else {
-                // Convert imperial to metric
-                weight = Utils.lbsToKg(weight);
-                height = Utils.feetInchesToCm(
-                    parseInt(formData.heightFeet), 
-                    parseInt(formData.heightInches)
-                );
-            }
-            
-            const age = parseInt(formData.age);
-            const gender = formData.gender;
-            const activityLevel = formData.activityLevel;
-            
-            // Calculate BMR and TDEE
-            const bmr = Calculator.calculateBMR(weight, height, age, gender);
-            const tdee = Calculator.calculateTDEE(bmr, activityLevel);
-            const goals = Calculator.calculateWeightGoals(tdee);
-            
-            return {
-                bmr: Math.round(bmr),
-                tdee: Math.round(tdee),
-                goals,
-                inputs: { weight, height, age, gender, activityLevel }
-            };
-        } catch (error) {
-            console.error('Calculation error:', error);
-            throw new Error('Failed to calculate results. Please check your inputs.');
-        }
-    }
-};
-
-// ===== UI FUNCTIONS =====
-const UI = {
-    /**
-     * Show/hide loading state
-     */
-    setLoading: (isLoading) => {
-        const btn = AppState.elements.calculateBtn;
-        if (isLoading) {
-            btn.classList.add('loading');
-            btn.disabled = true;
-        } else {
-            btn.classList.remove('loading');
-            btn.disabled = false;
-        }
-        AppState.isCalculating = isLoading;
-    },
-    
-    /**
-     * Show form validation error
-     */
-    showFieldError: (fieldName, message) => {
-        const errorElement = document.getElementById(`${fieldName}-error`);
-        const inputElement = document.getElementById(fieldName) || 
-                            document.querySelector(`input[name="${fieldName}"]`);
-        
-        if (errorElement) {
-            errorElement.textContent = message;
-        }
-        
-        if (inputElement) {
-            inputElement.classList.add('error');
-            inputElement.classList.remove('success');
-        }
-    },
-    
-    /**
-     * Clear form validation error
-     */
-    clearFieldError: (fieldName) => {
-        const errorElement = document.getElementById(`${fieldName}-error`);
-        const inputElement = document.getElementById(fieldName) || 
-                            document.querySelector(`input[name="${fieldName}"]`);
-        
-        if (errorElement) {
-            errorElement.textContent = '';
-        }
-        
-        if (inputElement) {
-            inputElement.classList.remove('error');
-            inputElement.classList.add('success');
-        }
-    },
-    
-    /**
-     * Clear all form errors
-     */
-    clearAllErrors: () => {
-        const errorElements = document.querySelectorAll('.input-error');
-        const inputElements = document.querySelectorAll('.input-field');
-        
-        errorElements.forEach(el => el.textContent = '');
-        inputElements.forEach(el => {
-            el.classList.remove('error', 'success');
-        });
-    },
-    
-    /**
-     * Show notification toast
-     */
-    showToast: (message, type = 'info') => {
-        const toast = AppState.elements.toast;
-        const messageEl = AppState.elements.toastMessage;
-        const iconEl = toast.querySelector('.toast__icon');
-        
-        // Set message and icon
-        messageEl.textContent = message;
-        
-        // Set type-specific styling and icon
-        toast.className = 'toast';
-        toast.classList.add(type);
-        
-        switch (type) {
-            case 'success':
-                iconEl.textContent = '✅';
-                break;
-            case 'error':
-                iconEl.textContent = '❌';
-                break;
-            case 'warning':
-                iconEl.textContent = '⚠️';
-                break;
-            default:
-                iconEl.textContent = 'ℹ️';
-        }
-        
-        // Show toast
-        toast.classList.add('show');
-        
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            toast.classList.remove('show');
-        }, 5000);
-    },
-    
-    /**
-     * Display calculation results
-     */
-    displayResults: (results) => {
-        const { bmr, tdee, goals } = results;
-        
-        // Show results section
-        AppState.elements.resultsSection.style.display = 'block';
-        
-        // Animate BMR result
-        const bmrValueEl = AppState.elements.bmrResult.querySelector('.result-value');
-        Utils.animateNumber(bmrValueEl, 0, bmr, 1000);
-        
-        // Animate TDEE result
-        const tdeeValueEl = AppState.elements.tdeeResult.querySelector('.result-value');
-        Utils.animateNumber(tdeeValueEl, 0, tdee, 1200);
-        
-        // Update weight goals
-        setTimeout(() => {
-            document.getElementById('loss-mild').textContent = `${Utils.formatNumber(goals.loss.mild)} cal/day`;
-            document.getElementById('loss-moderate').textContent = `${Utils.formatNumber(goals.loss.moderate)} cal/day`;
-            document.getElementById('loss-aggressive').textContent = `${Utils.formatNumber(goals.loss.aggressive)} cal/day`;
-            document.getElementById('gain-mild').textContent = `${Utils.formatNumber(goals.gain.mild)} cal/day`;
-            document.getElementById('gain-moderate').textContent = `${Utils.formatNumber(goals.gain.moderate)} cal/day`;
-        }, 800);
-        
-        // Scroll to results
-        AppState.elements.resultsSection.scrollIntoView({ 
-            behavior: 'smooth', 
-            block: 'start' 
-        });
-        
-        // Store last calculation
-        AppState.lastCalculation = results;
-        
-        // Show success message
-        UI.showToast('Calculation completed successfully!', 'success');
-    },
-    
-    /**
-     * Reset calculator to initial state
-     */
-    resetCalculator: () => {
-        // Clear form
-        AppState.form.reset();
-        
-        // Clear errors
-        UI.clearAllErrors();
-        
-        // Hide results
-        AppState.elements.resultsSection.style.display = 'none';
-        
-        // Reset state
-        AppState.lastCalculation = null;
-        
-        // Focus first input
-        document.getElementById('age').focus();
-        
-        // Show info message
-        UI.showToast('Calculator reset. Ready for new calculation.', 'info');
-    },
-    
-    /**
-     * Toggle unit system
-     */
-    toggleUnits: () => {
-        AppState.isMetric = !AppState.isMetric;
-        
-        // Update toggle switch
-        const toggleSwitch = AppState.elements.unitToggle;
-        toggleSwitch.setAttribute('aria-checked', AppState.isMetric ? 'false' : 'true');
-        
-        // Update labels
-        const metricLabel = document.querySelector('.toggle-switch__label--metric');
-        const imperialLabel = document.querySelector('.toggle-switch__label--imperial');
-        
-        if (AppState.isMetric) {
-            metricLabel.classList.add('toggle-switch__label--active');
-            imperialLabel.classList.remove('toggle-switch__label--active');
-        } else {
-            metricLabel.classList.remove('toggle-switch__label--active');
-            imperialLabel.classList.add('toggle-switch__label--active');
-        }
-        
-        // Update input labels and placeholders
-        UI.updateInputLabels();
-        
-        // Show conversion message
-        const system = AppState.isMetric ? 'metric' : 'imperial';
-        UI.showToast(`Switched to ${system} units`, 'info');
-    },
-    
-    /**
-     * Update input labels based on unit system
-     */
-    updateInputLabels: () => {
-        const heightLabel = document.querySelector('.height-label-text');
-        const weightLabel = document.querySelector('.weight-label-text');
-        const heightInput = document.getElementById('height');
-        const imperialHeight = document.querySelector('.imperial-height');
-        
-        if (AppState.isMetric) {
-            heightLabel.textContent = 'Height (cm)';
-            weightLabel.textContent = 'Weight (kg)';
-            heightInput.style.display = 'block';
-            imperialHeight.style.display = 'none';
-            heightInput.placeholder = 'e.g., 175';
-            document.getElementById('weight').placeholder = 'e.g., 70';
-        } else {
-            heightLabel.textContent = 'Height';
-            weightLabel.textContent = 'Weight (lbs)';
-            heightInput.style.display = 'none';
-            imperialHeight.style.display = 'flex';
-            document.getElementById('height-feet').placeholder = 'ft';
-            document.getElementById('height-inches').placeholder = 'in';
-            document.getElementById('weight').placeholder = 'e.g., 154';
-        }
-    }
-};
-
-// ===== EVENT HANDLERS =====
-const EventHandlers = {
-    /**
-     * Handle form submission
-     */
-    handleFormSubmit: async (event) => {
-        event.preventDefault();
-        
-        if (AppState.isCalculating) return;
-        
-        // Clear previous errors
-        UI.clearAllErrors();
-        
-        // Get form data
-        const formData = new FormData(AppState.form);
-        const data = {
-            age: formData.get('age'),
-            gender: formData.get('gender'),
-            height: formData.get('height'),
-            heightFeet: formData.get('height-feet'),
-            heightInches: formData.get('height-inches'),
-            weight: formData.get('weight'),
-            activityLevel: formData.get('activity-level')
-        };
-        
-        // Validate inputs
-        let hasErrors = false;
-        
-        // Validate age
-        const ageError = Validation.validateAge(data.age);
-        if (ageError) {
-            UI.showFieldError('age', ageError);
-            hasErrors = true;
-        }
-        
-        // Validate gender
-        const genderError = Validation.validateGender(data.gender);
-        if (genderError) {
-            UI.showFieldError('gender', genderError);
-            hasErrors = true;
-        }
-        
-        // Validate height
-        const heightError = Validation.validateHeight(
-            data.height, 
-            AppState.isMetric, 
-            data.heightFeet, 
-            data.heightInches
-        );
-        if (heightError) {
-            UI.showFieldError('height', heightError);
-            hasErrors = true;
-        }
-        
-        // Validate weight
-        const weightError = Validation.validateWeight(data.weight, AppState.isMetric);
-        if (weightError) {
-            UI.showFieldError('weight', weightError);
-            hasErrors = true;
-        }
-        
-        // Validate activity level
-        const activityError = Validation.validateActivityLevel(data.activityLevel);
-        if (activityError) {
-            UI.showFieldError('activity-level', activityError);
-            hasErrors = true;
-        }
-        
-        if (hasErrors) {
-            UI.showToast('Please correct the errors above', 'error');
-            return;
-        }
-        
-        try {
-            // Show loading state
-            UI.setLoading(true);
-            
-            // Simulate calculation delay for better UX
-            await new Promise(resolve => setTimeout(resolve, 800));
-            
-            // Calculate results
-            const results = Calculator.calculate(data);
-            
-            // Display results
-            UI.displayResults(results);
-            
-        } catch (error) {
-            console.error('Calculation failed:', error);
-            UI.showToast(error.message || 'Calculation failed. Please try again.', 'error');
-        } finally {
-            UI.setLoading(false);
-        }
-    },
-    
-    /**
-     * Handle unit toggle click
-     */
-    handleUnitToggle: (event) => {
-        if (event.type === 'click' || (event.type === 'keydown' && event.key === 'Enter')) {
-            UI.toggleUnits();
-        }
-    },
-    
-    /**
-     * Handle reset button click
-     */
-    handleReset: () => {
-        UI.resetCalculator();
-    },
-    
-    /**
-     * Handle toast close
-     */
-    handleToastClose: () => {
-        AppState.elements.toast.classList.remove('show');
-    },
-    
-    /**
-     * Handle input validation on blur
-     */
-    handleInputValidation: Utils.debounce((event) => {
-        const { name, value } = event.target;
-        
-        // Clear previous error for this field
-        UI.clearFieldError(name);
-        
-        // Don't validate empty fields on blur
-        if (!value.trim()) return;
-        
-        let error = null;
-        
-        switch (name) {
-            case 'age':
-                error = Validation.validateAge(value);
-                break;
-            case 'height':
-                error = Validation.validateHeight(value, AppState.isMetric);
-                break;
-            case 'weight':
-                error = Validation.validateWeight(value, AppState.isMetric);
-                break;
-        }
-        
-        if (error) {
-            UI.showFieldError(name, error);
-        }
-    }, 300)
-};
-
-// ===== INITIALIZATION =====
-const App = {
-    /**
-     * Initialize the application
-     */
-init: () => {
-    // Cache DOM elements
-    AppState.form = document.getElementById('calorie-form');
-    AppState.elements = {
-        unitToggle: document.querySelector('.toggle-switch'),
-        calculateBtn: document.getElementById('calculate-btn'),
-        resetBtn: document.getElementById('reset-btn'),
-        resultsSection: document.getElementById('results-section'),
-        bmrResult: document.getElementById('bmr-result'),
-        tdeeResult: document.getElementById('tdee-result'),
-        toast: document.getElementById('notification-toast'),
-        toastMessage: document.getElementById('toast-message')
-    };
-    
-    // Set up event listeners
-    App.setupEventListeners();
-    
-    // Initialize UI state
-    UI.updateInputLabels();
-    
-    // Register service worker for PWA
-    App.registerServiceWorker();
-
-    console.log('Calorie Calculator PWA initialized successfully');
-},
-    
-    /**
-     * Set up all event listeners
-     */
-    setupEventListeners: () => {
-        // Form submission
-        AppState.form.addEventListener('submit', EventHandlers.handleFormSubmit);
-        
-        // Unit toggle
-        AppState.elements.unitToggle.addEventListener('click', EventHandlers.handleUnitToggle);
-        AppState.elements.unitToggle.addEventListener('keydown', EventHandlers.handleUnitToggle);
-        
-        // Reset button
-        AppState.elements.resetBtn.addEventListener('click', EventHandlers.handleReset);
-        
-        // Toast close button
-        const toastClose = AppState.elements.toast.querySelector('.toast__close');
-        toastClose.addEventListener('click', EventHandlers.handleToastClose);
-        
-        // Input validation
-        const validateInputs = ['age', 'height', 'weight'];
-        validateInputs.forEach(name => {
-            const input = document.getElementById(name);
-            if (input) {
-                input.addEventListener('blur', EventHandlers.handleInputValidation);
-            }
-        });
-        
-        // Imperial height inputs validation
-        document.getElementById('height-feet').addEventListener('blur', EventHandlers.handleInputValidation);
-        document.getElementById('height-inches').addEventListener('blur', EventHandlers.handleInputValidation);
-        
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (event) => {
-            // Ctrl/Cmd + R to reset (prevent default page reload)
-            if ((event.ctrlKey || event.metaKey) && event.key === 'r') {
-                event.preventDefault();
-                UI.resetCalculator();
-            }
-            
-            // Escape to close toast
-            if (event.key === 'Escape') {
-                AppState.elements.toast.classList.remove('show');
-            }
-        });
-    },
-    
-    /**
-     * Register service worker for PWA functionality
-     */
-    registerServiceWorker: async () => {
-        if ('serviceWorker' in navigator) {
-            try {
-                const registration = await navigator.serviceWorker.register('./sw.js');
-                console.log('Service Worker registered successfully:', registration.scope);
-            } catch (error) {
-                console.log('Service Worker registration failed:', error);
-            }
-        }
-    }
-};
-
-// ===== APPLICATION STARTUP =====
-// Initialize app when DOM is loaded
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', App.init);
-} else {
-    App.init();
-
-} 
-
-
+/**
+ * Offline Calorie Calculator PWA
+ * TDEE Calculator with selectable BMR equations (Mifflin-St Jeor by default)
+ */
+
+import {
+    Utils as CoreUtils,
+    I18n as CoreI18n,
+    Units,
+    Validation,
+    Equations,
+    LifeStage,
+    Macros,
+    Activity,
+    Calculator,
+    Guardrails,
+    AdaptiveTDEE,
+    GoalPlanner,
+    CalorieCycling,
+    Nutrition,
+    Sync as CoreSync,
+    CSV,
+    DataFormat,
+    LaunchUrl,
+    ValidationError
+} from './core.mjs';
+
+// ===== APPLICATION STATE =====
+const AppState = {
+    profileId: 1,
+    units: { weight: 'kg', height: 'cm', energy: 'kcal' },
+    isCalculating: false,
+    lastCalculation: null,
+    bmrEquation: 'mifflin-st-jeor',
+    macroSettings: null,
+    cyclingSettings: null,
+    adaptiveEstimate: null,
+    diaryGoal: 'maintenance',
+    diaryEntries: [],
+    diaryFood: null,
+    foodResults: [],
+    recipeDraft: { id: null, ingredients: [] },
+    recipeFood: null,
+    recipeResults: [],
+    pendingImport: null,
+    lastInput: null,
+    // Values as typed before unit changes, by first field id: { values, units, shown }
+    enteredValues: new Map(),
+    touched: new Set(),
+    form: null,
+    elements: {}
+};
+
+// ===== UTILITY FUNCTIONS =====
+// Conversions and number formatting come from the core; these need a browser
+const Utils = {
+    ...CoreUtils,
+    
+    /**
+     * Show a YYYY-MM-DD date in the current locale
+     */
+    formatDate: (key) => {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(I18n.locale);
+    },
+    
+    /**
+     * Debounce function calls
+     */
+    debounce: (func, wait) => {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    },
+    
+    /**
+     * Animate number changes
+     */
+    animateNumber: (element, from, to, duration = 1000) => {
+        const start = performance.now();
+        const step = (timestamp) => {
+            const progress = Math.min((timestamp - start) / duration, 1);
+            const current = from + (to - from) * progress;
+            element.textContent = Utils.formatNumber(current);
+            
+            if (progress < 1) {
+                requestAnimationFrame(step);
+            }
+        };
+        requestAnimationFrame(step);
+    }
+};
+
+// ===== PREFERENCES =====
+const Preferences = {
+    PREFIX: 'calorie-calculator:',
+    
+    /**
+     * Read a stored preference, falling back when missing or unreadable
+     */
+    get: (key, fallback = null) => {
+        try {
+            const raw = localStorage.getItem(Preferences.PREFIX + key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.warn('Could not read preference:', key, error);
+            return fallback;
+        }
+    },
+    
+    /**
+     * Store a preference (silently ignored when storage is unavailable)
+     */
+    set: (key, value) => {
+        try {
+            localStorage.setItem(Preferences.PREFIX + key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('Could not save preference:', key, error);
+        }
+    }
+};
+
+// ===== LOCALIZATION =====
+// Messages and number parsing live in the core, which shares this object's
+// locale; loading catalogs and translating the page need a browser
+const I18n = Object.assign(CoreI18n, {
+    // Languages with a message catalog in locales/<code>.json. Messages are
+    // keyed by their English text, so English needs no catalog.
+    LANGUAGES: {
+        en: { name: 'English', dir: 'ltr' },
+        es: { name: 'Español', dir: 'ltr' },
+        ar: { name: 'العربية', dir: 'rtl' }
+    },
+    
+    // Regions whose everyday units differ from kg, cm and kcal
+    REGION_UNITS: {
+        US: { weight: 'lb', height: 'ft', energy: 'kcal' },
+        LR: { weight: 'lb', height: 'ft', energy: 'kcal' },
+        MM: { weight: 'lb', height: 'ft', energy: 'kcal' },
+        GB: { weight: 'st', height: 'ft', energy: 'kcal' },
+        AU: { weight: 'kg', height: 'cm', energy: 'kJ' },
+        NZ: { weight: 'kg', height: 'cm', energy: 'kJ' }
+    },
+    
+    isSupported: (language) => Object.prototype.hasOwnProperty.call(I18n.LANGUAGES, language),
+    
+    /**
+     * The locale to use: the chosen language, else the first browser language
+     * with a catalog, else English. The browser's region is kept so it still
+     * picks number formats and default units, e.g. English messages with
+     * metric units for de-DE.
+     */
+    detect: (choice = null, preferred = navigator.languages || [navigator.language]) => {
+        const browser = preferred.filter(Boolean);
+        const language = choice && I18n.isSupported(choice)
+            ? choice
+            : I18n.languageOf(browser.find(locale => I18n.isSupported(I18n.languageOf(locale))) || I18n.SOURCE_LANGUAGE);
+        const same = browser.find(locale => I18n.languageOf(locale) === language);
+        if (same) {
+            return same;
+        }
+        const region = browser.length > 0 ? I18n.regionOf(browser[0]) : null;
+        return region ? `${language}-${region}` : language;
+    },
+    
+    /**
+     * A locale's region, guessed from the language when not given
+     */
+    regionOf: (locale) => {
+        try {
+            return new Intl.Locale(locale).maximize().region || null;
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * Units for a first visit from the locale's region, e.g. lb and ft in the US
+     */
+    defaultUnits: (locale) => {
+        return { ...(I18n.REGION_UNITS[I18n.regionOf(locale)] || Units.DEFAULTS) };
+    },
+    
+    /**
+     * Switch locale: load its catalog, then set the page language, text
+     * direction and the separators used to read typed numbers
+     */
+    setLocale: async (locale) => {
+        const language = I18n.languageOf(locale);
+        if (!I18n.catalogs[language]) {
+            const response = await fetch(`./locales/${language}.json`);
+            if (!response.ok) {
+                throw new Error(`Could not load messages for ${language}`);
+            }
+            I18n.catalogs[language] = await response.json();
+        }
+        
+        I18n.locale = locale;
+        I18n.language = language;
+        
+        // Inputs use Latin digits, so take the separators that go with them
+        const parts = new Intl.NumberFormat(locale, { numberingSystem: 'latn' }).formatToParts(12345.6);
+        const part = (type) => (parts.find(item => item.type === type) || { value: '' }).value;
+        I18n.separators = { decimal: part('decimal'), group: part('group') };
+        
+        document.documentElement.lang = locale;
+        document.documentElement.dir = I18n.LANGUAGES[language].dir;
+    },
+    
+    /**
+     * Translate the page's static text. Elements marked data-i18n keep their
+     * English text in that attribute; data-i18n-attrs lists attributes to
+     * translate, each kept in data-i18n-<attribute>.
+     */
+    translatePage: (root = document) => {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (!element.dataset.i18n) {
+                element.dataset.i18n = element.textContent.trim().replace(/\s+/g, ' ');
+            }
+            element.textContent = I18n.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attrs]').forEach(element => {
+            element.dataset.i18nAttrs.split(' ').forEach(attribute => {
+                const source = `data-i18n-${attribute}`;
+                if (!element.hasAttribute(source)) {
+                    element.setAttribute(source, element.getAttribute(attribute) || '');
+                }
+                element.setAttribute(attribute, I18n.t(element.getAttribute(source)));
+            });
+        });
+    }
+});
+
+// ===== LOCAL DATABASE =====
+const Database = {
+    NAME: 'calorie-calculator',
+    VERSION: 7,
+    ready: null,
+    
+    /**
+     * Schema upgrades, one per version (index 0 upgrades to version 1)
+     */
+    upgrades: [
+        (db) => {
+            const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+            history.createIndex('timestamp', 'timestamp');
+        },
+        (db) => {
+            db.createObjectStore('dailyLog', { keyPath: 'date' });
+        },
+        (db, transaction) => {
+            // Existing history and log entries belong to the first profile
+            const profiles = db.createObjectStore('profiles', { keyPath: 'id', autoIncrement: true });
+            profiles.put({ id: 1, name: Profiles.DEFAULT_NAME, createdAt: Date.now() });
+            
+            const history = transaction.objectStore('history');
+            history.createIndex('profileId', 'profileId');
+            history.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.update({ ...cursor.value, profileId: 1 });
+                    cursor.continue();
+                }
+            };
+            
+            // The log was keyed by date alone, so move it to a store keyed by profile and date
+            const legacyLog = transaction.objectStore('dailyLog');
+            legacyLog.name = 'dailyLog-v2';
+            const log = db.createObjectStore('dailyLog', { keyPath: ['profileId', 'date'] });
+            log.createIndex('profileId', 'profileId');
+            legacyLog.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    log.put({ ...cursor.value, profileId: 1 });
+                    cursor.continue();
+                } else {
+                    db.deleteObjectStore('dailyLog-v2');
+                }
+            };
+        },
+        (db) => {
+            // Bundled foods are copied in by FoodDatabase.load
+            db.createObjectStore('foods', { keyPath: 'id' });
+            db.createObjectStore('customFoods', { keyPath: 'id', autoIncrement: true });
+            const diary = db.createObjectStore('diary', { keyPath: 'id', autoIncrement: true });
+            diary.createIndex('profileId', 'profileId');
+            diary.createIndex('profileDate', ['profileId', 'date']);
+        },
+        (db) => {
+            db.createObjectStore('recipes', { keyPath: 'id', autoIncrement: true });
+        },
+        (db) => {
+            // Sync settings and status, and changes waiting to be sent. The
+            // service worker reads these too (see sw.js).
+            db.createObjectStore('sync', { keyPath: 'key' });
+            db.createObjectStore('outbox', { keyPath: 'id' });
+        },
+        (db, transaction) => {
+            // Local keys repeat across devices, so synced records get a
+            // syncId. While sync is on, everything is queued again under it.
+            const outbox = transaction.objectStore('outbox');
+            transaction.objectStore('sync').get('config').onsuccess = (event) => {
+                const syncing = Boolean(event.target.result);
+                outbox.clear();
+                Object.keys(Sync.STORES).forEach((store) => {
+                    transaction.objectStore(store).openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+                        const record = { ...cursor.value, syncId: Sync.recordId() };
+                        cursor.update(record);
+                        if (syncing) {
+                            outbox.put(Sync.change(store, record));
+                        }
+                        cursor.continue();
+                    };
+                });
+            };
+        }
+    ],
+    
+    /**
+     * Open (and upgrade) the database once per page load
+     */
+    open: () => {
+        if (Database.ready) return Database.ready;
+        
+        Database.ready = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+            
+            const request = indexedDB.open(Database.NAME, Database.VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion; version < Database.VERSION; version++) {
+                    Database.upgrades[version](db, request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Allow a retry after a failed open
+        Database.ready.catch(() => {
+            Database.ready = null;
+        });
+        return Database.ready;
+    },
+    
+    /**
+     * Run a single request against a store and resolve with its result
+     */
+    run: async (storeName, mode, operation) => {
+        const db = await Database.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+    
+    getAll: (storeName) => Database.run(storeName, 'readonly', store => store.getAll()),
+    
+    get: (storeName, key) => Database.run(storeName, 'readonly', store => store.get(key)),
+    
+    put: (storeName, value) => Database.run(storeName, 'readwrite', store => store.put(value)),
+    
+    delete: (storeName, key) => Database.run(storeName, 'readwrite', store => store.delete(key)),
+    
+    /**
+     * Replace every record in a store in one transaction
+     */
+    replaceAll: (storeName, values) => Database.run(storeName, 'readwrite', store => {
+        store.clear();
+        values.forEach(value => store.put(value));
+        return store.count();
+    }),
+    
+    getAllByIndex: (storeName, indexName, key) => Database.run(storeName, 'readonly', store => store.index(indexName).getAll(key)),
+    
+    /**
+     * Delete every record in a store whose index matches a key
+     */
+    deleteByIndex: (storeName, indexName, key) => Database.run(storeName, 'readwrite', store => {
+        const request = store.index(indexName).openKeyCursor(key);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        return request;
+    })
+};
+
+// ===== PROFILES =====
+const Profiles = {
+    STORE: 'profiles',
+    DEFAULT_NAME: 'Me',
+    MAX_NAME_LENGTH: 40,
+    
+    /**
+     * Validate a profile name against the other profiles' names
+     */
+    validateName: (name, profiles, id = null) => {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return I18n.t('Profile name is required');
+        }
+        if (trimmed.length > Profiles.MAX_NAME_LENGTH) {
+            return I18n.t('Profile name must be {max} characters or fewer', { max: Profiles.MAX_NAME_LENGTH });
+        }
+        if (profiles.some(profile => profile.id !== id && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            return I18n.t('A profile named "{name}" already exists', { name: trimmed });
+        }
+        return null;
+    },
+    
+    /**
+     * All profiles, oldest first
+     */
+    list: async () => {
+        const profiles = await Database.getAll(Profiles.STORE);
+        return profiles.sort((a, b) => a.createdAt - b.createdAt);
+    },
+    
+    get: (id) => Database.get(Profiles.STORE, id),
+    
+    /**
+     * Create a profile. Settings hold its units, equation, macro split and
+     * cycling plan; form and goal are filled in as it is used.
+     */
+    create: async (name, { settings = null, form = null, formUnits = null, goal = null } = {}) => {
+        const profile = { name, createdAt: Date.now(), settings, form, formUnits, goal };
+        profile.id = await Database.put(Profiles.STORE, profile);
+        return profile;
+    },
+    
+    /**
+     * Merge changes into a stored profile
+     */
+    update: async (id, changes) => {
+        const profile = await Profiles.get(id);
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+        Object.assign(profile, changes);
+        await Database.put(Profiles.STORE, profile);
+        return profile;
+    },
+    
+    /**
+     * Copy a profile's settings, inputs and goal under a new name. Its
+     * history and daily log stay with the original.
+     */
+    duplicate: async (id, name) => {
+        const source = await Profiles.get(id);
+        if (!source) {
+            throw new Error('Profile not found');
+        }
+        const { settings, form, formUnits, goal } = structuredClone(source);
+        return Profiles.create(name, { settings, form, formUnits, goal });
+    },
+    
+    /**
+     * Delete a profile with its history, daily log and food diary
+     */
+    remove: async (id) => {
+        const profiles = await Profiles.list();
+        if (profiles.length <= 1) {
+            throw new ValidationError(Validation.error('profile-last'));
+        }
+        await Sync.trackRemoval(id);
+        await Database.deleteByIndex(CalculationHistory.STORE, 'profileId', id);
+        await Database.deleteByIndex(DailyLog.STORE, 'profileId', id);
+        await Database.deleteByIndex(FoodDiary.STORE, 'profileId', id);
+        await Database.delete(Profiles.STORE, id);
+    }
+};
+
+// ===== CALCULATION HISTORY =====
+const CalculationHistory = {
+    STORE: 'history',
+    
+    /**
+     * Save a calculation with the form inputs that produced it
+     */
+    add: async (formData, results, { timestamp = Date.now(), units = AppState.units, note = '', profileId = AppState.profileId } = {}) => {
+        const entry = {
+            profileId,
+            timestamp,
+            units: { ...units },
+            form: formData,
+            results,
+            note,
+            syncId: Sync.recordId(),
+            updatedAt: Date.now()
+        };
+        entry.id = await Database.put(CalculationHistory.STORE, entry);
+        await Sync.track(CalculationHistory.STORE, entry);
+        return entry;
+    },
+    
+    /**
+     * A profile's saved calculations, newest first
+     */
+    list: async (profileId = AppState.profileId) => {
+        const entries = await Database.getAllByIndex(CalculationHistory.STORE, 'profileId', profileId);
+        return entries.sort((a, b) => b.timestamp - a.timestamp);
+    },
+    
+    get: (id) => Database.get(CalculationHistory.STORE, id),
+    
+    /**
+     * Attach a note to a saved calculation
+     */
+    annotate: async (id, note) => {
+        const entry = await CalculationHistory.get(id);
+        if (!entry) {
+            throw new Error('Calculation not found');
+        }
+        entry.note = note;
+        entry.updatedAt = Date.now();
+        await Database.put(CalculationHistory.STORE, entry);
+        await Sync.track(CalculationHistory.STORE, entry);
+        return entry;
+    },
+    
+    remove: async (id) => {
+        const entry = await CalculationHistory.get(id);
+        await Database.delete(CalculationHistory.STORE, id);
+        if (entry) {
+            await Sync.track(CalculationHistory.STORE, entry, { deleted: true });
+        }
+    }
+};
+
+// ===== DAILY LOG =====
+const DailyLog = {
+    STORE: 'dailyLog',
+    
+    /**
+     * Save weight (kg) and/or calories for a day, merging with an existing entry
+     */
+    save: async (date, { weight = null, calories = null }, profileId = AppState.profileId) => {
+        const existing = await Database.get(DailyLog.STORE, [profileId, date]);
+        const entry = {
+            profileId,
+            date,
+            weight: weight ?? (existing ? existing.weight : null),
+            calories: calories ?? (existing ? existing.calories : null),
+            syncId: existing ? existing.syncId : Sync.recordId(),
+            updatedAt: Date.now()
+        };
+        await Database.put(DailyLog.STORE, entry);
+        await Sync.track(DailyLog.STORE, entry);
+        return entry;
+    },
+    
+    /**
+     * A profile's log entries, oldest first
+     */
+    list: async (profileId = AppState.profileId) => {
+        const entries = await Database.getAllByIndex(DailyLog.STORE, 'profileId', profileId);
+        return entries.sort((a, b) => a.date.localeCompare(b.date));
+    },
+    
+    remove: async (date, profileId = AppState.profileId) => {
+        const entry = await Database.get(DailyLog.STORE, [profileId, date]);
+        await Database.delete(DailyLog.STORE, [profileId, date]);
+        if (entry) {
+            await Sync.track(DailyLog.STORE, entry, { deleted: true });
+        }
+    }
+};
+
+// ===== FOOD DATABASE =====
+const FoodDatabase = {
+    STORE: 'foods',
+    CUSTOM_STORE: 'customFoods',
+    URL: './data/foods.json',
+    // Bump with the "version" in data/foods.json to copy in a new list
+    VERSION: 2,
+    
+    // Bundled and custom foods, loaded once for searching
+    foods: null,
+    
+    // Saved recipes as foods (see Nutrition.recipeFood)
+    recipes: [],
+    
+    /**
+     * Load every food, first copying the bundled list into IndexedDB when it
+     * is missing or out of date. The service worker caches the list, so
+     * this also works offline.
+     */
+    load: async () => {
+        let bundled = await Database.getAll(FoodDatabase.STORE);
+        if (bundled.length === 0 || Preferences.get('foodDatabaseVersion', 0) !== FoodDatabase.VERSION) {
+            const response = await fetch(FoodDatabase.URL);
+            if (!response.ok) {
+                throw new Error(`Food list unavailable (${response.status})`);
+            }
+            bundled = (await response.json()).foods;
+            await Database.replaceAll(FoodDatabase.STORE, bundled);
+            Preferences.set('foodDatabaseVersion', FoodDatabase.VERSION);
+        }
+        
+        const custom = await Database.getAll(FoodDatabase.CUSTOM_STORE);
+        FoodDatabase.foods = [
+            ...custom.map(food => ({ ...food, custom: true })),
+            ...bundled
+        ];
+        return FoodDatabase.foods;
+    },
+    
+    /**
+     * Custom foods, shared by every profile, in name order
+     */
+    listCustom: () => (FoodDatabase.foods || [])
+        .filter(food => food.custom)
+        .sort((a, b) => a.name.localeCompare(b.name, I18n.locale)),
+    
+    /**
+     * Save a custom food (values per 100 g) and add it to the search list
+     */
+    addCustom: async ({ name, calories, protein, fat, carbs, servings }) => {
+        const food = { name, calories, protein, fat, carbs, servings, createdAt: Date.now() };
+        food.id = await Database.put(FoodDatabase.CUSTOM_STORE, food);
+        if (FoodDatabase.foods) {
+            FoodDatabase.foods.unshift({ ...food, custom: true });
+        }
+        return food;
+    },
+    
+    /**
+     * Delete a custom food. Diary entries keep their own copy of it.
+     */
+    removeCustom: async (id) => {
+        await Database.delete(FoodDatabase.CUSTOM_STORE, id);
+        if (FoodDatabase.foods) {
+            FoodDatabase.foods = FoodDatabase.foods.filter(food => !(food.custom && food.id === id));
+        }
+    },
+    
+    /**
+     * Offer saved recipes in the search, with a serving as their unit
+     */
+    setRecipes: (recipes) => {
+        FoodDatabase.recipes = recipes.map(Nutrition.recipeFood);
+    },
+    
+    search: (query) => Nutrition.search([...FoodDatabase.recipes, ...(FoodDatabase.foods || [])], query)
+};
+
+// ===== RECIPES =====
+const Recipes = {
+    STORE: 'recipes',
+    
+    /**
+     * Saved recipes, shared by every profile, in name order
+     */
+    list: async () => {
+        const recipes = await Database.getAll(Recipes.STORE);
+        return recipes.sort((a, b) => a.name.localeCompare(b.name, I18n.locale));
+    },
+    
+    get: (id) => Database.get(Recipes.STORE, id),
+    
+    /**
+     * Save a new recipe, or replace an edited one (with an id). Ingredients
+     * keep a copy of their food like diary entries do.
+     */
+    save: async ({ id = null, name, ingredients, servings, yieldGrams }) => {
+        const recipe = { name, ingredients, servings, yieldGrams, updatedAt: Date.now() };
+        if (id !== null) {
+            recipe.id = id;
+        }
+        recipe.id = await Database.put(Recipes.STORE, recipe);
+        return recipe;
+    },
+    
+    remove: (id) => Database.delete(Recipes.STORE, id)
+};
+
+// ===== FOOD DIARY =====
+const FoodDiary = {
+    STORE: 'diary',
+    
+    /**
+     * Log an amount of a food for a day. The entry keeps a copy of the
+     * food's values so later edits to the food lists do not change it.
+     */
+    add: async (date, food, amount, unit, profileId = AppState.profileId) => {
+        const { name, names, calories, protein, fat, carbs } = food;
+        const entry = {
+            profileId,
+            date,
+            food: { name, names, calories, protein, fat, carbs },
+            amount,
+            unit,
+            grams: Nutrition.toGrams(food, amount, unit),
+            createdAt: Date.now()
+        };
+        entry.id = await Database.put(FoodDiary.STORE, entry);
+        return entry;
+    },
+    
+    /**
+     * A profile's entries for a day, in the order they were logged
+     */
+    list: async (date, profileId = AppState.profileId) => {
+        const entries = await Database.getAllByIndex(FoodDiary.STORE, 'profileDate', [profileId, date]);
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    },
+    
+    remove: (id) => Database.delete(FoodDiary.STORE, id)
+};
+
+// ===== SYNC =====
+// Copies calculations and daily log entries to a self-hosted server (the
+// protocol is in the core). Saved changes wait in an outbox, which the
+// service worker sends with Background Sync or, where the browser lacks it,
+// whenever the app asks while online.
+const Sync = {
+    ...CoreSync,
+    STORE: 'sync',
+    OUTBOX: 'outbox',
+    // Background Sync tag the service worker drains the outbox for
+    TAG: 'background-calculation',
+    
+    // { endpoint, token, deviceId } while sync is on, else null
+    config: null,
+    
+    // Last run as recorded by the service worker: { state, lastSyncAt, error, conflicts }
+    status: {},
+    
+    // Called whenever the outbox changes; the app shows the new status
+    onChange: () => {},
+    
+    /**
+     * Read the settings and the status of the last run
+     */
+    load: async () => {
+        Sync.config = (await Database.get(Sync.STORE, 'config')) || null;
+        Sync.status = (await Database.get(Sync.STORE, 'status')) || {};
+    },
+    
+    enabled: () => Boolean(Sync.config),
+    
+    /**
+     * Save the server address and token. Turning sync on, or moving it to
+     * another server, queues every calculation and daily log entry already
+     * on this device.
+     */
+    configure: async ({ endpoint, token }) => {
+        const previous = Sync.config;
+        const config = {
+            key: 'config',
+            endpoint: endpoint.trim(),
+            token: (token || '').trim(),
+            deviceId: previous ? previous.deviceId : crypto.randomUUID()
+        };
+        await Database.put(Sync.STORE, config);
+        Sync.config = config;
+        
+        if (!previous || previous.endpoint !== config.endpoint) {
+            const changes = [];
+            for (const store of Object.keys(Sync.STORES)) {
+                const records = await Database.getAll(store);
+                records.forEach(record => changes.push(Sync.change(store, record)));
+            }
+            await Sync.enqueue(changes);
+        }
+        Sync.onChange();
+        await Sync.schedule();
+    },
+    
+    /**
+     * Turn sync off and drop unsent changes. The server keeps what it has.
+     */
+    disable: async () => {
+        await Database.replaceAll(Sync.STORE, []);
+        await Database.replaceAll(Sync.OUTBOX, []);
+        Sync.config = null;
+        Sync.status = {};
+        Sync.onChange();
+    },
+    
+    /**
+     * Put changes in the outbox, replacing unsent changes to the same records
+     */
+    enqueue: (changes) => Database.run(Sync.OUTBOX, 'readwrite', store => {
+        changes.forEach(change => store.put(change));
+        return store.count();
+    }),
+    
+    pending: () => Database.run(Sync.OUTBOX, 'readonly', store => store.count()),
+    
+    /**
+     * Queue a saved record, or its deletion, and ask for a sync. Does
+     * nothing while sync is off.
+     */
+    track: async (store, record, { deleted = false } = {}) => {
+        if (!Sync.enabled()) return;
+        
+        await Sync.enqueue([Sync.change(store, record, { deleted })]);
+        Sync.onChange();
+        Sync.schedule();
+    },
+    
+    /**
+     * Queue deletions for a profile's calculations and log entries
+     */
+    trackRemoval: async (profileId) => {
+        if (!Sync.enabled()) return;
+        
+        const deletedAt = Date.now();
+        const changes = [];
+        for (const store of Object.keys(Sync.STORES)) {
+            const records = await Database.getAllByIndex(store, 'profileId', profileId);
+            records.forEach(record => changes.push(Sync.change(store, record, { deleted: true, updatedAt: deletedAt })));
+        }
+        await Sync.enqueue(changes);
+        Sync.onChange();
+        Sync.schedule();
+    },
+    
+    /**
+     * The active service worker's registration, or null without one
+     */
+    worker: async () => {
+        if (!('serviceWorker' in navigator)) return null;
+        const registration = await navigator.serviceWorker.getRegistration();
+        return registration && registration.active ? registration : null;
+    },
+    
+    /**
+     * Have the outbox sent: through Background Sync, which waits for a
+     * connection, or right away when online where it is not supported.
+     * Returns false when there is no service worker to send it.
+     */
+    schedule: async ({ now = false } = {}) => {
+        if (!Sync.enabled()) return false;
+        
+        try {
+            const registration = await Sync.worker();
+            if (!registration) return false;
+            
+            if (!now && 'sync' in registration) {
+                try {
+                    await registration.sync.register(Sync.TAG);
+                    return true;
+                } catch (error) {
+                    console.warn('Background Sync unavailable:', error);
+                }
+            }
+            if (now || navigator.onLine) {
+                registration.active.postMessage({ type: 'SYNC_OUTBOX' });
+            }
+            return true;
+        } catch (error) {
+            console.warn('Could not schedule sync:', error);
+            return false;
+        }
+    }
+};
+
+// ===== IMPORT =====
+const Importer = {
+    MAX_FILE_SIZE: 5 * 1024 * 1024,
+    
+    /**
+     * Read and parse a profile or history file into validated rows
+     */
+    readFile: async (file) => {
+        if (file.size > Importer.MAX_FILE_SIZE) {
+            throw new ValidationError(Validation.error('file-too-large', { max: Importer.MAX_FILE_SIZE / 1024 / 1024 }));
+        }
+        const text = await file.text();
+        const isJSON = /\.json$/i.test(file.name) || file.type === 'application/json';
+        return Importer.parse(text, isJSON ? 'json' : 'csv', file.name);
+    },
+    
+    /**
+     * Parse file text into { type, fileName, rows }. Every row carries its
+     * own validation errors so invalid rows can be reported and skipped.
+     */
+    parse: (text, format, fileName = '') => {
+        let type;
+        let records;
+        
+        if (format === 'json') {
+            let json;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                throw new ValidationError(Validation.error('file-not-json'));
+            }
+            
+            if (Array.isArray(json)) {
+                type = 'history';
+                records = json;
+            } else if (json && json.format === DataFormat.NAME) {
+                if (json.version > DataFormat.VERSION) {
+                    throw new ValidationError(Validation.error('file-version', { version: json.version }));
+                }
+                if (!DataFormat.TYPES.includes(json.type)) {
+                    throw new ValidationError(Validation.error('file-type-missing'));
+                }
+                type = json.type;
+                records = type === 'profile' ? [json.profile || {}] : (json.history || []);
+            } else if (json && typeof json === 'object') {
+                type = 'profile';
+                records = [json];
+            } else {
+                throw new ValidationError(Validation.error('file-no-data'));
+            }
+        } else {
+            records = CSV.parseObjects(text);
+            type = Importer.csvType(records);
+        }
+        
+        if (records.length === 0) {
+            throw new ValidationError(Validation.error('file-no-rows'));
+        }
+        
+        const rows = records.map((record, index) => {
+            if (!record || typeof record !== 'object') {
+                return { rowNumber: index + 1, data: null, errors: [Validation.error('row-not-record')] };
+            }
+            const { data, units, timestamp, note, errors } = DataFormat.fromRecord(record);
+            errors.push(...Validation.validateForm(data, units).filter(issue => issue.severity === 'error'));
+            
+            // Catch inputs that validate individually but cannot be calculated
+            let results = null;
+            if (errors.length === 0) {
+                data.macroRules = Macros.resolveRules(AppState.macroSettings);
+                try {
+                    results = Calculator.calculate(data, { units });
+                } catch (error) {
+                    errors.push(error.issue || Validation.error('calculation-failed'));
+                }
+            }
+            
+            return {
+                // CSV row numbers count the header line
+                rowNumber: format === 'csv' ? index + 2 : index + 1,
+                data,
+                units,
+                timestamp,
+                note,
+                results,
+                errors
+            };
+        });
+        
+        return { type, fileName, rows };
+    },
+    
+    /**
+     * The record type a CSV file declares. Files without the column predate
+     * it and hold history unless they are a single row without a timestamp.
+     */
+    csvType: (records) => {
+        if (records.length === 0 || !Object.hasOwn(records[0], DataFormat.TYPE_COLUMN)) {
+            return records.length === 1 && !records[0].timestamp ? 'profile' : 'history';
+        }
+        const types = new Set(records.map(record => record[DataFormat.TYPE_COLUMN].trim().toLowerCase()));
+        const [type] = types;
+        if (types.size > 1 || !DataFormat.TYPES.includes(type)) {
+            throw new ValidationError(Validation.error('file-type-missing'));
+        }
+        if (type === 'profile' && records.length > 1) {
+            throw new ValidationError(Validation.error('profile-rows'));
+        }
+        return type;
+    },
+    
+    /**
+     * Save valid history rows. Returns the number saved.
+     */
+    importHistory: async (rows) => {
+        let saved = 0;
+        for (const row of rows.filter(candidate => candidate.errors.length === 0)) {
+            await CalculationHistory.add(row.data, row.results, {
+                timestamp: row.timestamp ?? Date.now(),
+                units: row.units,
+                note: row.note
+            });
+            saved++;
+        }
+        return saved;
+    }
+};
+
+// ===== EXPORT =====
+const Exporter = {
+    /**
+     * Serialize records as CSV or as a versioned JSON document
+     */
+    serialize: (records, type, format) => {
+        if (format === 'csv') {
+            // Optional extras such as a calorie cycling plan follow the standard columns
+            const energy = records[0] && records[0].energy_unit;
+            const columns = [DataFormat.TYPE_COLUMN, ...DataFormat.INPUT_COLUMNS, ...DataFormat.resultColumns(energy)];
+            const extra = Object.keys(records[0] || {}).filter(column => !columns.includes(column));
+            const typed = records.map(record => ({ [DataFormat.TYPE_COLUMN]: type, ...record }));
+            // BOM so spreadsheet apps detect UTF-8
+            return '\uFEFF' + CSV.stringify([...columns, ...extra], typed);
+        }
+        return JSON.stringify({
+            format: DataFormat.NAME,
+            version: DataFormat.VERSION,
+            type,
+            exportedAt: new Date().toISOString(),
+            [type]: type === 'profile' ? records[0] : records
+        }, null, 2);
+    },
+    
+    /**
+     * Save text as a file through a temporary object URL (no server involved)
+     */
+    download: (fileName, content, mimeType) => {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+    
+    /**
+     * Export records of one type. Returns the file name used.
+     */
+    exportRecords: (records, type, format) => {
+        const fileName = `${DataFormat.NAME}-${type}-${Utils.toDateKey(new Date())}.${format}`;
+        const mimeType = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+        Exporter.download(fileName, Exporter.serialize(records, type, format), mimeType);
+        return fileName;
+    }
+};
+
+// ===== APP UPDATES =====
+const AppUpdate = {
+    worker: null,
+    reloading: false,
+    
+    /**
+     * Watch a service worker registration: offer a new version once it has
+     * installed and is waiting, and reload when a new worker takes control so
+     * the page never runs old and new files side by side
+     */
+    watch: (registration) => {
+        const { serviceWorker } = navigator;
+        let controlled = Boolean(serviceWorker.controller);
+        
+        serviceWorker.addEventListener('controllerchange', () => {
+            // The very first worker claims the page; there is nothing to reload
+            if (!controlled) {
+                controlled = true;
+                return;
+            }
+            if (AppUpdate.reloading) return;
+            AppUpdate.reloading = true;
+            window.location.reload();
+        });
+        
+        if (registration.waiting && serviceWorker.controller) {
+            AppUpdate.offer(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && serviceWorker.controller) {
+                    AppUpdate.offer(worker);
+                }
+            });
+        });
+    },
+    
+    /**
+     * Remember the waiting worker and ask the user to update
+     */
+    offer: (worker) => {
+        AppUpdate.worker = worker;
+        UI.showUpdatePrompt(true);
+    },
+    
+    /**
+     * Let the waiting worker take over; the page reloads on controllerchange
+     */
+    apply: () => {
+        if (!AppUpdate.worker) return;
+        AppUpdate.worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+};
+
+// ===== CHARTS =====
+const Charts = {
+    SVG_NS: 'http://www.w3.org/2000/svg',
+    
+    /**
+     * Create an SVG element with attributes
+     */
+    create: (tag, attributes = {}) => {
+        const element = document.createElementNS(Charts.SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    },
+    
+    /**
+     * Build an accessible, dependency-free line chart. Each series is
+     * { className, points: [[x, y], ...] }; series share one vertical scale
+     * unless they set independentScale. Guides are horizontal reference
+     * lines { className, y }.
+     */
+    lineChart: ({ series, guides = [], label, className = '', width = 320, height = 120, padding = 8 }) => {
+        const allPoints = series.flatMap(line => line.points);
+        const xs = allPoints.map(([x]) => x);
+        const minX = Math.min(...xs);
+        const spanX = Math.max(Math.max(...xs) - minX, 1);
+        const x = (value) => padding + (value - minX) / spanX * (width - 2 * padding);
+        
+        const sharedYs = [
+            ...series.filter(line => !line.independentScale).flatMap(line => line.points.map(([, y]) => y)),
+            ...guides.map(guide => guide.y)
+        ];
+        const scaleFor = (ys) => {
+            const min = Math.min(...ys);
+            const range = Math.max(Math.max(...ys) - min, 1);
+            return (value) => height - padding - (value - min) / range * (height - 2 * padding);
+        };
+        const sharedY = sharedYs.length > 0 ? scaleFor(sharedYs) : null;
+        
+        const svg = Charts.create('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            class: className,
+            role: 'img',
+            'aria-label': label
+        });
+        
+        guides.forEach(guide => {
+            const y = sharedY(guide.y).toFixed(1);
+            svg.appendChild(Charts.create('line', {
+                x1: padding, x2: width - padding, y1: y, y2: y,
+                class: `chart-guide ${guide.className || ''}`
+            }));
+        });
+        
+        series.forEach(line => {
+            const y = line.independentScale ? scaleFor(line.points.map(([, value]) => value)) : sharedY;
+            svg.appendChild(Charts.create('polyline', {
+                class: `trend-line ${line.className}`,
+                points: line.points.map(([px, py]) => `${x(px).toFixed(1)},${y(py).toFixed(1)}`).join(' ')
+            }));
+        });
+        
+        return svg;
+    },
+    
+    /**
+     * Build an accessible, dependency-free horizontal bar chart. Each row is
+     * { label, valueLabel, segments: [{ className, value }] } and all rows
+     * share one scale from zero. Guides are vertical reference lines
+     * { className, value }. Labels sit above their bars so the chart stays
+     * readable when narrow.
+     */
+    barChart: ({ rows, guides = [], label, className = '', width = 320, barHeight = 14, padding = 8 }) => {
+        const labelHeight = 16;
+        const rowHeight = labelHeight + barHeight + padding;
+        const height = rows.length * rowHeight + padding;
+        const totals = rows.map(row => row.segments.reduce((sum, segment) => sum + segment.value, 0));
+        const max = Math.max(...totals, ...guides.map(guide => guide.value), 1);
+        const x = (value) => padding + value / max * (width - 2 * padding);
+        
+        const svg = Charts.create('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            width,
+            height,
+            class: className,
+            role: 'img',
+            'aria-label': label
+        });
+        const text = (content, attributes) => {
+            const element = Charts.create('text', attributes);
+            element.textContent = content;
+            svg.appendChild(element);
+        };
+        
+        rows.forEach((row, index) => {
+            const top = padding + index * rowHeight;
+            text(row.label, { x: padding, y: top + 12, class: 'chart-label' });
+            text(row.valueLabel, { x: width - padding, y: top + 12, 'text-anchor': 'end', class: 'chart-label chart-label--value' });
+            
+            let offset = 0;
+            row.segments.forEach(segment => {
+                svg.appendChild(Charts.create('rect', {
+                    x: x(offset).toFixed(1),
+                    y: top + labelHeight,
+                    width: Math.max(x(offset + segment.value) - x(offset), 0).toFixed(1),
+                    height: barHeight,
+                    class: segment.className
+                }));
+                offset += segment.value;
+            });
+        });
+        
+        guides.forEach(guide => {
+            const gx = x(guide.value).toFixed(1);
+            svg.appendChild(Charts.create('line', {
+                x1: gx, x2: gx, y1: padding + labelHeight - 2, y2: height - padding + 2,
+                class: `chart-guide ${guide.className || ''}`
+            }));
+        });
+        
+        return svg;
+    }
+};
+
+// ===== UI FUNCTIONS =====
+const UI = {
+    /**
+     * Show/hide loading state
+     */
+    setLoading: (isLoading) => {
+        const btn = AppState.elements.calculateBtn;
+        if (isLoading) {
+            btn.classList.add('loading');
+            btn.disabled = true;
+        } else {
+            btn.classList.remove('loading');
+            btn.disabled = false;
+        }
+        AppState.isCalculating = isLoading;
+    },
+    
+    /**
+     * Show form validation error, or a warning that does not block
+     */
+    showFieldError: (fieldName, message, severity = 'error') => {
+        const errorElement = document.getElementById(`${fieldName}-error`);
+        const inputElement = document.getElementById(fieldName) || 
+                            document.querySelector(`input[name="${fieldName}"]`);
+        
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.toggle('input-error--warning', severity === 'warning');
+        }
+        
+        if (inputElement) {
+            inputElement.classList.toggle('error', severity === 'error');
+            inputElement.classList.toggle('warning', severity === 'warning');
+            inputElement.classList.remove('success');
+        }
+    },
+    
+    /**
+     * Clear form validation error
+     */
+    clearFieldError: (fieldName) => {
+        const errorElement = document.getElementById(`${fieldName}-error`);
+        const inputElement = document.getElementById(fieldName) || 
+                            document.querySelector(`input[name="${fieldName}"]`);
+        
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.classList.remove('input-error--warning');
+        }
+        
+        if (inputElement) {
+            inputElement.classList.remove('error', 'warning');
+            inputElement.classList.add('success');
+        }
+    },
+    
+    /**
+     * Clear all form errors
+     */
+    clearAllErrors: () => {
+        const errorElements = document.querySelectorAll('.input-error');
+        const inputElements = document.querySelectorAll('.input-field');
+        
+        errorElements.forEach(el => {
+            el.textContent = '';
+            el.classList.remove('input-error--warning');
+        });
+        inputElements.forEach(el => {
+            el.classList.remove('error', 'warning', 'success');
+        });
+    },
+    
+    /**
+     * Show calculator form issues, one per field with errors ahead of
+     * warnings. Given the set of touched inputs, only checks the user has
+     * reached are shown, and missing values wait until every input involved
+     * has been filled in.
+     */
+    showFormIssues: (issues, touched = null) => {
+        const reached = (issue) => !touched || (issue.missing
+            ? issue.inputs.length > 0 && issue.inputs.every(input => touched.has(input))
+            : issue.inputs.some(input => touched.has(input)));
+        const shown = new Map();
+        issues.filter(reached).forEach(issue => {
+            const current = shown.get(issue.field);
+            if (!current || (current.severity === 'warning' && issue.severity === 'error')) {
+                shown.set(issue.field, issue);
+            }
+        });
+        
+        new Set(Validation.FORM_SCHEMA.map(entry => entry.field)).forEach(field => {
+            const issue = shown.get(field);
+            if (issue) {
+                UI.showFieldError(field, Validation.describe(issue), issue.severity);
+                return;
+            }
+            UI.clearFieldError(field);
+            // Only inputs the user has filled in are marked as valid
+            const input = document.getElementById(field);
+            if (input && !(touched && touched.has(field))) {
+                input.classList.remove('success');
+            }
+        });
+    },
+    
+    /**
+     * Fill the sync settings form from the saved settings
+     */
+    fillSyncForm: () => {
+        const form = document.getElementById('sync-form');
+        form.elements['sync-endpoint'].value = Sync.config ? Sync.config.endpoint : '';
+        form.elements['sync-token'].value = Sync.config ? Sync.config.token : '';
+        document.getElementById('sync-now-btn').disabled = !Sync.enabled();
+        document.getElementById('sync-off-btn').disabled = !Sync.enabled();
+        UI.clearFieldError('sync');
+    },
+    
+    /**
+     * Show the sync state in the settings and in the header: off, syncing,
+     * waiting (online or offline), failed or synced
+     */
+    renderSyncStatus: (pending) => {
+        const { status } = Sync;
+        const errors = {
+            unauthorized: 'Sync failed: the server did not accept the access token.',
+            http: 'Sync failed: the server answered with status {status}.',
+            response: 'Sync failed: the server sent an answer the app cannot read.',
+            network: 'Sync failed: the server could not be reached. It will be tried again.'
+        };
+        let state;
+        let text;
+        let label;
+        if (!Sync.enabled()) {
+            state = 'off';
+            text = I18n.t('Sync is off. Calculations and log entries stay on this device.');
+        } else if (status.state === 'syncing') {
+            state = 'syncing';
+            text = I18n.t('Syncing…');
+            label = text;
+        } else if (pending > 0 && !navigator.onLine) {
+            state = 'offline';
+            text = I18n.tn(
+                'Offline: {count} change will be synced once you are back online.',
+                'Offline: {count} changes will be synced once you are back online.',
+                pending
+            );
+            label = I18n.t('Offline');
+        } else if (status.state === 'error' && status.error) {
+            state = 'error';
+            text = I18n.t(errors[status.error.code] || errors.network, { status: status.error.status });
+            label = I18n.t('Sync failed');
+        } else if (pending > 0) {
+            state = 'pending';
+            text = I18n.tn('{count} change waiting to sync.', '{count} changes waiting to sync.', pending);
+            label = I18n.t('Waiting to sync');
+        } else {
+            state = 'synced';
+            text = status.lastSyncAt
+                ? I18n.t('Everything is synced. Last sync: {time}.', { time: new Date(status.lastSyncAt).toLocaleString(I18n.locale) })
+                : I18n.t('Everything is synced.');
+            label = I18n.t('Synced');
+        }
+        if (state !== 'off' && status.conflicts > 0) {
+            text += ' ' + I18n.tn(
+                'The server had a newer version of {count} record, which replaced the one here.',
+                'The server had newer versions of {count} records, which replaced the ones here.',
+                status.conflicts
+            );
+        }
+        
+        const statusEl = document.getElementById('sync-status');
+        statusEl.dataset.state = state;
+        statusEl.textContent = text;
+        
+        const indicator = document.getElementById('sync-indicator');
+        indicator.hidden = state === 'off';
+        indicator.dataset.state = state;
+        document.getElementById('sync-indicator-label').textContent = label || '';
+    },
+    
+    /**
+     * Show or hide the "new version available" prompt
+     */
+    showUpdatePrompt: (show) => {
+        document.getElementById('update-prompt').hidden = !show;
+    },
+    
+    /**
+     * Show or hide the notice asking to confirm details filled in from a link
+     */
+    showLaunchNotice: (show) => {
+        document.getElementById('launch-notice').hidden = !show;
+    },
+    
+    /**
+     * Show notification toast
+     */
+    showToast: (message, type = 'info') => {
+        const toast = AppState.elements.toast;
+        const messageEl = AppState.elements.toastMessage;
+        const iconEl = toast.querySelector('.toast__icon');
+        
+        // Set message and icon
+        messageEl.textContent = message;
+        
+        // Set type-specific styling and icon
+        toast.className = 'toast';
+        toast.classList.add(type);
+        
+        switch (type) {
+            case 'success':
+                iconEl.textContent = '✅';
+                break;
+            case 'error':
+                iconEl.textContent = '❌';
+                break;
+            case 'warning':
+                iconEl.textContent = '⚠️';
+                break;
+            default:
+                iconEl.textContent = 'ℹ️';
+        }
+        
+        // Show toast
+        toast.classList.add('show');
+        
+        // Auto-hide after 5 seconds
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 5000);
+    },
+    
+    /**
+     * Display calculation results
+     */
+    displayResults: (results) => {
+        const { bmr, tdee } = results;
+        
+        // Show results section
+        AppState.elements.resultsSection.style.display = 'block';
+        
+        // Animate BMR result
+        const bmrValueEl = AppState.elements.bmrResult.querySelector('.result-value');
+        Utils.animateNumber(bmrValueEl, 0, Units.fromKcal(bmr, AppState.units.energy), 1000);
+        
+        // Animate TDEE result
+        const tdeeValueEl = AppState.elements.tdeeResult.querySelector('.result-value');
+        Utils.animateNumber(tdeeValueEl, 0, Units.fromKcal(tdee, AppState.units.energy), 1200);
+        
+        // Male-to-female range for other genders
+        UI.displaySexRange(results.range);
+        
+        // Population notices (children, pregnancy, equation validity)
+        UI.displayNotices(results.notices);
+        
+        // Show where TDEE goes and how the goals compare
+        UI.displayEnergyBreakdown(results);
+        
+        // Show body composition when body fat is known
+        UI.displayBodyComposition(results.bodyComposition);
+        UI.displayBodyMetrics(results.metrics, results.inputs);
+        
+        // A previous timeline no longer matches these results
+        document.getElementById('planner-result').style.display = 'none';
+        
+        // Show equation used and comparison
+        document.getElementById('bmr-equation-name').textContent = Equations.get(results.equation).name;
+        UI.renderEquationComparison(results.comparison, results.equation);
+        
+        // Update weight goals
+        setTimeout(() => UI.displayGoals(results), 800);
+        
+        // Scroll to results
+        AppState.elements.resultsSection.scrollIntoView({ 
+            behavior: 'smooth', 
+            block: 'start' 
+        });
+        
+        // Store last calculation
+        AppState.lastCalculation = results;
+        UI.displayAdaptiveEstimate(AppState.adaptiveEstimate);
+        UI.populatePlannerPace();
+        
+        // Show success message
+        UI.showToast(I18n.t('Calculation completed successfully!'), 'success');
+    },
+    
+    /**
+     * Show maintenance and weight goal calories with their macros
+     */
+    displayGoals: (results) => {
+        const { goals } = results;
+        document.getElementById('loss-mild').textContent = UI.formatEnergy(goals.loss.mild);
+        document.getElementById('loss-moderate').textContent = UI.formatEnergy(goals.loss.moderate);
+        document.getElementById('loss-aggressive').textContent = UI.formatEnergy(goals.loss.aggressive);
+        document.getElementById('gain-mild').textContent = UI.formatEnergy(goals.gain.mild);
+        document.getElementById('gain-moderate').textContent = UI.formatEnergy(goals.gain.moderate);
+        document.getElementById('maintenance').textContent = UI.formatEnergy(results.targetTdee);
+        document.getElementById('goals-source').textContent = results.goalsSource === 'adaptive'
+            ? I18n.t('Based on your observed TDEE of {energy} from the daily log', { energy: UI.formatEnergy(results.targetTdee) })
+            : I18n.t('Based on the formula estimate');
+        UI.displayMacros(results.macros);
+        UI.displayGuardrails(results.guardrails);
+        UI.displayCycling(CalorieCycling.forResults(results, AppState.cyclingSettings));
+        UI.displayDiaryTotals(results);
+    },
+    
+    /**
+     * Flag, clamp or hide goal options that break a safety rule
+     */
+    displayGuardrails: (guardrails) => {
+        // Hidden options explain themselves in a note on the card
+        ['loss', 'gain'].forEach(group => {
+            const hidden = guardrails
+                ? Object.values(guardrails.checks[group]).find(check => check.status === 'hidden')
+                : null;
+            const blocked = document.getElementById(`${group}-blocked`);
+            blocked.style.display = hidden ? 'block' : 'none';
+            blocked.textContent = hidden ? UI.describeGuardrail(hidden.reasons[0]) : '';
+        });
+        ['mild', 'moderate'].forEach(level => {
+            const hidden = Boolean(guardrails && guardrails.checks.gain[level].status === 'hidden');
+            document.getElementById(`gain-${level}`).closest('.goal-option').classList.toggle('goal-option--hidden', hidden);
+        });
+        
+        ['mild', 'moderate', 'aggressive'].forEach(level => {
+            const check = guardrails ? guardrails.checks.loss[level] : { status: 'ok', reasons: [] };
+            const option = document.getElementById(`loss-${level}`).closest('.goal-option');
+            const note = document.getElementById(`loss-${level}-guardrail`);
+            
+            option.classList.toggle('goal-option--hidden', check.status === 'hidden');
+            option.classList.toggle('goal-option--clamped', check.status === 'clamped');
+            option.classList.toggle('goal-option--caution', check.status === 'flagged');
+            
+            let text = check.status === 'hidden'
+                ? ''
+                : check.reasons.map(reason => `⚠️ ${UI.describeGuardrail(reason)}`).join(' ');
+            if (check.status === 'clamped') {
+                text = `${I18n.t('Adjusted from {energy}.', { energy: UI.formatEnergy(check.requested) })} ${text}`;
+            }
+            note.textContent = text;
+        });
+    },
+    
+    /**
+     * Describe a guardrail reason code in words
+     */
+    describeGuardrail: (reason) => Guardrails.describe(reason, UI.formatEnergy),
+    
+    /**
+     * Show the macro breakdown under each goal, flagging unsafe splits
+     */
+    displayMacros: (macros) => {
+        const targets = {
+            maintenance: macros.maintenance,
+            'loss-mild': macros.loss.mild,
+            'loss-moderate': macros.loss.moderate,
+            'loss-aggressive': macros.loss.aggressive,
+            'gain-mild': macros.gain.mild,
+            'gain-moderate': macros.gain.moderate
+        };
+        
+        Object.entries(targets).forEach(([id, split]) => {
+            const container = document.getElementById(`${id}-macros`);
+            const option = container.closest('.goal-option');
+            container.innerHTML = '';
+            
+            const summary = document.createElement('span');
+            summary.className = 'goal-option__split';
+            summary.textContent = I18n.t('Protein {protein} g · Fat {fat} g · Carbs {carbs} g', {
+                protein: Utils.formatNumber(split.protein),
+                fat: Utils.formatNumber(split.fat),
+                carbs: Utils.formatNumber(split.carbs)
+            });
+            summary.title = I18n.t('{protein}% / {fat}% / {carbs}% of calories', split.percentages);
+            container.appendChild(summary);
+            
+            split.warnings.forEach(warning => {
+                const note = document.createElement('p');
+                note.className = 'goal-option__warning';
+                note.textContent = `⚠️ ${Macros.describeWarning(warning)}`;
+                container.appendChild(note);
+            });
+            
+            option.classList.toggle('goal-option--flagged', split.warnings.length > 0);
+        });
+    },
+    
+    /**
+     * Fill the macro preset selector and custom fields from settings
+     */
+    populateMacroSettings: () => {
+        const settings = AppState.macroSettings;
+        const select = document.getElementById('macro-preset');
+        select.innerHTML = '';
+        
+        Object.entries(Macros.presets).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = I18n.t(preset.name);
+            select.appendChild(option);
+        });
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = I18n.t('Custom');
+        select.appendChild(custom);
+        
+        select.value = settings.preset;
+        document.getElementById('macro-protein').value = I18n.formatInput(settings.custom.protein.amount);
+        document.getElementById('macro-protein-unit').value = settings.custom.protein.unit;
+        document.getElementById('macro-protein-basis').value = settings.custom.protein.basis;
+        document.getElementById('macro-fat-floor').value = I18n.formatInput(settings.custom.fatPercent);
+        document.getElementById('macro-custom').style.display = settings.preset === 'custom' ? 'grid' : 'none';
+    },
+    
+    /**
+     * Fill the calorie cycling form from settings
+     */
+    populateCyclingSettings: () => {
+        const settings = AppState.cyclingSettings;
+        const form = document.getElementById('cycling-form');
+        
+        const goal = form.elements['cycling-goal'];
+        goal.innerHTML = '';
+        Object.entries(CalorieCycling.GOALS).forEach(([id, name]) => goal.add(new Option(I18n.t(name), id)));
+        goal.value = settings.goal;
+        
+        const amount = form.elements['cycling-amount'];
+        amount.innerHTML = '';
+        CalorieCycling.AMOUNTS.forEach(value => amount.add(new Option(I18n.t('{percent}% more on training days', { percent: value }), value)));
+        amount.value = settings.amount;
+        
+        form.querySelectorAll('input[name="cycling-day"]').forEach(input => {
+            input.checked = settings.trainingDays.includes(Number(input.value));
+        });
+        form.elements['cycling-include'].checked = settings.include;
+    },
+    
+    /**
+     * Show a calorie cycling plan as a weekly calendar
+     */
+    displayCycling: (plan) => {
+        const section = document.getElementById('calorie-cycling');
+        section.classList.toggle('no-print', !AppState.cyclingSettings.include);
+        
+        let summary = I18n.t('Weekly budget {weekly} for {goal} ({daily} on average).', {
+            weekly: UI.formatEnergy(plan.weeklyCalories, ''),
+            goal: I18n.t(CalorieCycling.GOALS[plan.goal]).toLocaleLowerCase(I18n.locale),
+            daily: UI.formatEnergy(plan.goalCalories)
+        });
+        if (plan.trainingCount === 7) {
+            summary += ` ${I18n.t('Every day is a training day, so intake stays flat. Mark some rest days to cycle calories.')}`;
+        } else if (plan.trainingCount === 0) {
+            summary += ` ${I18n.t('Every day is a rest day, so intake stays flat. Mark some training days to cycle calories.')}`;
+        } else {
+            summary += ` ${I18n.t('Training days about {training}, rest days about {rest}.', {
+                training: UI.formatEnergy(plan.trainingCalories, ''),
+                rest: UI.formatEnergy(plan.restCalories, '')
+            })}`;
+        }
+        document.getElementById('cycling-summary').textContent = summary;
+        
+        const warningsList = document.getElementById('cycling-warnings');
+        warningsList.innerHTML = '';
+        plan.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = `⚠️ ${UI.describePlanWarning(warning)}`;
+            warningsList.appendChild(item);
+        });
+        
+        const calendar = document.getElementById('cycling-calendar');
+        calendar.innerHTML = '';
+        plan.days.forEach(day => {
+            const item = document.createElement('li');
+            item.className = `cycling-day cycling-day--${day.training ? 'training' : 'rest'}`;
+            
+            const name = document.createElement('span');
+            name.className = 'cycling-day__name';
+            name.textContent = I18n.t(day.name.slice(0, 3));
+            name.title = I18n.t(day.name);
+            
+            const type = document.createElement('span');
+            type.className = 'cycling-day__type';
+            type.textContent = day.training ? I18n.t('Training') : I18n.t('Rest');
+            
+            const calories = document.createElement('span');
+            calories.className = 'cycling-day__calories';
+            calories.textContent = UI.formatEnergy(day.calories, '');
+            
+            const macros = document.createElement('span');
+            macros.className = 'cycling-day__macros';
+            macros.textContent = I18n.t('P {protein} g · F {fat} g · C {carbs} g', day.macros);
+            
+            item.append(name, type, calories, macros);
+            calendar.appendChild(item);
+        });
+    },
+    
+    /**
+     * Render recent daily log entries
+     */
+    renderDailyLog: (entries) => {
+        const list = AppState.elements.logList;
+        list.innerHTML = '';
+        
+        [...entries].reverse().slice(0, 14).forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'log-item';
+            item.dataset.date = entry.date;
+            
+            const date = document.createElement('time');
+            date.dateTime = entry.date;
+            date.textContent = Utils.formatDate(entry.date);
+            
+            const values = document.createElement('span');
+            values.textContent = [
+                entry.weight ? UI.formatWeight(entry.weight) : null,
+                entry.calories !== null ? I18n.t('{energy} eaten', { energy: UI.formatEnergy(entry.calories, '') }) : null
+            ].filter(Boolean).join(' · ');
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn--secondary btn--small';
+            remove.textContent = I18n.t('Delete');
+            remove.setAttribute('aria-label', I18n.t('Delete log entry for {date}', { date: date.textContent }));
+            
+            item.append(date, values, remove);
+            list.appendChild(item);
+        });
+    },
+    
+    /**
+     * Show the adaptive TDEE next to the formula estimate with its confidence
+     */
+    displayAdaptiveEstimate: (estimate) => {
+        const valueEl = document.getElementById('adaptive-tdee-value');
+        const formulaEl = document.getElementById('adaptive-formula-value');
+        const confidenceEl = document.getElementById('adaptive-confidence');
+        const explanationEl = document.getElementById('adaptive-explanation');
+        const last = AppState.lastCalculation;
+        
+        formulaEl.textContent = last ? UI.formatEnergy(last.tdee) : I18n.t('Calculate above');
+        
+        if (!estimate || estimate.tdee === null) {
+            const logged = estimate ? estimate.intakeDays : 0;
+            valueEl.textContent = '—';
+            confidenceEl.textContent = I18n.t('Not enough data');
+            confidenceEl.dataset.level = 'none';
+            explanationEl.textContent = I18n.tn(
+                'Log your weight and calories eaten for at least {days} days ({count} day of intake so far). Weigh in at the same time each day for best results.',
+                'Log your weight and calories eaten for at least {days} days ({count} days of intake so far). Weigh in at the same time each day for best results.',
+                logged,
+                { days: AdaptiveTDEE.MIN_DAYS }
+            );
+            return;
+        }
+        
+        const explanations = {
+            low: 'Early estimate: daily water and food weight swings can still move it by several hundred calories. Goals keep using the formula until two weeks of data are logged.',
+            medium: 'Reasonably reliable. Your goals now use this observed value instead of the formula.',
+            high: 'Reliable: three or more weeks of consistent logging. Your goals use this observed value.'
+        };
+        const labels = { low: 'Low confidence', medium: 'Medium confidence', high: 'High confidence' };
+        
+        valueEl.textContent = UI.formatEnergy(estimate.tdee);
+        confidenceEl.textContent = I18n.t(labels[estimate.confidence]);
+        confidenceEl.dataset.level = estimate.confidence;
+        explanationEl.textContent = `${I18n.t('From {days} days ({intakeDays} with intake, {weightDays} weigh-ins): average intake {intake}, trend weight {weight} changing {change}/week.', {
+            days: estimate.days,
+            intakeDays: estimate.intakeDays,
+            weightDays: estimate.weightDays,
+            intake: UI.formatEnergy(estimate.averageIntake),
+            weight: UI.formatWeight(estimate.trendWeight),
+            change: UI.formatWeight(estimate.weeklyChange, 2)
+        })} ${I18n.t(explanations[estimate.confidence])}`;
+        
+        if (last) {
+            const difference = Math.round((estimate.tdee - last.tdee) / last.tdee * 100);
+            formulaEl.textContent += ` ${I18n.t('({difference}% observed)', { difference: `${difference > 0 ? '+' : ''}${difference}` })}`;
+        }
+    },
+    
+    /**
+     * Fill the diary's goal choices and select the remembered one
+     */
+    populateDiaryGoals: () => {
+        const select = document.getElementById('diary-goal');
+        select.innerHTML = '';
+        Object.entries(CalorieCycling.GOALS).forEach(([id, name]) => select.add(new Option(I18n.t(name), id)));
+        select.value = AppState.diaryGoal;
+    },
+    
+    /**
+     * An amount of a food in its unit, e.g. "1.5 cup" or "150 g"
+     */
+    formatServing: (amount, unit) => {
+        const decimals = Number.isInteger(amount) ? 0 : Number.isInteger(amount * 10) ? 1 : 2;
+        return `${Utils.formatNumber(amount, decimals)} ${unit === 'g' ? I18n.t('g') : I18n.t(unit)}`;
+    },
+    
+    /**
+     * Energy and macros in a line, e.g. "95 cal · P 1.3 g · F 0.4 g · C 27 g"
+     */
+    formatNutrients: (amounts) => `${UI.formatEnergy(amounts.calories, '')} · ${I18n.t('P {protein} g · F {fat} g · C {carbs} g', {
+        protein: Utils.formatNumber(amounts.protein, 1),
+        fat: Utils.formatNumber(amounts.fat, 1),
+        carbs: Utils.formatNumber(amounts.carbs, 1)
+    })}`,
+    
+    /**
+     * List foods matching a search as buttons that choose them
+     */
+    renderFoodResults: (list, foods, query) => {
+        list.innerHTML = '';
+        
+        foods.forEach((food, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'food-results__item';
+            button.dataset.index = index;
+            
+            const name = document.createElement('span');
+            name.className = 'food-results__name';
+            name.textContent = food.custom || food.recipe
+                ? `${food.name} (${I18n.t(food.recipe ? 'recipe' : 'custom')})`
+                : Nutrition.nameOf(food);
+            const energy = document.createElement('span');
+            energy.className = 'food-results__energy';
+            energy.textContent = I18n.t('{energy} per 100 g', { energy: UI.formatEnergy(food.calories, '') });
+            
+            button.append(name, energy);
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        
+        if (query.trim() && foods.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'food-results__empty';
+            item.textContent = I18n.t('No foods match "{query}". You can add it under Your custom foods.', { query: query.trim() });
+            list.appendChild(item);
+        }
+    },
+    
+    /**
+     * Offer grams and a food's household units, keeping the current unit
+     * when the food has it
+     */
+    fillUnitOptions: (select, food) => {
+        const current = select.value;
+        select.innerHTML = '';
+        select.add(new Option(I18n.t('grams'), 'g'));
+        (food ? food.servings || [] : []).forEach(serving => {
+            select.add(new Option(`${I18n.t(serving.name)} (${Utils.formatNumber(serving.grams, Number.isInteger(serving.grams) ? 0 : 1)} g)`, serving.name));
+        });
+        select.value = Array.from(select.options).some(option => option.value === current) ? current : 'g';
+    },
+    
+    /**
+     * Show the chosen food and offer its household units next to grams
+     */
+    showDiaryFood: (food) => {
+        document.getElementById('diary-food').textContent = food
+            ? I18n.t('Chosen: {food}', { food: Nutrition.nameOf(food) })
+            : I18n.t('No food chosen yet');
+        UI.fillUnitOptions(document.getElementById('diary-unit'), food);
+        UI.updateDiaryPreview();
+    },
+    
+    /**
+     * Show what the amount being entered adds up to
+     */
+    updateDiaryPreview: () => {
+        const preview = document.getElementById('diary-preview');
+        const food = AppState.diaryFood;
+        const amount = I18n.parseNumber(document.getElementById('diary-amount').value);
+        const unit = document.getElementById('diary-unit').value;
+        if (!food || !(amount > 0)) {
+            preview.textContent = '';
+            return;
+        }
+        const grams = Nutrition.toGrams(food, amount, unit);
+        preview.textContent = `${unit === 'g' ? '' : `${UI.formatServing(grams, 'g')}: `}${UI.formatNutrients(Nutrition.forGrams(food, grams))}`;
+    },
+    
+    /**
+     * Render the day's diary entries and totals
+     */
+    renderDiary: (entries) => {
+        const list = document.getElementById('diary-list');
+        list.innerHTML = '';
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'diary-item';
+            item.dataset.id = entry.id;
+            
+            const name = document.createElement('span');
+            name.className = 'diary-item__name';
+            name.textContent = Nutrition.nameOf(entry.food);
+            
+            const amount = document.createElement('span');
+            amount.className = 'diary-item__amount';
+            amount.textContent = entry.unit === 'g'
+                ? UI.formatServing(entry.amount, 'g')
+                : `${UI.formatServing(entry.amount, entry.unit)} (${UI.formatServing(Math.round(entry.grams), 'g')})`;
+            
+            const energy = document.createElement('span');
+            energy.className = 'diary-item__energy';
+            energy.textContent = UI.formatEnergy(Nutrition.forGrams(entry.food, entry.grams).calories, '');
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn--secondary btn--small';
+            remove.textContent = I18n.t('Delete');
+            remove.setAttribute('aria-label', I18n.t('Delete {food} from the diary', { food: Nutrition.nameOf(entry.food) }));
+            
+            item.append(name, amount, energy, remove);
+            list.appendChild(item);
+        });
+        
+        UI.displayDiaryTotals();
+    },
+    
+    /**
+     * Compare the day's totals with the chosen goal of the shown results
+     */
+    displayDiaryTotals: (results = AppState.lastCalculation) => {
+        const summary = document.getElementById('diary-summary');
+        const list = document.getElementById('diary-totals');
+        const totals = Nutrition.total(AppState.diaryEntries);
+        list.innerHTML = '';
+        
+        if (!results) {
+            summary.textContent = AppState.diaryEntries.length > 0
+                ? I18n.t('Eaten so far: {nutrients}. Calculate your needs above to compare with a target.', { nutrients: UI.formatNutrients(totals) })
+                : I18n.t('Calculate your needs above to compare what you eat with a target.');
+            return;
+        }
+        
+        const target = Nutrition.target(results, AppState.diaryGoal);
+        const comparison = Nutrition.compare(totals, target);
+        const energy = comparison[0];
+        const params = {
+            eaten: UI.formatEnergy(energy.eaten, ''),
+            target: UI.formatEnergy(energy.target, ''),
+            goal: I18n.t(CalorieCycling.GOALS[target.goal]).toLocaleLowerCase(I18n.locale),
+            difference: UI.formatEnergy(Math.abs(energy.remaining), '')
+        };
+        summary.textContent = [
+            target.unavailable
+                ? I18n.t('{goal} is not available for this profile, so the diary uses maintenance.', {
+                    goal: I18n.t(CalorieCycling.GOALS[AppState.diaryGoal])
+                })
+                : '',
+            energy.remaining >= 0
+                ? I18n.t('{eaten} of {target} for {goal}: {difference} left.', params)
+                : I18n.t('{eaten} of {target} for {goal}: {difference} over.', params)
+        ].filter(Boolean).join(' ');
+        
+        const labels = { calories: 'Energy', protein: 'Protein', fat: 'Fat', carbs: 'Carbs' };
+        comparison.forEach(row => {
+            const item = document.createElement('li');
+            item.className = 'diary-total';
+            item.classList.toggle('diary-total--over', row.remaining < 0);
+            
+            const label = document.createElement('span');
+            label.className = 'diary-total__label';
+            label.textContent = I18n.t(labels[row.nutrient]);
+            
+            const value = document.createElement('span');
+            value.className = 'diary-total__value';
+            value.textContent = row.nutrient === 'calories'
+                ? `${UI.formatEnergy(row.eaten, '')} / ${UI.formatEnergy(row.target, '')}`
+                : `${Utils.formatNumber(row.eaten)} / ${Utils.formatNumber(row.target)} g`;
+            
+            const bar = document.createElement('span');
+            bar.className = 'diary-total__bar';
+            bar.setAttribute('aria-hidden', 'true');
+            const fill = document.createElement('span');
+            fill.className = 'diary-total__fill';
+            fill.style.width = `${Math.min(row.percent, 100)}%`;
+            bar.appendChild(fill);
+            
+            item.append(label, value, bar);
+            list.appendChild(item);
+        });
+    },
+    
+    /**
+     * List custom foods with a delete button each
+     */
+    renderCustomFoods: (foods) => {
+        const list = document.getElementById('custom-food-list');
+        list.innerHTML = '';
+        
+        foods.forEach(food => {
+            const item = document.createElement('li');
+            item.className = 'custom-food__item';
+            item.dataset.id = food.id;
+            
+            const name = document.createElement('span');
+            name.textContent = `${food.name} · ${I18n.t('{energy} per 100 g', { energy: UI.formatEnergy(food.calories, '') })}`;
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn--secondary btn--small';
+            remove.textContent = I18n.t('Delete');
+            remove.setAttribute('aria-label', I18n.t('Delete custom food {food}', { food: food.name }));
+            
+            item.append(name, remove);
+            list.appendChild(item);
+        });
+    },
+    
+    /**
+     * Show the food chosen as the next ingredient
+     */
+    showRecipeFood: (food) => {
+        document.getElementById('recipe-food').textContent = food
+            ? I18n.t('Chosen: {food}', { food: Nutrition.nameOf(food) })
+            : I18n.t('No food chosen yet');
+        UI.fillUnitOptions(document.getElementById('recipe-unit'), food);
+    },
+    
+    /**
+     * Servings and cooked weight as typed, or null when unusable
+     */
+    readRecipeYield: () => {
+        const servings = Number(I18n.normalizeNumber(document.getElementById('recipe-servings').value));
+        const yieldGrams = I18n.parseNumber(document.getElementById('recipe-yield').value);
+        return {
+            servings: Number.isInteger(servings) && servings >= 1 ? servings : null,
+            yieldGrams: yieldGrams > 0 ? yieldGrams : null
+        };
+    },
+    
+    /**
+     * Render the recipe being edited: its ingredients and its nutrition per
+     * serving, per 100 g and in total
+     */
+    renderRecipeDraft: () => {
+        const { ingredients } = AppState.recipeDraft;
+        const list = document.getElementById('recipe-ingredients');
+        list.innerHTML = '';
+        
+        ingredients.forEach((ingredient, index) => {
+            const item = document.createElement('li');
+            item.className = 'diary-item';
+            item.dataset.index = index;
+            
+            const name = document.createElement('span');
+            name.className = 'diary-item__name';
+            name.textContent = Nutrition.nameOf(ingredient.food);
+            
+            const amount = document.createElement('span');
+            amount.className = 'diary-item__amount';
+            amount.textContent = ingredient.unit === 'g'
+                ? UI.formatServing(ingredient.amount, 'g')
+                : `${UI.formatServing(ingredient.amount, ingredient.unit)} (${UI.formatServing(Math.round(ingredient.grams), 'g')})`;
+            
+            const energy = document.createElement('span');
+            energy.className = 'diary-item__energy';
+            energy.textContent = UI.formatEnergy(Nutrition.forGrams(ingredient.food, ingredient.grams).calories, '');
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn--secondary btn--small';
+            remove.textContent = I18n.t('Remove');
+            remove.setAttribute('aria-label', I18n.t('Remove {food} from the recipe', { food: Nutrition.nameOf(ingredient.food) }));
+            
+            item.append(name, amount, energy, remove);
+            list.appendChild(item);
+        });
+        
+        const summary = document.getElementById('recipe-summary');
+        const body = document.getElementById('recipe-nutrition-body');
+        body.innerHTML = '';
+        const { servings, yieldGrams } = UI.readRecipeYield();
+        if (ingredients.length === 0 || !servings) {
+            summary.textContent = I18n.t('Add ingredients and the number of servings to see the nutrition.');
+            return;
+        }
+        
+        const recipe = Nutrition.recipe({ ingredients, servings, yieldGrams });
+        summary.textContent = I18n.tn(
+            'Makes {count} serving of {serving} ({total} cooked).',
+            'Makes {count} servings of {serving} each ({total} cooked).',
+            servings,
+            { serving: UI.formatServing(Math.round(recipe.servingGrams), 'g'), total: UI.formatServing(Math.round(recipe.cookedGrams), 'g') }
+        );
+        
+        const labels = { calories: 'Energy', protein: 'Protein', fat: 'Fat', carbs: 'Carbs' };
+        const format = (nutrient, value) => (nutrient === 'calories'
+            ? UI.formatEnergy(value, '')
+            : `${Utils.formatNumber(value, 1)} g`);
+        Nutrition.NUTRIENTS.forEach(nutrient => {
+            const row = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = I18n.t(labels[nutrient]);
+            row.appendChild(th);
+            [recipe.perServing, recipe.per100g, recipe.totals].forEach(amounts => {
+                const cell = document.createElement('td');
+                cell.textContent = format(nutrient, amounts[nutrient]);
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    },
+    
+    /**
+     * Load a recipe into the editor, or clear it for a new one
+     */
+    fillRecipeForm: (recipe = null) => {
+        const form = document.getElementById('recipe-form');
+        AppState.recipeDraft = recipe
+            ? { id: recipe.id, ingredients: structuredClone(recipe.ingredients) }
+            : { id: null, ingredients: [] };
+        form.elements['recipe-name'].value = recipe ? recipe.name : '';
+        form.elements['recipe-servings'].value = recipe ? recipe.servings : 4;
+        form.elements['recipe-yield'].value = recipe && recipe.yieldGrams ? I18n.formatInput(Math.round(recipe.yieldGrams)) : '';
+        form.elements['recipe-scale'].value = '';
+        ['recipe', 'recipe-ingredient'].forEach(UI.clearFieldError);
+        UI.renderRecipeDraft();
+    },
+    
+    /**
+     * List saved recipes with their energy per serving
+     */
+    renderRecipes: (recipes) => {
+        const list = document.getElementById('recipe-list');
+        list.innerHTML = '';
+        
+        recipes.forEach(recipe => {
+            const item = document.createElement('li');
+            item.className = 'recipe-item';
+            item.dataset.id = recipe.id;
+            
+            const name = document.createElement('span');
+            name.className = 'recipe-item__name';
+            name.textContent = `${recipe.name} · ${I18n.t('{energy} per serving', {
+                energy: UI.formatEnergy(Nutrition.recipe(recipe).perServing.calories, '')
+            })}`;
+            
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'btn btn--secondary btn--small';
+            edit.dataset.action = 'edit';
+            edit.textContent = I18n.t('Edit');
+            edit.setAttribute('aria-label', I18n.t('Edit recipe {name}', { name: recipe.name }));
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn--secondary btn--small';
+            remove.dataset.action = 'delete';
+            remove.textContent = I18n.t('Delete');
+            remove.setAttribute('aria-label', I18n.t('Delete recipe {name}', { name: recipe.name }));
+            
+            item.append(name, edit, remove);
+            list.appendChild(item);
+        });
+    },
+    
+    /**
+     * Fill the planner pace options in the current weight unit (values in
+     * kg/week). Loss paces are disabled when the guardrails rule out weight
+     * loss for the last calculation.
+     */
+    populatePlannerPace: () => {
+        const select = document.getElementById('planner-pace');
+        const last = AppState.lastCalculation;
+        const guardrails = last && last.guardrails;
+        const lossBlocked = Boolean(guardrails && guardrails.blocker);
+        const gainBlocked = Boolean(guardrails && guardrails.gainBlocker);
+        let current = parseFloat(select.value) || GoalPlanner.DEFAULT_PACE;
+        const paces = [-1, -0.75, -0.5, -0.25, 0.25, 0.5];
+        if (lossBlocked && current < 0) {
+            current = paces.find(pace => pace > 0);
+        }
+        select.innerHTML = '';
+        
+        paces.forEach(pace => {
+            const option = document.createElement('option');
+            option.value = pace;
+            option.disabled = pace < 0 ? lossBlocked : gainBlocked;
+            const amount = UI.formatWeight(Math.abs(pace), AppState.units.weight === 'kg' ? 2 : 1);
+            option.textContent = pace < 0
+                ? I18n.t('Lose {amount}/week', { amount })
+                : I18n.t('Gain {amount}/week', { amount });
+            select.appendChild(option);
+        });
+        select.value = current;
+    },
+    
+    /**
+     * Describe a goal plan warning code in words
+     */
+    describePlanWarning: (warning) => {
+        switch (warning.code) {
+            case 'goal-unavailable':
+                return I18n.t('{goal} is not available for this profile, so the plan uses maintenance.', {
+                    goal: I18n.t(CalorieCycling.GOALS[warning.goal])
+                });
+            case 'plateau':
+                return I18n.t('At this intake your weight levels off near {weight} and does not reach the target within {years} years. Choose a faster pace or a target date.', {
+                    weight: UI.formatWeight(warning.weight),
+                    years: GoalPlanner.MAX_WEEKS / 52
+                });
+            case 'fast-loss':
+                return I18n.t('Losing {weight} per week is faster than the advised maximum of about {percent}% of body weight per week.', {
+                    weight: UI.formatWeight(warning.perWeek, 2),
+                    percent: Guardrails.MAX_LOSS_PERCENT_PER_WEEK
+                });
+            case 'fast-gain':
+                return I18n.t('Gaining {weight} per week is faster than about {limit}; most of the extra will be fat.', {
+                    weight: UI.formatWeight(warning.perWeek, 2),
+                    limit: UI.formatWeight(GoalPlanner.MAX_GAIN_KG_PER_WEEK, 2)
+                });
+            case 'below-minimum':
+                return I18n.t('{energy} is below the usual minimum of {minimum} without medical supervision.', {
+                    energy: UI.formatEnergy(warning.calories),
+                    minimum: UI.formatEnergy(warning.minimum)
+                });
+            case 'below-bmr':
+                return I18n.t('{energy} is below your BMR of {bmr}, which is hard to sustain.', {
+                    energy: UI.formatEnergy(warning.calories),
+                    bmr: UI.formatEnergy(warning.bmr)
+                });
+            case 'underweight':
+                return warning.projected
+                    ? I18n.t('The projected weight gives a BMI of {bmi}, which is underweight for your height.', { bmi: Utils.formatNumber(warning.bmi, 1) })
+                    : I18n.t('The target weight gives a BMI of {bmi}, which is underweight for your height.', { bmi: Utils.formatNumber(warning.bmi, 1) });
+            default:
+                return warning.code;
+        }
+    },
+    
+    /**
+     * Show a goal plan as summary, warnings, chart and weekly table
+     */
+    displayPlan: (plan) => {
+        document.getElementById('planner-result').style.display = 'block';
+        
+        const start = new Date();
+        const dateFor = (day) => {
+            const date = new Date(start);
+            date.setDate(date.getDate() + day);
+            return date;
+        };
+        const endDate = dateFor(plan.days).toLocaleDateString(I18n.locale);
+        
+        let outcome;
+        if (plan.targetWeight !== null && plan.targetDate) {
+            outcome = I18n.t('You should reach {weight} by {date}.', { weight: UI.formatWeight(plan.targetWeight), date: endDate });
+        } else if (plan.targetWeight !== null && plan.reachedDay !== null) {
+            outcome = I18n.tn(
+                'You should reach {weight} in about {count} week ({date}).',
+                'You should reach {weight} in about {count} weeks ({date}).',
+                Math.ceil(plan.reachedDay / 7),
+                { weight: UI.formatWeight(plan.targetWeight), date: endDate }
+            );
+        } else {
+            outcome = I18n.t('Projected weight on {date}: {weight}.', { date: endDate, weight: UI.formatWeight(plan.endWeight) });
+        }
+        const summary = [
+            I18n.t('Eat {energy}.', { energy: UI.formatEnergy(plan.dailyCalories) }),
+            outcome,
+            I18n.t('The deficit or surplus shrinks as your weight changes, because TDEE is recalculated each week.')
+        ].join(' ');
+        document.getElementById('planner-summary').textContent = summary;
+        
+        const warningsList = document.getElementById('planner-warnings');
+        warningsList.innerHTML = '';
+        plan.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = `⚠️ ${UI.describePlanWarning(warning)}`;
+            warningsList.appendChild(item);
+        });
+        
+        const chart = document.getElementById('planner-chart');
+        chart.innerHTML = '';
+        const guides = plan.targetWeight !== null ? [{ className: 'chart-guide--target', y: plan.targetWeight }] : [];
+        chart.appendChild(Charts.lineChart({
+            className: 'goal-planner__svg',
+            label: I18n.t('Projected weight from {start} to {end} over {weeks} weeks', {
+                start: UI.formatWeight(plan.weeks[0].weight),
+                end: UI.formatWeight(plan.endWeight),
+                weeks: Math.ceil(plan.days / 7)
+            }),
+            series: [{ className: 'trend-line--weight', points: plan.weeks.map(week => [week.day, week.weight]) }],
+            guides
+        }));
+        
+        const tbody = document.getElementById('planner-table-body');
+        tbody.innerHTML = '';
+        plan.weeks.forEach(week => {
+            const row = document.createElement('tr');
+            const balance = Math.round(Units.fromKcal(week.balance, AppState.units.energy));
+            [
+                Utils.formatNumber(week.week, week.day % 7 === 0 ? 0 : 1),
+                dateFor(week.day).toLocaleDateString(I18n.locale),
+                UI.formatWeight(week.weight),
+                Utils.formatNumber(Units.fromKcal(week.tdee, AppState.units.energy)),
+                `${balance > 0 ? '+' : ''}${Utils.formatNumber(balance)}`
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+    },
+    
+    /**
+     * Show an import preview with per-row status and rejected row reasons
+     */
+    renderImportPreview: (parsed) => {
+        const valid = parsed.rows.filter(row => row.errors.length === 0);
+        const rejected = parsed.rows.filter(row => row.errors.length > 0);
+        const what = parsed.type === 'profile'
+            ? I18n.t('profile')
+            : I18n.tn('{count} history row', '{count} history rows', parsed.rows.length);
+        const status = rejected.length > 0
+            ? I18n.t('{valid} ready to import, {rejected} rejected.', { valid: valid.length, rejected: rejected.length })
+            : I18n.t('{valid} ready to import.', { valid: valid.length });
+        
+        document.getElementById('import-summary').textContent = `${parsed.fileName || I18n.t('File')}: ${what}. ${status}`;
+        
+        const tbody = document.getElementById('import-preview-body');
+        tbody.innerHTML = '';
+        parsed.rows.slice(0, 50).forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = row.errors.length > 0 ? 'import-row--rejected' : 'import-row--valid';
+            const data = row.data || {};
+            const units = row.units || AppState.units;
+            const height = units.height === 'cm' ? `${data.height} cm` : `${data.heightFeet} ft ${data.heightInches} in`;
+            const weight = units.weight === 'st'
+                ? `${data.weight} st ${data.weightPounds || 0} lb`
+                : `${data.weight} ${units.weight === 'kg' ? 'kg' : 'lbs'}`;
+            [
+                row.rowNumber,
+                row.timestamp ? new Date(row.timestamp).toLocaleDateString(I18n.locale) : '—',
+                data.age || '—',
+                data.gender || '—',
+                data.height || data.heightFeet ? height : '—',
+                data.weight ? weight : '—',
+                row.errors.length > 0 ? I18n.t('Rejected') : I18n.t('OK')
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+            tbody.appendChild(tr);
+        });
+        
+        const rejectedList = document.getElementById('import-rejected');
+        rejectedList.innerHTML = '';
+        rejected.forEach(row => {
+            const item = document.createElement('li');
+            item.textContent = I18n.t('Row {row}: {errors}', {
+                row: row.rowNumber,
+                errors: row.errors.map(Validation.describe).join('; ')
+            });
+            rejectedList.appendChild(item);
+        });
+        document.getElementById('import-rejected-section').style.display = rejected.length > 0 ? 'block' : 'none';
+        
+        const confirm = document.getElementById('import-confirm');
+        confirm.disabled = valid.length === 0;
+        confirm.textContent = parsed.type === 'profile'
+            ? I18n.t('Load Profile')
+            : I18n.tn('Import {count} Row', 'Import {count} Rows', valid.length);
+        
+        const preview = document.getElementById('import-preview');
+        preview.style.display = 'block';
+        preview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        confirm.focus();
+    },
+    
+    /**
+     * Hide the import preview and forget the pending file
+     */
+    hideImportPreview: () => {
+        document.getElementById('import-preview').style.display = 'none';
+        AppState.pendingImport = null;
+    },
+    
+    /**
+     * Fill the language menu; an empty choice follows the browser
+     */
+    renderLanguages: (choice) => {
+        const select = document.getElementById('language-select');
+        select.innerHTML = '';
+        select.add(new Option(I18n.t('Automatic'), ''));
+        Object.entries(I18n.LANGUAGES).forEach(([code, language]) => {
+            const option = new Option(language.name, code);
+            option.lang = code;
+            select.add(option);
+        });
+        select.value = choice;
+    },
+    
+    /**
+     * Fill the header profile switcher and show it
+     */
+    renderProfiles: (profiles, activeId) => {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = '';
+        profiles.forEach(profile => select.add(new Option(profile.name, profile.id)));
+        select.value = activeId;
+        
+        document.querySelector('.profile-switcher__action[data-action="delete"]').disabled = profiles.length <= 1;
+        document.getElementById('profile-switcher').hidden = false;
+    },
+    
+    /**
+     * Fill the goal planner from a profile's saved goal (target weight in kg)
+     */
+    fillGoal: (goal) => {
+        const form = AppState.elements.plannerForm;
+        AppState.enteredValues.clear();
+        const target = goal && goal.targetWeight ? Units.weightFromKg(goal.targetWeight, AppState.units.weight) : null;
+        form.elements['planner-weight'].value = target ? I18n.formatInput(target.weight) : '';
+        form.elements['planner-weight-pounds'].value = target ? I18n.formatInput(target.weightPounds) : '';
+        form.elements['planner-date'].value = goal ? goal.targetDate || '' : '';
+        form.elements['planner-pace'].value = goal ? goal.weeklyPace : GoalPlanner.DEFAULT_PACE;
+        UI.clearFieldError('planner');
+    },
+    
+    /**
+     * Refill the form from saved raw form data, converting it from the
+     * units it was entered in to the current preferences
+     */
+    fillForm: (saved, units = AppState.units) => {
+        AppState.form.reset();
+        // Values typed earlier belong to the form being replaced
+        AppState.enteredValues.clear();
+        const data = Units.convertFormData(saved, Units.normalize(units), AppState.units);
+        
+        const fields = {
+            age: data.age,
+            height: data.height,
+            'height-feet': data.heightFeet,
+            'height-inches': data.heightInches,
+            weight: data.weight,
+            'weight-pounds': data.weightPounds,
+            'activity-level': data.activityMode === 'custom' || data.activityMode === 'builder' ? '' : data.activityLevel,
+            'activity-custom': data.activityMode === 'custom' ? data.activityLevel : '',
+            'life-stage': data.lifeStage || 'none',
+            'calculate-as': data.calculateAs || 'range',
+            'activity-steps': data.activityWeek ? data.activityWeek.steps : '',
+            'body-fat': data.bodyFat,
+            neck: data.neck,
+            waist: data.waist,
+            hip: data.hip
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            document.getElementById(id).value = I18n.formatInput(value);
+        });
+        
+        const genderInput = Array.from(document.querySelectorAll('input[name="gender"]'))
+            .find(input => input.value === data.gender);
+        if (genderInput) {
+            genderInput.checked = true;
+        }
+        UI.updateLifeStageVisibility();
+        
+        if (data.equation && Equations.get(data.equation)) {
+            AppState.elements.equationSelect.value = data.equation;
+        }
+        AppState.elements.bodyFatMeasure.checked = data.bodyFatMethod === 'navy';
+        UI.updateBodyFatMode();
+        
+        document.getElementById(`activity-mode-${data.activityMode || 'preset'}`).checked = true;
+        AppState.elements.workoutList.innerHTML = '';
+        (data.activityWeek ? data.activityWeek.workouts : []).forEach(UI.addWorkoutRow);
+        UI.updateActivityMode();
+        UI.clearAllErrors();
+        AppState.touched.clear();
+    },
+    
+    /**
+     * Render the saved calculations list and trend
+     */
+    renderHistory: (entries) => {
+        const section = AppState.elements.historySection;
+        const list = AppState.elements.historyList;
+        list.innerHTML = '';
+        section.style.display = entries.length > 0 ? 'block' : 'none';
+        
+        entries.forEach(entry => {
+            const date = new Date(entry.timestamp);
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.dataset.id = entry.id;
+            
+            const summary = document.createElement('div');
+            summary.className = 'history-item__summary';
+            const time = document.createElement('time');
+            time.dateTime = date.toISOString();
+            time.textContent = date.toLocaleString(I18n.locale);
+            const details = document.createElement('span');
+            const equation = Equations.get(entry.results.equation);
+            details.textContent = [
+                UI.formatWeight(entry.results.inputs.weight),
+                I18n.t('TDEE {energy}', { energy: UI.formatEnergy(entry.results.tdee) }),
+                equation ? equation.name : ''
+            ].filter(Boolean).join(' · ');
+            summary.append(time, details);
+            
+            const note = document.createElement('input');
+            note.type = 'text';
+            note.className = 'input-field history-item__note';
+            note.value = entry.note || '';
+            note.placeholder = I18n.t('Add a note');
+            note.maxLength = 200;
+            note.setAttribute('aria-label', I18n.t('Note for calculation on {date}', { date: time.textContent }));
+            
+            const actions = document.createElement('div');
+            actions.className = 'history-item__actions';
+            [
+                ['reopen', I18n.t('Reopen'), I18n.t('Reopen calculation from {date}', { date: time.textContent })],
+                ['delete', I18n.t('Delete'), I18n.t('Delete calculation from {date}', { date: time.textContent })]
+            ].forEach(([action, label, description]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn--secondary btn--small';
+                button.dataset.action = action;
+                button.textContent = label;
+                button.setAttribute('aria-label', description);
+                actions.appendChild(button);
+            });
+            
+            item.append(summary, note, actions);
+            list.appendChild(item);
+        });
+        
+        UI.renderHistoryTrend(entries);
+    },
+    
+    /**
+     * Draw weight and TDEE over time as a small offline SVG chart
+     */
+    renderHistoryTrend: (entries) => {
+        const container = AppState.elements.historyTrend;
+        container.innerHTML = '';
+        
+        const points = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+        if (points.length < 2) {
+            container.textContent = I18n.t('Save at least two calculations to see a trend.');
+            return;
+        }
+        
+        const series = [
+            { key: 'weight', label: I18n.t('Weight'), className: 'trend-line--weight', value: entry => entry.results.inputs.weight },
+            { key: 'tdee', label: I18n.t('TDEE'), className: 'trend-line--tdee', value: entry => entry.results.tdee }
+        ];
+        
+        const descriptions = series.map(({ label, key, value }) => {
+            const values = points.map(value);
+            const format = key === 'weight' ? UI.formatWeight : UI.formatEnergy;
+            return I18n.t('{label} from {start} to {end}', { label, start: format(values[0]), end: format(values[values.length - 1]) });
+        });
+        
+        // Weight and TDEE each get their own vertical scale
+        const svg = Charts.lineChart({
+            className: 'history-trend__chart',
+            label: I18n.t('Trend over {count} calculations: {descriptions}', { count: points.length, descriptions: descriptions.join('; ') }),
+            series: series.map(({ className, value }) => ({
+                className,
+                independentScale: true,
+                points: points.map(entry => [entry.timestamp, value(entry)])
+            }))
+        });
+        container.appendChild(svg);
+        
+        const legend = document.createElement('p');
+        legend.className = 'history-trend__legend';
+        series.forEach(({ label, className }) => {
+            const key = document.createElement('span');
+            key.className = `history-trend__key ${className}`;
+            key.textContent = label;
+            legend.appendChild(key);
+        });
+        container.appendChild(legend);
+    },
+    
+    /**
+     * Format a weight given in kg in the preferred unit. Stones fall back
+     * to pounds below one stone (e.g. weekly changes).
+     */
+    formatWeight: (kg, decimals = 1) => {
+        const unit = AppState.units.weight;
+        if (unit === 'kg') {
+            return `${Utils.formatNumber(kg, decimals)} ${I18n.t('kg')}`;
+        }
+        const lbs = Utils.kgToLbs(kg);
+        if (unit === 'st' && Math.abs(lbs) >= Units.LBS_PER_STONE) {
+            const { stones, pounds } = Units.toStones(Math.abs(lbs), decimals);
+            return `${kg < 0 ? '-' : ''}${Utils.formatNumber(stones)} ${I18n.t('st')} ${Utils.formatNumber(pounds, decimals)} ${I18n.t('lb')}`;
+        }
+        return `${Utils.formatNumber(lbs, decimals)} ${I18n.t('lbs')}`;
+    },
+    
+    /**
+     * Format an energy amount given in kcal in the preferred unit,
+     * e.g. "2,350 cal/day" or "9,832 kJ/day"
+     */
+    formatEnergy: (kcal, per = '/day') => {
+        const unit = AppState.units.energy;
+        return `${Utils.formatNumber(Units.fromKcal(kcal, unit))} ${I18n.t(unit === 'kJ' ? 'kJ' : 'cal')}${per ? I18n.t(per) : ''}`;
+    },
+    
+    /**
+     * Chart where TDEE goes (BMR, digesting food, movement and exercise) and
+     * each goal against maintenance, with a table of the same values
+     */
+    displayEnergyBreakdown: (results) => {
+        const card = document.getElementById('energy-breakdown');
+        const { activity, tdee } = results;
+        if (!activity) {
+            card.style.display = 'none';
+            return;
+        }
+        
+        card.style.display = 'block';
+        const split = Activity.split(activity.breakdown);
+        const parts = [
+            { id: 'bmr', label: I18n.t('BMR'), value: split.bmr },
+            { id: 'tef', label: I18n.t('Digesting food'), value: split.tef },
+            {
+                id: 'movement',
+                label: split.exercise === null ? I18n.t('Movement & exercise') : I18n.t('Daily movement'),
+                value: split.movement
+            },
+            { id: 'exercise', label: I18n.t('Exercise'), value: split.exercise },
+            { id: 'life-stage', label: I18n.t('Pregnancy / breastfeeding'), value: split.lifeStage }
+        ].filter(part => part.value > 0);
+        
+        // Goals hidden by the safety guardrails are left out
+        const goalLabels = {
+            loss: { mild: 'Mild loss', moderate: 'Moderate loss', aggressive: 'Aggressive loss' },
+            gain: { mild: 'Mild gain', moderate: 'Moderate gain' }
+        };
+        const goals = Object.entries(goalLabels).flatMap(([group, levels]) => Object.entries(levels)
+            .filter(([level]) => !(results.guardrails && results.guardrails.checks[group][level].status === 'hidden'))
+            .map(([level, label]) => ({ group, label: I18n.t(label), value: results.goals[group][level] })));
+        
+        // Chart: TDEE split into parts, then each goal on the same scale
+        const chart = AppState.elements.energyChart;
+        chart.innerHTML = '';
+        chart.appendChild(Charts.barChart({
+            rows: [
+                {
+                    label: I18n.t('TDEE'),
+                    valueLabel: UI.formatEnergy(tdee),
+                    segments: parts.map(part => ({ className: `energy-chart__segment--${part.id}`, value: part.value }))
+                },
+                ...goals.map(goal => ({
+                    label: goal.label,
+                    valueLabel: UI.formatEnergy(goal.value),
+                    segments: [{ className: `energy-chart__segment--${goal.group}`, value: goal.value }]
+                }))
+            ],
+            guides: [{ className: 'chart-guide--maintenance', value: results.targetTdee }],
+            label: I18n.t('Chart of where your daily energy goes and of each goal against maintenance (dashed line). The table below lists the values.'),
+            width: Math.round(chart.clientWidth) || 320
+        }));
+        
+        // Table alternative, which also serves as the chart's key
+        const row = (label, kcal, total, swatch = null) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            if (swatch) {
+                const key = Charts.create('svg', { class: 'energy-table__swatch', width: 10, height: 10, 'aria-hidden': 'true' });
+                key.appendChild(Charts.create('rect', { width: 10, height: 10, rx: 2, class: swatch }));
+                th.appendChild(key);
+            }
+            th.append(label);
+            const energy = document.createElement('td');
+            energy.textContent = UI.formatEnergy(kcal, '');
+            const share = document.createElement('td');
+            share.textContent = `${Math.round(kcal / total * 100)}%`;
+            tr.append(th, energy, share);
+            return tr;
+        };
+        document.getElementById('energy-table-parts').replaceChildren(
+            ...parts.map(part => row(part.label, part.value, split.total, `energy-chart__segment--${part.id}`))
+        );
+        document.getElementById('energy-table-goals').replaceChildren(
+            row(I18n.t('Maintenance'), results.targetTdee, results.targetTdee),
+            ...goals.map(goal => row(goal.label, goal.value, results.targetTdee, `energy-chart__segment--${goal.group}`))
+        );
+        
+        const params = { multiplier: Utils.formatNumber(activity.multiplier, 2), energy: UI.formatEnergy(tdee) };
+        document.getElementById('energy-multiplier').textContent = activity.mode === 'builder'
+            ? I18n.t('Effective activity multiplier ×{multiplier} from your typical week (TDEE {energy})', params)
+            : I18n.t('Effective activity multiplier ×{multiplier} from your activity level (TDEE {energy})', params);
+    },
+    
+    /**
+     * Show the panel for the chosen activity entry mode
+     */
+    updateActivityMode: () => {
+        const mode = AppState.form.elements['activity-mode'].value || 'preset';
+        ['preset', 'builder', 'custom'].forEach(name => {
+            document.getElementById(`activity-${name}-panel`).style.display = name === mode ? 'block' : 'none';
+        });
+        ['activity-level', 'activity-week', 'activity-custom'].forEach(name => UI.clearFieldError(name));
+        
+        if (mode === 'builder' && AppState.elements.workoutList.children.length === 0) {
+            UI.addWorkoutRow();
+        }
+    },
+    
+    /**
+     * Add a workout row to the activity builder
+     */
+    addWorkoutRow: (workout = {}) => {
+        const row = document.createElement('div');
+        row.className = 'workout-row';
+        
+        const select = (className, label, options, selected) => {
+            const element = document.createElement('select');
+            element.className = `input-field select-field ${className}`;
+            element.setAttribute('aria-label', label);
+            Object.entries(options).forEach(([value, text]) => {
+                element.add(new Option(I18n.t(text), value, false, value === selected));
+            });
+            return element;
+        };
+        const number = (className, label, placeholder, value) => {
+            const element = document.createElement('input');
+            element.type = 'text';
+            element.inputMode = 'numeric';
+            element.className = `input-field ${className}`;
+            element.setAttribute('aria-label', label);
+            element.placeholder = placeholder;
+            element.value = I18n.formatInput(value);
+            return element;
+        };
+        
+        const types = Object.fromEntries(Object.entries(Activity.metTable).map(([id, entry]) => [id, entry.name]));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn--secondary btn--small workout-row__remove';
+        remove.setAttribute('aria-label', I18n.t('Remove workout'));
+        remove.textContent = '×';
+        
+        row.append(
+            select('workout-row__type', I18n.t('Activity'), types, workout.type),
+            select('workout-row__intensity', I18n.t('Intensity'), Activity.INTENSITIES, workout.intensity || 'moderate'),
+            number('workout-row__minutes', I18n.t('Minutes per session'), I18n.t('min'), workout.minutes),
+            number('workout-row__sessions', I18n.t('Sessions per week'), I18n.t('×/wk'), workout.sessions),
+            remove
+        );
+        AppState.elements.workoutList.appendChild(row);
+    },
+    
+    /**
+     * Read the calculator form into raw form data. Numbers are normalized
+     * from the user's locale; unreadable ones become NaN so validation
+     * reports them instead of treating them as empty.
+     */
+    readForm: () => {
+        const formData = new FormData(AppState.form);
+        const number = (name) => {
+            const raw = String(formData.get(name) || '').trim();
+            const value = I18n.normalizeNumber(raw);
+            return value === '' && raw !== '' ? 'NaN' : value;
+        };
+        const activityMode = formData.get('activity-mode') || 'preset';
+        return {
+            age: number('age'),
+            gender: formData.get('gender'),
+            calculateAs: formData.get('gender') === 'other' ? formData.get('calculate-as') : null,
+            lifeStage: formData.get('gender') !== 'male' ? formData.get('life-stage') : 'none',
+            height: number('height'),
+            heightFeet: number('height-feet'),
+            heightInches: number('height-inches'),
+            weight: number('weight'),
+            weightPounds: AppState.units.weight === 'st' ? number('weight-pounds') : '',
+            activityLevel: activityMode === 'custom' ? number('activity-custom') : formData.get('activity-level'),
+            activityMode,
+            activityWeek: activityMode === 'builder' ? UI.readActivityWeek() : null,
+            equation: formData.get('bmr-equation'),
+            macroRules: Macros.resolveRules(AppState.macroSettings),
+            bodyFat: number('body-fat'),
+            bodyFatMethod: formData.get('body-fat-measure') ? 'navy' : 'direct',
+            neck: number('neck'),
+            waist: number('waist'),
+            hip: number('hip')
+        };
+    },
+    
+    /**
+     * Read the activity builder into { steps, workouts }
+     */
+    readActivityWeek: () => {
+        const rows = Array.from(AppState.elements.workoutList.querySelectorAll('.workout-row'));
+        return {
+            steps: I18n.normalizeNumber(document.getElementById('activity-steps').value),
+            workouts: rows
+                .map(row => ({
+                    type: row.querySelector('.workout-row__type').value,
+                    intensity: row.querySelector('.workout-row__intensity').value,
+                    minutes: I18n.normalizeNumber(row.querySelector('.workout-row__minutes').value),
+                    sessions: I18n.normalizeNumber(row.querySelector('.workout-row__sessions').value)
+                }))
+                // Ignore rows left completely blank
+                .filter(workout => workout.minutes !== '' || workout.sessions !== '')
+        };
+    },
+    
+    /**
+     * Show the BMR and TDEE range between the male and female constants,
+     * or hide it when one sex was used
+     */
+    displaySexRange: (range) => {
+        ['bmr', 'tdee'].forEach(key => {
+            const element = document.getElementById(`${key}-range`);
+            element.style.display = range ? 'block' : 'none';
+            element.textContent = range
+                ? I18n.t('Range {low}–{high}; the midpoint is shown above and used for your goals', {
+                    low: Utils.formatNumber(Units.fromKcal(range[key].low, AppState.units.energy)),
+                    high: UI.formatEnergy(range[key].high)
+                })
+                : '';
+        });
+    },
+    
+    /**
+     * Show lean body mass and fat mass next to BMR/TDEE
+     */
+    displayBodyComposition: (composition) => {
+        const card = AppState.elements.bodyCompositionResult;
+        if (!composition) {
+            card.style.display = 'none';
+            return;
+        }
+        
+        card.style.display = 'block';
+        document.getElementById('body-fat-value').textContent = `${Utils.formatNumber(composition.bodyFat, 1)}%`;
+        document.getElementById('lean-mass-value').textContent = UI.formatWeight(composition.leanMass);
+        document.getElementById('fat-mass-value').textContent = UI.formatWeight(composition.fatMass);
+        document.getElementById('body-fat-method').textContent = composition.method === 'navy'
+            ? I18n.t('Body fat estimated from tape measurements (US Navy method)')
+            : I18n.t('Based on the body fat % you entered');
+    },
+    
+    /**
+     * Show BMI, healthy weight range, ideal body weight and waist-to-height
+     * ratio, each with what it means. Results saved before body metrics
+     * existed hide the card.
+     */
+    displayBodyMetrics: (metrics, inputs) => {
+        const card = AppState.elements.bodyMetricsResult;
+        card.style.display = metrics ? 'block' : 'none';
+        if (!metrics) {
+            return;
+        }
+        const show = (id, visible) => {
+            document.getElementById(id).style.display = visible ? '' : 'none';
+        };
+        
+        const { bmi, healthyRange, idealWeight, waistToHeight } = metrics;
+        document.getElementById('bmi-value').textContent = Utils.formatNumber(bmi.value, 1);
+        document.getElementById('bmi-note').textContent = UI.describeBmi(bmi, inputs.age);
+        
+        show('healthy-range-item', healthyRange);
+        if (healthyRange) {
+            document.getElementById('healthy-range-value').textContent = I18n.t('{low} to {high}', {
+                low: UI.formatWeight(healthyRange.low),
+                high: UI.formatWeight(healthyRange.high)
+            });
+            document.getElementById('healthy-range-note').textContent = bmi.basis === 'child'
+                ? I18n.t('Weights between the thinness and overweight cut-offs for this age at the current height. The range moves as children grow.')
+                : I18n.t('Weights that give a BMI of {low} to {high} at your height', {
+                    low: Utils.formatNumber(healthyRange.cutoffs.thin, 1),
+                    high: Utils.formatNumber(healthyRange.cutoffs.overweight)
+                });
+        }
+        
+        show('ideal-weight-item', idealWeight);
+        if (idealWeight) {
+            const weights = Object.values(idealWeight);
+            document.getElementById('ideal-weight-value').textContent = I18n.t('{low} to {high}', {
+                low: UI.formatWeight(Math.min(...weights)),
+                high: UI.formatWeight(Math.max(...weights))
+            });
+            const names = { devine: 'Devine', robinson: 'Robinson', miller: 'Miller', hamwi: 'Hamwi' };
+            const list = document.getElementById('ideal-weight-formulas');
+            list.innerHTML = '';
+            Object.entries(idealWeight).forEach(([id, kg]) => {
+                const item = document.createElement('li');
+                item.textContent = `${names[id]}: ${UI.formatWeight(kg)}`;
+                list.appendChild(item);
+            });
+        }
+        
+        show('waist-height-item', waistToHeight);
+        if (waistToHeight) {
+            const notes = {
+                low: 'Under 0.4: a small waist for your height. Check that your weight is not too low.',
+                healthy: 'Under 0.5: keeping your waist to less than half your height is linked to lower health risk.',
+                increased: '0.5 or more: more fat around the middle, which raises health risk.',
+                high: '0.6 or more: a lot of fat around the middle, which brings high health risk.'
+            };
+            document.getElementById('waist-height-value').textContent = Utils.formatNumber(waistToHeight.value, 2);
+            document.getElementById('waist-height-note').textContent = I18n.t(notes[waistToHeight.category]);
+        }
+    },
+    
+    /**
+     * Explain a BMI: WHO category for adults, age- and sex-specific
+     * category for children and teens, or why it is not classified
+     */
+    describeBmi: (bmi, age) => {
+        const categories = {
+            underweight: 'Underweight',
+            healthy: 'Healthy weight',
+            overweight: 'Overweight',
+            obese: 'Obesity',
+            'obese-1': 'Obesity (class I)',
+            'obese-2': 'Obesity (class II)',
+            'obese-3': 'Obesity (class III)'
+        };
+        switch (bmi.basis) {
+            case 'infant':
+                return I18n.t('BMI is not used to assess children under 2. Weight-for-length growth charts are used instead.');
+            case 'pregnancy':
+                return I18n.t('BMI categories do not apply during pregnancy. Use your weight before pregnancy to check your category.');
+            case 'child':
+                return I18n.t('{category} for age {age}, using the international (IOTF) cut-offs for age and sex. Adult BMI ranges do not apply while growing.', {
+                    category: I18n.t(categories[bmi.category]),
+                    age
+                });
+            default:
+                return I18n.t('{category} (WHO). BMI compares weight with height; it cannot tell fat from muscle.', {
+                    category: I18n.t(categories[bmi.category])
+                });
+        }
+    },
+    
+    /**
+     * Switch between entering body fat % and tape measurements
+     */
+    updateBodyFatMode: () => {
+        const measuring = AppState.elements.bodyFatMeasure.checked;
+        const bodyFatInput = document.getElementById('body-fat');
+        
+        AppState.elements.navyMeasurements.style.display = measuring ? 'grid' : 'none';
+        bodyFatInput.disabled = measuring;
+        
+        if (measuring) {
+            UI.clearFieldError('body-fat');
+        } else {
+            ['neck', 'waist', 'hip'].forEach(name => UI.clearFieldError(name));
+        }
+    },
+    
+    /**
+     * Render the side-by-side equation comparison table
+     */
+    renderEquationComparison: (comparison, selectedId) => {
+        const tbody = AppState.elements.equationComparisonBody;
+        tbody.innerHTML = '';
+        
+        comparison.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = 'equation-row';
+            
+            const nameCell = document.createElement('th');
+            nameCell.scope = 'row';
+            const nameBtn = document.createElement('button');
+            nameBtn.type = 'button';
+            nameBtn.className = 'equation-row__select';
+            nameBtn.textContent = row.name;
+            nameBtn.title = row.citation;
+            nameBtn.dataset.equation = row.id;
+            nameBtn.disabled = !row.applicable;
+            nameCell.appendChild(nameBtn);
+            tr.appendChild(nameCell);
+            
+            if (row.id === selectedId) {
+                tr.classList.add('equation-row--selected');
+                tr.setAttribute('aria-current', 'true');
+            }
+            
+            if (row.applicable && !row.inPopulation) {
+                tr.classList.add('equation-row--outside');
+                const note = document.createElement('span');
+                note.className = 'equation-row__note';
+                note.textContent = Equations.describePopulation(Equations.get(row.id));
+                nameCell.appendChild(note);
+            }
+            
+            if (row.applicable) {
+                [row.bmr, row.tdee].forEach(value => {
+                    const td = document.createElement('td');
+                    td.textContent = Utils.formatNumber(Units.fromKcal(value, AppState.units.energy));
+                    tr.appendChild(td);
+                });
+            } else {
+                tr.classList.add('equation-row--unavailable');
+                const td = document.createElement('td');
+                td.colSpan = 2;
+                td.textContent = I18n.t('Needs {inputs}', { inputs: row.missing.map(key => I18n.t(Equations.INPUT_LABELS[key])).join(', ') });
+                tr.appendChild(td);
+            }
+            
+            tbody.appendChild(tr);
+        });
+    },
+    
+    /**
+     * Describe a result notice code in words
+     */
+    describeNotice: (notice) => Calculator.describeNotice(notice, UI.formatEnergy),
+    
+    /**
+     * Show notices about the population a result applies to
+     */
+    displayNotices: (notices = []) => {
+        const list = document.getElementById('results-notices');
+        list.innerHTML = '';
+        notices.forEach(notice => {
+            const item = document.createElement('li');
+            item.textContent = `ℹ️ ${UI.describeNotice(notice)}`;
+            list.appendChild(item);
+        });
+        list.style.display = notices.length > 0 ? 'flex' : 'none';
+    },
+    
+    /**
+     * Show "calculate as" for other genders and the pregnancy / lactation
+     * choice for everyone but male profiles
+     */
+    updateLifeStageVisibility: () => {
+        const gender = AppState.form.elements.gender.value;
+        const other = gender === 'other';
+        document.getElementById('calculate-as-group').style.display = other ? 'block' : 'none';
+        if (!other) {
+            UI.clearFieldError('calculate-as');
+        }
+        
+        const canBePregnant = gender === 'female' || other;
+        document.getElementById('life-stage-group').style.display = canBePregnant ? 'block' : 'none';
+        if (!canBePregnant) {
+            UI.clearFieldError('life-stage');
+        }
+    },
+    
+    /**
+     * Fill the equation selector from the equation metadata
+     */
+    populateEquationOptions: () => {
+        const select = AppState.elements.equationSelect;
+        select.innerHTML = '';
+        
+        Equations.list.forEach(equation => {
+            const option = document.createElement('option');
+            option.value = equation.id;
+            option.textContent = equation.requires.includes('leanMass')
+                ? I18n.t('{equation} (needs body fat %)', { equation: equation.name })
+                : equation.name;
+            option.title = equation.citation;
+            select.appendChild(option);
+        });
+        
+        select.value = AppState.bmrEquation;
+    },
+    
+    /**
+     * Reset calculator to initial state
+     */
+    resetCalculator: () => {
+        UI.clearCalculator();
+        
+        // Focus first input
+        document.getElementById('age').focus();
+        
+        // Show info message
+        UI.showToast(I18n.t('Calculator reset. Ready for new calculation.'), 'info');
+    },
+    
+    /**
+     * Clear the form, errors and results
+     */
+    clearCalculator: () => {
+        // Clear form
+        AppState.form.reset();
+        AppState.elements.equationSelect.value = AppState.bmrEquation;
+        UI.updateBodyFatMode();
+        AppState.elements.workoutList.innerHTML = '';
+        UI.updateActivityMode();
+        UI.updateLifeStageVisibility();
+        
+        // Clear errors
+        UI.clearAllErrors();
+        AppState.touched.clear();
+        
+        // Hide results
+        AppState.elements.resultsSection.style.display = 'none';
+        
+        // Reset state
+        AppState.lastCalculation = null;
+        AppState.lastInput = null;
+        AppState.enteredValues.clear();
+        UI.displayDiaryTotals();
+        UI.populatePlannerPace();
+    },
+    
+    /**
+     * Apply unit preferences: convert the values already entered, update
+     * the controls and labels, and redraw the current results
+     */
+    setUnits: (units) => {
+        const previous = AppState.units;
+        AppState.units = Units.normalize(units);
+        UI.convertEnteredValues(previous, AppState.units);
+        
+        // Update toggle switch (on for imperial lengths and weights)
+        const isMetric = Units.isMetric(AppState.units);
+        AppState.elements.unitToggle.setAttribute('aria-checked', isMetric ? 'false' : 'true');
+        document.querySelector('.toggle-switch__label--metric').classList.toggle('toggle-switch__label--active', isMetric);
+        document.querySelector('.toggle-switch__label--imperial').classList.toggle('toggle-switch__label--active', !isMetric);
+        
+        // Update the individual unit choices
+        Object.entries(AppState.units).forEach(([quantity, unit]) => {
+            document.getElementById(`unit-${quantity}`).value = unit;
+        });
+        
+        // Update input labels and placeholders
+        UI.updateInputLabels();
+        UI.populatePlannerPace();
+        
+        if (AppState.lastCalculation) {
+            UI.redrawResults(AppState.lastCalculation);
+        }
+    },
+    
+    /**
+     * Convert values typed into the calculator, planner, log and custom food forms
+     */
+    convertEnteredValues: (from, to) => {
+        // Untouched fields convert from the values as typed, so switching
+        // units back and forth does not drift (165 cm stays 165 cm)
+        const convertFields = (fields) => {
+            const ids = Object.values(fields);
+            const shown = () => ids.map(id => document.getElementById(id).value).join('|');
+            let entered = AppState.enteredValues.get(ids[0]);
+            if (!entered || entered.shown !== shown()) {
+                entered = {
+                    values: Object.fromEntries(Object.entries(fields)
+                        .map(([key, id]) => [key, I18n.normalizeNumber(document.getElementById(id).value)])),
+                    units: from
+                };
+            }
+            const converted = Units.convertFormData(entered.values, entered.units, to);
+            Object.entries(fields).forEach(([key, id]) => {
+                document.getElementById(id).value = I18n.formatInput(converted[key]);
+            });
+            AppState.enteredValues.set(ids[0], { ...entered, shown: shown() });
+        };
+        
+        convertFields({
+            weight: 'weight',
+            weightPounds: 'weight-pounds',
+            height: 'height',
+            heightFeet: 'height-feet',
+            heightInches: 'height-inches',
+            neck: 'neck',
+            waist: 'waist',
+            hip: 'hip'
+        });
+        convertFields({ weight: 'planner-weight', weightPounds: 'planner-weight-pounds' });
+        convertFields({ weight: 'log-weight', weightPounds: 'log-weight-pounds' });
+        
+        ['log-calories', 'custom-food-calories'].forEach(id => {
+            const calories = document.getElementById(id);
+            const eaten = I18n.parseNumber(calories.value);
+            if (from.energy !== to.energy && !isNaN(eaten)) {
+                calories.value = Math.round(Units.fromKcal(Units.toKcal(eaten, from.energy), to.energy));
+            }
+        });
+        
+        // Range messages name the old unit
+        ['height', 'weight', 'neck', 'waist', 'hip', 'planner', 'log', 'custom-food'].forEach(UI.clearFieldError);
+    },
+    
+    /**
+     * Show existing results again without the entry animation, e.g. in new units
+     */
+    redrawResults: (results) => {
+        AppState.elements.bmrResult.querySelector('.result-value').textContent =
+            Utils.formatNumber(Units.fromKcal(results.bmr, AppState.units.energy));
+        AppState.elements.tdeeResult.querySelector('.result-value').textContent =
+            Utils.formatNumber(Units.fromKcal(results.tdee, AppState.units.energy));
+        UI.displaySexRange(results.range);
+        UI.displayNotices(results.notices);
+        UI.displayEnergyBreakdown(results);
+        UI.displayBodyComposition(results.bodyComposition);
+        UI.displayBodyMetrics(results.metrics, results.inputs);
+        UI.renderEquationComparison(results.comparison, results.equation);
+        UI.displayGoals(results);
+        UI.displayAdaptiveEstimate(AppState.adaptiveEstimate);
+        if (results.plan) {
+            UI.displayPlan(results.plan);
+        }
+    },
+    
+    /**
+     * Update input labels based on the unit preferences
+     */
+    updateInputLabels: () => {
+        const { weight, height, energy } = AppState.units;
+        const heightLabel = document.querySelector('.height-label-text');
+        const weightLabels = document.querySelectorAll('.weight-label-text');
+        const heightInput = document.getElementById('height');
+        const imperialHeight = document.querySelector('.imperial-height');
+        const circumferenceUnits = document.querySelectorAll('.circumference-unit');
+        
+        if (height === 'cm') {
+            heightLabel.textContent = I18n.t('Height (cm)');
+            heightInput.style.display = 'block';
+            imperialHeight.style.display = 'none';
+            heightInput.placeholder = I18n.t('e.g., {value}', { value: Utils.formatNumber(175) });
+            circumferenceUnits.forEach(el => el.textContent = I18n.t('(cm)'));
+        } else {
+            heightLabel.textContent = I18n.t('Height');
+            heightInput.style.display = 'none';
+            imperialHeight.style.display = 'flex';
+            document.getElementById('height-feet').placeholder = I18n.t('ft');
+            document.getElementById('height-inches').placeholder = I18n.t('in');
+            circumferenceUnits.forEach(el => el.textContent = I18n.t('(in)'));
+        }
+        
+        const weightLabel = { kg: 'Weight (kg)', lb: 'Weight (lbs)', st: 'Weight (st + lb)' }[weight];
+        weightLabels.forEach(el => el.textContent = I18n.t(weightLabel));
+        document.getElementById('weight').placeholder = weight === 'st'
+            ? I18n.t('st')
+            : I18n.t('e.g., {value}', { value: Utils.formatNumber(weight === 'kg' ? 70 : 154) });
+        document.querySelectorAll('.stone-pounds').forEach(el => {
+            el.style.display = weight === 'st' ? 'flex' : 'none';
+        });
+        
+        document.querySelectorAll('.result-unit').forEach(el => {
+            el.textContent = energy === 'kJ' ? I18n.t('kJ/day') : I18n.t('calories/day');
+        });
+        document.querySelectorAll('.energy-unit').forEach(el => {
+            el.textContent = energy === 'kJ' ? I18n.t('(kJ)') : I18n.t('(cal)');
+        });
+        document.querySelector('.energy-label-text').textContent = energy === 'kJ' ? I18n.t('Energy eaten (kJ)') : I18n.t('Calories eaten');
+        document.getElementById('custom-food-energy-label').textContent = energy === 'kJ' ? I18n.t('Energy (kJ)') : I18n.t('Calories');
+    }
+};
+
+// ===== EVENT HANDLERS =====
+const EventHandlers = {
+    /**
+     * Handle form submission
+     */
+    handleFormSubmit: async (event) => {
+        event.preventDefault();
+        
+        if (AppState.isCalculating) return;
+        
+        // Clear previous errors
+        UI.clearAllErrors();
+        
+        // Validate inputs; warnings are shown but do not stop the calculation
+        const data = UI.readForm();
+        const issues = Validation.validateForm(data, AppState.units);
+        UI.showFormIssues(issues);
+        
+        // Everything has now been seen, so live checks cover the whole form
+        Validation.FORM_SCHEMA.forEach(entry => {
+            Validation.inputsOf(entry, AppState.units).forEach(input => AppState.touched.add(input));
+        });
+        
+        if (issues.some(issue => issue.severity === 'error')) {
+            UI.showToast(I18n.t('Please correct the errors above'), 'error');
+            return;
+        }
+        
+        try {
+            // Show loading state
+            UI.setLoading(true);
+            
+            // Simulate calculation delay for better UX
+            await new Promise(resolve => setTimeout(resolve, 800));
+            
+            // Calculate results
+            const results = Calculator.calculate(data, { adaptiveEstimate: AppState.adaptiveEstimate, units: AppState.units });
+            AppState.lastInput = { form: data, units: { ...AppState.units }, timestamp: Date.now() };
+            
+            // Display results
+            UI.displayResults(results);
+            
+            // Save to history and as the profile's inputs (results are still shown if storage fails)
+            UI.showLaunchNotice(false);
+            try {
+                await CalculationHistory.add(data, results);
+                await Profiles.update(AppState.profileId, { form: data, formUnits: { ...AppState.units } });
+                await App.loadHistory();
+            } catch (error) {
+                console.warn('Could not save calculation to history:', error);
+            }
+            
+        } catch (error) {
+            console.error('Calculation failed:', error);
+            UI.showToast(error.issue ? Validation.describe(error.issue) : I18n.t('Calculation failed. Please try again.'), 'error');
+        } finally {
+            UI.setLoading(false);
+        }
+    },
+    
+    /**
+     * Handle unit toggle click: switch weight and height between metric
+     * and imperial, keeping the energy unit
+     */
+    handleUnitToggle: async (event) => {
+        if (event.type === 'click' || (event.type === 'keydown' && event.key === 'Enter')) {
+            const imperial = Units.isMetric(AppState.units);
+            const lengths = imperial ? Units.IMPERIAL : Units.DEFAULTS;
+            await EventHandlers.applyUnits({ ...AppState.units, weight: lengths.weight, height: lengths.height });
+            UI.showToast(imperial ? I18n.t('Switched to imperial units') : I18n.t('Switched to metric units'), 'info');
+        }
+    },
+    
+    /**
+     * Handle a change to one of the weight, height or energy unit choices
+     */
+    handleUnitChange: async (event) => {
+        await EventHandlers.applyUnits({ ...AppState.units, [event.target.dataset.quantity]: event.target.value });
+    },
+    
+    /**
+     * Switch units, remember them, and redraw the lists shown in them
+     */
+    applyUnits: async (units) => {
+        UI.setUnits(units);
+        App.saveSettings();
+        await App.loadHistory();
+        await App.loadDailyLog();
+        await App.loadDiary();
+        UI.renderCustomFoods(FoodDatabase.listCustom());
+        UI.updateDiaryPreview();
+        UI.renderRecipeDraft();
+        await App.loadRecipes();
+    },
+    
+    /**
+     * Handle BMR equation selection and remember it
+     */
+    handleEquationChange: (event) => {
+        AppState.bmrEquation = event.target.value;
+        App.saveSettings();
+        UI.clearFieldError('bmr-equation');
+    },
+    
+    /**
+     * Handle picking an equation from the comparison table
+     */
+    handleComparisonSelect: (event) => {
+        const button = event.target.closest('.equation-row__select');
+        if (!button || button.disabled) return;
+        
+        const select = AppState.elements.equationSelect;
+        select.value = button.dataset.equation;
+        select.dispatchEvent(new Event('change'));
+        AppState.form.requestSubmit();
+    },
+    
+    /**
+     * Handle macro split changes and refresh the goal macros
+     */
+    handleMacroSettingsChange: () => {
+        const preset = document.getElementById('macro-preset').value;
+        const custom = {
+            protein: {
+                amount: I18n.parseNumber(document.getElementById('macro-protein').value),
+                unit: document.getElementById('macro-protein-unit').value,
+                basis: document.getElementById('macro-protein-basis').value
+            },
+            fatPercent: I18n.parseNumber(document.getElementById('macro-fat-floor').value),
+            carbLimit: null
+        };
+        
+        document.getElementById('macro-custom').style.display = preset === 'custom' ? 'grid' : 'none';
+        UI.clearFieldError('macro-settings');
+        
+        if (preset === 'custom') {
+            const error = Validation.describe(Validation.validateMacroRules(custom));
+            if (error) {
+                UI.showFieldError('macro-settings', error);
+                return;
+            }
+        }
+        
+        AppState.macroSettings = { preset, custom: preset === 'custom' ? custom : AppState.macroSettings.custom };
+        App.saveSettings();
+        
+        const last = AppState.lastCalculation;
+        if (last) {
+            const rules = Macros.resolveRules(AppState.macroSettings);
+            const leanMass = last.bodyComposition ? last.bodyComposition.leanMass : null;
+            last.macroRules = rules;
+            // The same maintenance figure the goals were set from
+            last.macros = Calculator.calculateGoalMacros(last.targetTdee ?? last.tdee, last.goals, rules, {
+                weight: last.inputs.weight,
+                leanMass
+            });
+            UI.displayMacros(last.macros);
+            UI.displayCycling(CalorieCycling.forResults(last, AppState.cyclingSettings));
+        }
+    },
+    
+    /**
+     * Handle calorie cycling settings and re-plan the shown results
+     */
+    handleCyclingChange: () => {
+        const form = document.getElementById('cycling-form');
+        AppState.cyclingSettings = {
+            trainingDays: Array.from(form.querySelectorAll('input[name="cycling-day"]:checked'))
+                .map(input => Number(input.value)),
+            goal: form.elements['cycling-goal'].value,
+            amount: Number(form.elements['cycling-amount'].value),
+            include: form.elements['cycling-include'].checked
+        };
+        App.saveSettings();
+        
+        const last = AppState.lastCalculation;
+        if (last) {
+            UI.displayCycling(CalorieCycling.forResults(last, AppState.cyclingSettings));
+        }
+    },
+    
+    /**
+     * Handle goal timeline planning for the last calculation
+     */
+    handlePlanSubmit: (event) => {
+        event.preventDefault();
+        
+        const last = AppState.lastCalculation;
+        if (!last) return;
+        
+        const form = AppState.elements.plannerForm;
+        const targetWeight = I18n.normalizeNumber(form.elements['planner-weight'].value);
+        const targetPounds = I18n.normalizeNumber(form.elements['planner-weight-pounds'].value);
+        const targetDate = form.elements['planner-date'].value;
+        
+        UI.clearFieldError('planner');
+        const error = Validation.describe(Validation.validateGoalPlan(targetWeight, targetDate, AppState.units, targetPounds));
+        if (error) {
+            UI.showFieldError('planner', error);
+            return;
+        }
+        
+        const profile = GoalPlanner.profileFrom(last);
+        const goal = {
+            targetWeight: targetWeight
+                ? Units.weightToKg(parseFloat(targetWeight), AppState.units.weight, parseFloat(targetPounds) || 0)
+                : null,
+            targetDate: targetDate || null,
+            weeklyPace: parseFloat(form.elements['planner-pace'].value)
+        };
+        const plan = GoalPlanner.plan(profile, goal);
+        if (plan.blocked) {
+            document.getElementById('planner-result').style.display = 'none';
+            UI.showFieldError('planner', UI.describeGuardrail(plan.blocked));
+            return;
+        }
+        
+        last.plan = plan;
+        UI.displayPlan(plan);
+        
+        Profiles.update(AppState.profileId, { goal }).catch(error => {
+            console.warn('Could not save the goal to the profile:', error);
+        });
+    },
+    
+    /**
+     * Handle a language choice: switch locale, then rebuild the text that
+     * scripts wrote in the previous language
+     */
+    handleLanguageChange: async (event) => {
+        const choice = event.target.value;
+        Preferences.set('language', choice);
+        await App.applyLocale(I18n.detect(choice));
+        
+        const week = UI.readActivityWeek();
+        AppState.elements.workoutList.innerHTML = '';
+        week.workouts.forEach(UI.addWorkoutRow);
+        
+        UI.setUnits(AppState.units);
+        App.applySettings(App.currentSettings());
+        UI.hideImportPreview();
+        try {
+            UI.renderProfiles(await Profiles.list(), AppState.profileId);
+        } catch (error) {
+            console.warn('Profiles unavailable:', error);
+        }
+        await App.loadHistory();
+        await App.loadDailyLog();
+        await App.loadDiary();
+        UI.showDiaryFood(AppState.diaryFood);
+        UI.renderFoodResults(document.getElementById('food-results'), AppState.foodResults, document.getElementById('food-search').value);
+        UI.renderCustomFoods(FoodDatabase.listCustom());
+        UI.showRecipeFood(AppState.recipeFood);
+        UI.renderFoodResults(document.getElementById('recipe-results'), AppState.recipeResults, document.getElementById('recipe-search').value);
+        UI.renderRecipeDraft();
+        await App.loadRecipes();
+        await App.showSyncStatus();
+    },
+    
+    /**
+     * Handle picking a profile in the header switcher
+     */
+    handleProfileSwitch: async (event) => {
+        try {
+            const profile = await Profiles.get(Number(event.target.value));
+            await App.activateProfile(profile);
+            UI.showToast(I18n.t('Switched to {name}', { name: profile.name }), 'info');
+        } catch (error) {
+            console.error('Profile switch failed:', error);
+            UI.showToast(I18n.t('Could not switch profile. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle the new, duplicate, rename and delete profile buttons
+     */
+    handleProfileAction: async (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        try {
+            const profiles = await Profiles.list();
+            const current = profiles.find(profile => profile.id === AppState.profileId);
+            const action = button.dataset.action;
+            
+            if (action === 'delete') {
+                if (!window.confirm(I18n.t('Delete {name} with its history and daily log?', { name: current.name }))) return;
+                await Profiles.remove(current.id);
+                await App.activateProfile(profiles.find(profile => profile.id !== current.id));
+                UI.showToast(I18n.t('Deleted {name}', { name: current.name }), 'info');
+                return;
+            }
+            
+            const prompts = {
+                new: [I18n.t('Name for the new profile'), ''],
+                duplicate: [I18n.t('Name for the copy of {name}', { name: current.name }), I18n.t('{name} (copy)', { name: current.name })],
+                rename: [I18n.t('New name for {name}', { name: current.name }), current.name]
+            };
+            const name = window.prompt(...prompts[action]);
+            if (name === null) return;
+            
+            const error = Profiles.validateName(name, profiles, action === 'rename' ? current.id : null);
+            if (error) {
+                UI.showToast(error, 'error');
+                return;
+            }
+            
+            if (action === 'rename') {
+                await Profiles.update(current.id, { name: name.trim() });
+                UI.renderProfiles(await Profiles.list(), current.id);
+                UI.showToast(I18n.t('Renamed to {name}', { name: name.trim() }), 'success');
+                return;
+            }
+            
+            const profile = action === 'duplicate'
+                ? await Profiles.duplicate(current.id, name.trim())
+                : await Profiles.create(name.trim(), { settings: App.currentSettings() });
+            await App.activateProfile(profile);
+            UI.showToast(I18n.t('Switched to new profile {name}', { name: profile.name }), 'success');
+        } catch (error) {
+            console.error('Profile action failed:', error);
+            UI.showToast(error.issue ? Validation.describe(error.issue) : I18n.t('Could not update profiles. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Read a dropped, picked or launched file and show its preview
+     */
+    handleImportFile: async (file) => {
+        try {
+            AppState.pendingImport = await Importer.readFile(file);
+            UI.renderImportPreview(AppState.pendingImport);
+        } catch (error) {
+            console.error('Import failed:', error);
+            UI.hideImportPreview();
+            UI.showToast(I18n.t('Could not import {file}: {error}', {
+                file: file.name,
+                error: Validation.describe(error.issue || Validation.error('file-unreadable'))
+            }), 'error');
+        }
+    },
+    
+    /**
+     * Handle the manual file picker
+     */
+    handleImportPick: (event) => {
+        const [file] = event.target.files;
+        if (file) {
+            EventHandlers.handleImportFile(file);
+        }
+        event.target.value = '';
+    },
+    
+    /**
+     * Highlight the drop zone while a file is dragged over the page
+     */
+    handleDragOver: (event) => {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        AppState.elements.dropZone.classList.add('drop-zone--active');
+    },
+    
+    /**
+     * Handle the dragged file leaving the window
+     */
+    handleDragLeave: (event) => {
+        if (event.relatedTarget === null) {
+            AppState.elements.dropZone.classList.remove('drop-zone--active');
+        }
+    },
+    
+    /**
+     * Handle a file dropped anywhere on the page
+     */
+    handleDrop: (event) => {
+        if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+        event.preventDefault();
+        AppState.elements.dropZone.classList.remove('drop-zone--active');
+        EventHandlers.handleImportFile(event.dataTransfer.files[0]);
+    },
+    
+    /**
+     * Handle export buttons (current calculation or full history, CSV or JSON)
+     */
+    handleExport: async (event) => {
+        const button = event.target.closest('button[data-export]');
+        if (!button) return;
+        
+        const format = button.dataset.format;
+        const energy = AppState.units.energy;
+        try {
+            if (button.dataset.export === 'current') {
+                if (!AppState.lastCalculation || !AppState.lastInput) {
+                    UI.showToast(I18n.t('Calculate your TDEE first to export it'), 'warning');
+                    return;
+                }
+                const record = DataFormat.toRecord({ ...AppState.lastInput, results: AppState.lastCalculation }, energy);
+                if (AppState.cyclingSettings.include && format !== 'link') {
+                    Object.assign(record, DataFormat.cyclingRecord(
+                        CalorieCycling.forResults(AppState.lastCalculation, AppState.cyclingSettings), energy
+                    ));
+                }
+                if (format === 'link') {
+                    const link = `${window.location.origin}${window.location.pathname}?data=` +
+                        encodeURIComponent(LaunchUrl.encode(record, { calculate: true }));
+                    await navigator.clipboard.writeText(link);
+                    UI.showToast(I18n.t('Link copied. Opening it fills in these inputs, ready to calculate.'), 'success');
+                    return;
+                }
+                const fileName = Exporter.exportRecords([record], 'profile', format);
+                UI.showToast(I18n.t('Exported {file}', { file: fileName }), 'success');
+                return;
+            }
+            
+            const entries = await CalculationHistory.list();
+            if (entries.length === 0) {
+                UI.showToast(I18n.t('There is no history to export yet'), 'warning');
+                return;
+            }
+            const records = entries.reverse().map(entry => DataFormat.toRecord(entry, energy));
+            const fileName = Exporter.exportRecords(records, 'history', format);
+            UI.showToast(I18n.tn('Exported {count} calculation to {file}', 'Exported {count} calculations to {file}', records.length, {
+                file: fileName
+            }), 'success');
+        } catch (error) {
+            console.error('Export failed:', error);
+            UI.showToast(I18n.t('Export failed. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Apply the previewed import
+     */
+    handleImportConfirm: async () => {
+        const parsed = AppState.pendingImport;
+        if (!parsed) return;
+        
+        try {
+            if (parsed.type === 'profile') {
+                const row = parsed.rows.find(candidate => candidate.errors.length === 0);
+                UI.fillForm(row.data, row.units);
+                UI.hideImportPreview();
+                document.getElementById('age').focus();
+                UI.showToast(I18n.t('Profile loaded. Press Calculate to see your results.'), 'success');
+                return;
+            }
+            
+            const saved = await Importer.importHistory(parsed.rows);
+            const rejected = parsed.rows.length - saved;
+            UI.hideImportPreview();
+            await App.loadHistory();
+            UI.showToast(
+                rejected > 0
+                    ? I18n.tn('Imported {count} calculation; {rejected} rejected', 'Imported {count} calculations; {rejected} rejected', saved, { rejected })
+                    : I18n.tn('Imported {count} calculation', 'Imported {count} calculations', saved),
+                rejected > 0 ? 'warning' : 'success'
+            );
+        } catch (error) {
+            console.error('Import failed:', error);
+            UI.showToast(I18n.t('Import failed. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle daily log submission
+     */
+    handleLogSubmit: async (event) => {
+        event.preventDefault();
+        
+        const form = AppState.elements.logForm;
+        const date = form.elements['log-date'].value;
+        const weight = I18n.normalizeNumber(form.elements['log-weight'].value);
+        const weightPounds = I18n.normalizeNumber(form.elements['log-weight-pounds'].value);
+        const calories = I18n.normalizeNumber(form.elements['log-calories'].value);
+        
+        UI.clearFieldError('log');
+        const error = Validation.describe(Validation.validateLogEntry(date, weight, calories, AppState.units, weightPounds));
+        if (error) {
+            UI.showFieldError('log', error);
+            return;
+        }
+        
+        try {
+            const weightKg = weight
+                ? Units.weightToKg(parseFloat(weight), AppState.units.weight, parseFloat(weightPounds) || 0)
+                : null;
+            await DailyLog.save(date, {
+                weight: weightKg,
+                calories: calories ? Math.round(Units.toKcal(parseFloat(calories), AppState.units.energy)) : null
+            });
+            form.elements['log-weight'].value = '';
+            form.elements['log-weight-pounds'].value = '';
+            form.elements['log-calories'].value = '';
+            await App.loadDailyLog();
+            UI.showToast(I18n.t('Log saved for {date}', { date: Utils.formatDate(date) }), 'success');
+        } catch (error) {
+            console.error('Saving log entry failed:', error);
+            UI.showToast(I18n.t('Could not save log entry. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle deleting a daily log entry
+     */
+    handleLogDelete: async (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        
+        try {
+            await DailyLog.remove(button.closest('.log-item').dataset.date);
+            await App.loadDailyLog();
+        } catch (error) {
+            console.error('Deleting log entry failed:', error);
+            UI.showToast(I18n.t('Could not delete log entry. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle choosing another day for the food diary
+     */
+    handleDiaryDateChange: async () => {
+        UI.clearFieldError('diary');
+        await App.loadDiary();
+    },
+    
+    /**
+     * Handle choosing which goal the diary compares with, and remember it
+     */
+    handleDiaryGoalChange: (event) => {
+        AppState.diaryGoal = event.target.value;
+        App.saveSettings();
+        UI.displayDiaryTotals();
+    },
+    
+    /**
+     * Handle typing in the food search
+     */
+    handleFoodSearch: () => {
+        const query = document.getElementById('food-search').value;
+        AppState.foodResults = FoodDatabase.search(query);
+        UI.renderFoodResults(document.getElementById('food-results'), AppState.foodResults, query);
+    },
+    
+    /**
+     * Handle choosing a food from the search results
+     */
+    handleFoodPick: (event) => {
+        const button = event.target.closest('.food-results__item');
+        if (!button) return;
+        
+        AppState.diaryFood = AppState.foodResults[Number(button.dataset.index)];
+        AppState.foodResults = [];
+        UI.renderFoodResults(document.getElementById('food-results'), [], '');
+        UI.showDiaryFood(AppState.diaryFood);
+        UI.clearFieldError('diary');
+        document.getElementById('diary-amount').focus();
+    },
+    
+    /**
+     * Handle adding the chosen food to the diary
+     */
+    handleDiarySubmit: async (event) => {
+        event.preventDefault();
+        
+        const form = document.getElementById('diary-form');
+        const date = document.getElementById('diary-date').value;
+        const food = AppState.diaryFood;
+        const amount = I18n.normalizeNumber(form.elements['diary-amount'].value);
+        const unit = form.elements['diary-unit'].value;
+        
+        UI.clearFieldError('diary');
+        const error = Validation.describe(Validation.validateDiaryEntry(date, food, amount, unit));
+        if (error) {
+            UI.showFieldError('diary', error);
+            return;
+        }
+        
+        try {
+            await FoodDiary.add(date, food, parseFloat(amount), unit);
+            form.elements['diary-amount'].value = '';
+            UI.updateDiaryPreview();
+            await App.loadDiary();
+            UI.showToast(I18n.t('{food} added to the diary', { food: Nutrition.nameOf(food) }), 'success');
+        } catch (error) {
+            console.error('Saving diary entry failed:', error);
+            UI.showToast(I18n.t('Could not save diary entry. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle deleting a diary entry
+     */
+    handleDiaryDelete: async (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        
+        try {
+            await FoodDiary.remove(Number(button.closest('.diary-item').dataset.id));
+            await App.loadDiary();
+        } catch (error) {
+            console.error('Deleting diary entry failed:', error);
+            UI.showToast(I18n.t('Could not delete diary entry. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle saving a custom food (values per 100 g)
+     */
+    handleCustomFoodSubmit: async (event) => {
+        event.preventDefault();
+        
+        const form = document.getElementById('custom-food-form');
+        const value = (name) => I18n.normalizeNumber(form.elements[name].value);
+        const data = {
+            name: form.elements['custom-food-name'].value,
+            calories: value('custom-food-calories'),
+            protein: value('custom-food-protein'),
+            fat: value('custom-food-fat'),
+            carbs: value('custom-food-carbs'),
+            servingName: form.elements['custom-food-serving'].value,
+            servingGrams: value('custom-food-serving-grams')
+        };
+        
+        UI.clearFieldError('custom-food');
+        const error = Validation.describe(Validation.validateFood(data, AppState.units));
+        if (error) {
+            UI.showFieldError('custom-food', error);
+            return;
+        }
+        
+        try {
+            const servingName = data.servingName.trim();
+            const food = await FoodDatabase.addCustom({
+                name: data.name.trim(),
+                calories: Units.toKcal(parseFloat(data.calories), AppState.units.energy),
+                protein: parseFloat(data.protein) || 0,
+                fat: parseFloat(data.fat) || 0,
+                carbs: parseFloat(data.carbs) || 0,
+                servings: servingName ? [{ name: servingName, grams: parseFloat(data.servingGrams) }] : []
+            });
+            form.reset();
+            UI.renderCustomFoods(FoodDatabase.listCustom());
+            EventHandlers.handleFoodSearch();
+            UI.showToast(I18n.t('{food} saved to your foods', { food: food.name }), 'success');
+        } catch (error) {
+            console.error('Saving custom food failed:', error);
+            UI.showToast(I18n.t('Could not save food. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle deleting a custom food
+     */
+    handleCustomFoodDelete: async (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        
+        try {
+            await FoodDatabase.removeCustom(Number(button.closest('.custom-food__item').dataset.id));
+            UI.renderCustomFoods(FoodDatabase.listCustom());
+            EventHandlers.handleFoodSearch();
+        } catch (error) {
+            console.error('Deleting custom food failed:', error);
+            UI.showToast(I18n.t('Could not delete food. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle typing in the ingredient search
+     */
+    handleRecipeSearch: () => {
+        const query = document.getElementById('recipe-search').value;
+        AppState.recipeResults = FoodDatabase.search(query);
+        UI.renderFoodResults(document.getElementById('recipe-results'), AppState.recipeResults, query);
+    },
+    
+    /**
+     * Handle choosing an ingredient from the search results
+     */
+    handleRecipePick: (event) => {
+        const button = event.target.closest('.food-results__item');
+        if (!button) return;
+        
+        AppState.recipeFood = AppState.recipeResults[Number(button.dataset.index)];
+        AppState.recipeResults = [];
+        UI.renderFoodResults(document.getElementById('recipe-results'), [], '');
+        UI.showRecipeFood(AppState.recipeFood);
+        UI.clearFieldError('recipe-ingredient');
+        document.getElementById('recipe-amount').focus();
+    },
+    
+    /**
+     * Handle adding the chosen food to the recipe being edited
+     */
+    handleIngredientAdd: () => {
+        const food = AppState.recipeFood;
+        const amount = I18n.normalizeNumber(document.getElementById('recipe-amount').value);
+        const unit = document.getElementById('recipe-unit').value;
+        
+        UI.clearFieldError('recipe-ingredient');
+        const error = Validation.describe(Validation.validateFoodAmount(food, amount, unit));
+        if (error) {
+            UI.showFieldError('recipe-ingredient', error);
+            return;
+        }
+        
+        const { name, names, calories, protein, fat, carbs, servings = [] } = food;
+        AppState.recipeDraft.ingredients.push({
+            food: { name, names, calories, protein, fat, carbs, servings },
+            amount: parseFloat(amount),
+            unit,
+            grams: Nutrition.toGrams(food, parseFloat(amount), unit)
+        });
+        document.getElementById('recipe-amount').value = '';
+        document.getElementById('recipe-search').value = '';
+        AppState.recipeFood = null;
+        UI.showRecipeFood(null);
+        UI.renderRecipeDraft();
+        document.getElementById('recipe-search').focus();
+    },
+    
+    /**
+     * Handle removing an ingredient from the recipe being edited
+     */
+    handleIngredientRemove: (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        
+        AppState.recipeDraft.ingredients.splice(Number(button.closest('.diary-item').dataset.index), 1);
+        UI.renderRecipeDraft();
+    },
+    
+    /**
+     * Handle resizing the recipe being edited to another number of servings
+     */
+    handleRecipeScale: () => {
+        const form = document.getElementById('recipe-form');
+        const target = I18n.normalizeNumber(form.elements['recipe-scale'].value);
+        const { servings, yieldGrams } = UI.readRecipeYield();
+        
+        UI.clearFieldError('recipe');
+        const error = Validation.describe(Validation.validateServings(target) || Validation.validateServings(servings));
+        if (error) {
+            UI.showFieldError('recipe', error);
+            return;
+        }
+        
+        const scaled = Nutrition.scaleRecipe({ ...AppState.recipeDraft, servings, yieldGrams }, Number(target));
+        AppState.recipeDraft.ingredients = scaled.ingredients;
+        form.elements['recipe-servings'].value = scaled.servings;
+        form.elements['recipe-yield'].value = scaled.yieldGrams ? I18n.formatInput(Math.round(scaled.yieldGrams)) : '';
+        form.elements['recipe-scale'].value = '';
+        UI.renderRecipeDraft();
+    },
+    
+    /**
+     * Handle saving the recipe being edited
+     */
+    handleRecipeSubmit: async (event) => {
+        event.preventDefault();
+        
+        const form = document.getElementById('recipe-form');
+        const data = {
+            name: form.elements['recipe-name'].value,
+            ingredients: AppState.recipeDraft.ingredients,
+            servings: I18n.normalizeNumber(form.elements['recipe-servings'].value),
+            yieldGrams: I18n.normalizeNumber(form.elements['recipe-yield'].value)
+        };
+        
+        UI.clearFieldError('recipe');
+        const error = Validation.describe(Validation.validateRecipe(data));
+        if (error) {
+            UI.showFieldError('recipe', error);
+            return;
+        }
+        
+        try {
+            const recipe = await Recipes.save({
+                id: AppState.recipeDraft.id,
+                name: data.name.trim(),
+                ingredients: data.ingredients,
+                servings: Number(data.servings),
+                yieldGrams: data.yieldGrams ? parseFloat(data.yieldGrams) : null
+            });
+            AppState.recipeDraft.id = recipe.id;
+            await App.loadRecipes();
+            UI.showToast(I18n.t('Recipe {name} saved', { name: recipe.name }), 'success');
+        } catch (error) {
+            console.error('Saving recipe failed:', error);
+            UI.showToast(I18n.t('Could not save recipe. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle edit/delete buttons in the saved recipe list
+     */
+    handleRecipeAction: async (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const id = Number(button.closest('.recipe-item').dataset.id);
+        try {
+            if (button.dataset.action === 'edit') {
+                UI.fillRecipeForm(await Recipes.get(id));
+                document.getElementById('recipe-name').focus();
+            } else {
+                await Recipes.remove(id);
+                if (AppState.recipeDraft.id === id) {
+                    AppState.recipeDraft.id = null;
+                }
+                await App.loadRecipes();
+            }
+        } catch (error) {
+            console.error('Recipe action failed:', error);
+            UI.showToast(I18n.t('Could not update recipes. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle reopen/delete buttons in the history list
+     */
+    handleHistoryAction: async (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const id = Number(button.closest('.history-item').dataset.id);
+        try {
+            if (button.dataset.action === 'reopen') {
+                const entry = await CalculationHistory.get(id);
+                UI.fillForm(entry.form, Units.ofEntry(entry));
+                document.getElementById('age').focus();
+                UI.showToast(I18n.t('Loaded calculation from {date}', { date: new Date(entry.timestamp).toLocaleString(I18n.locale) }), 'info');
+            } else if (button.dataset.action === 'delete') {
+                if (!window.confirm(I18n.t('Delete this calculation from history?'))) return;
+                await CalculationHistory.remove(id);
+                await App.loadHistory();
+                UI.showToast(I18n.t('Calculation deleted from history'), 'info');
+            }
+        } catch (error) {
+            console.error('History action failed:', error);
+            UI.showToast(I18n.t('Could not update history. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle note edits in the history list
+     */
+    handleHistoryNote: async (event) => {
+        if (!event.target.classList.contains('history-item__note')) return;
+        
+        const id = Number(event.target.closest('.history-item').dataset.id);
+        try {
+            await CalculationHistory.annotate(id, event.target.value.trim());
+            UI.showToast(I18n.t('Note saved'), 'success');
+        } catch (error) {
+            console.error('Saving note failed:', error);
+            UI.showToast(I18n.t('Could not save note. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle reset button click
+     */
+    handleReset: () => {
+        UI.resetCalculator();
+    },
+    
+    /**
+     * Handle saving sync settings, which turns sync on the first time
+     */
+    handleSyncSubmit: async (event) => {
+        event.preventDefault();
+        
+        const form = document.getElementById('sync-form');
+        const settings = {
+            endpoint: form.elements['sync-endpoint'].value,
+            token: form.elements['sync-token'].value
+        };
+        
+        UI.clearFieldError('sync');
+        const error = Validation.describe(Validation.validateSyncSettings(settings));
+        if (error) {
+            UI.showFieldError('sync', error);
+            return;
+        }
+        
+        try {
+            await Sync.configure(settings);
+            UI.fillSyncForm();
+            UI.showToast(I18n.t('Sync settings saved'), 'success');
+        } catch (error) {
+            console.error('Saving sync settings failed:', error);
+            UI.showToast(I18n.t('Could not save sync settings. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle "Sync Now": send the outbox without waiting for Background Sync
+     */
+    handleSyncNow: async () => {
+        if (!await Sync.schedule({ now: true })) {
+            UI.showToast(I18n.t('Sync needs the app to be installed or opened from a web server.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle turning sync off
+     */
+    handleSyncDisable: async () => {
+        if (!window.confirm(I18n.t('Turn off sync? Changes not yet sent will stay on this device only.'))) return;
+        
+        try {
+            await Sync.disable();
+            UI.fillSyncForm();
+            UI.showToast(I18n.t('Sync turned off'), 'info');
+        } catch (error) {
+            console.error('Turning off sync failed:', error);
+            UI.showToast(I18n.t('Could not save sync settings. Please try again.'), 'error');
+        }
+    },
+    
+    /**
+     * Handle messages from the service worker: sync progress, and records
+     * the server replaced with newer versions
+     */
+    handleWorkerMessage: async (event) => {
+        if (!event.data || event.data.type !== 'SYNC_STATUS') return;
+        
+        Sync.status = event.data.status;
+        if (event.data.updated) {
+            await App.loadHistory();
+            await App.loadDailyLog();
+        }
+        await App.showSyncStatus();
+    },
+    
+    /**
+     * Handle toast close
+     */
+    handleToastClose: () => {
+        AppState.elements.toast.classList.remove('show');
+    },
+    
+    /**
+     * Handle accepting a new version: the waiting worker takes over and the
+     * page reloads once it controls it
+     */
+    handleUpdateAccept: (event) => {
+        event.currentTarget.disabled = true;
+        AppUpdate.apply();
+    },
+    
+    /**
+     * Handle turning down details from a link: put back the profile's own
+     * inputs
+     */
+    handleLaunchCancel: async () => {
+        UI.showLaunchNotice(false);
+        try {
+            const profile = await Profiles.get(AppState.profileId);
+            UI.clearCalculator();
+            if (profile && profile.form) {
+                UI.fillForm(profile.form, profile.formUnits);
+            }
+        } catch (error) {
+            console.error('Failed to restore profile inputs:', error);
+            UI.clearCalculator();
+        }
+        document.getElementById('age').focus();
+    },
+    
+    /**
+     * Handle input validation on blur: an input counts as touched once it
+     * has been left with a value, then the whole form is checked again
+     */
+    handleInputValidation: (event) => {
+        const { name } = event.target;
+        const input = name ? AppState.form.elements.namedItem(name) : null;
+        if (input && String(input.value).trim()) {
+            AppState.touched.add(name);
+        }
+        EventHandlers.validateTouched();
+    },
+    
+    /**
+     * Run the same checks as on submit, showing those the user has reached
+     */
+    validateTouched: Utils.debounce(() => {
+        UI.showFormIssues(Validation.validateForm(UI.readForm(), AppState.units), AppState.touched);
+    }, 300)
+};
+
+// ===== INITIALIZATION =====
+const App = {
+    /**
+     * Initialize the application
+     */
+init: () => {
+    // Cache DOM elements
+    AppState.form = document.getElementById('calorie-form');
+    AppState.elements = {
+        unitToggle: document.querySelector('.toggle-switch'),
+        calculateBtn: document.getElementById('calculate-btn'),
+        resetBtn: document.getElementById('reset-btn'),
+        resultsSection: document.getElementById('results-section'),
+        bmrResult: document.getElementById('bmr-result'),
+        tdeeResult: document.getElementById('tdee-result'),
+        toast: document.getElementById('notification-toast'),
+        toastMessage: document.getElementById('toast-message'),
+        equationSelect: document.getElementById('bmr-equation'),
+        equationComparisonBody: document.getElementById('equation-comparison-body'),
+        bodyFatMeasure: document.getElementById('body-fat-measure'),
+        navyMeasurements: document.getElementById('navy-measurements'),
+        bodyCompositionResult: document.getElementById('body-composition-result'),
+        bodyMetricsResult: document.getElementById('body-metrics-result'),
+        energyChart: document.getElementById('energy-chart'),
+        historySection: document.getElementById('history-section'),
+        historyList: document.getElementById('history-list'),
+        historyTrend: document.getElementById('history-trend'),
+        logForm: document.getElementById('log-form'),
+        logList: document.getElementById('log-list'),
+        plannerForm: document.getElementById('planner-form'),
+        workoutList: document.getElementById('workout-list'),
+        dropZone: document.getElementById('drop-zone'),
+        importFile: document.getElementById('import-file')
+    };
+    
+    // Restore the last used preferences until the active profile loads; a
+    // first visit takes the units usual for the browser's region
+    const locale = I18n.detect(Preferences.get('language', ''));
+    AppState.units = Units.normalize(Preferences.get('units', I18n.defaultUnits(locale)));
+    App.applySettings({
+        bmrEquation: Preferences.get('bmrEquation', Equations.DEFAULT),
+        macroSettings: Preferences.get('macroSettings', Macros.DEFAULT_SETTINGS),
+        cyclingSettings: Preferences.get('cyclingSettings', CalorieCycling.DEFAULT_SETTINGS),
+        diaryGoal: Preferences.get('diaryGoal', 'maintenance')
+    });
+    
+    // Set up event listeners
+    App.setupEventListeners();
+    
+    // Initialize UI state
+    UI.setUnits(AppState.units);
+    UI.updateLifeStageVisibility();
+    
+    // Goal planner pace choices
+    UI.populatePlannerPace();
+    
+    // Default the daily log and food diary to today
+    const logDate = document.getElementById('log-date');
+    logDate.value = Utils.toDateKey();
+    logDate.max = Utils.toDateKey();
+    document.getElementById('diary-date').value = Utils.toDateKey();
+    
+    // Open files passed in by the installed app's file handlers
+    App.setupLaunchQueue();
+    
+    // Load the language's messages and the sync settings, then the active
+    // profile with its inputs, history and daily log, then apply shortcuts,
+    // shared text and web+calorie: links over its inputs
+    App.applyLocale(locale)
+        .then(() => {
+            // Placeholders are written once the language's messages are in
+            UI.showDiaryFood(null);
+            UI.showRecipeFood(null);
+            UI.renderRecipeDraft();
+        })
+        .then(App.loadSync)
+        .then(App.loadProfiles)
+        .then(App.handleLaunchUrl);
+    
+    // Food lists for the diary search
+    App.loadFoods();
+    
+    // Register service worker for PWA
+    App.registerServiceWorker();
+
+    console.log('Calorie Calculator PWA initialized successfully');
+},
+    
+    /**
+     * Set up all event listeners
+     */
+    setupEventListeners: () => {
+        // Form submission
+        AppState.form.addEventListener('submit', EventHandlers.handleFormSubmit);
+        
+        // Language menu
+        document.getElementById('language-select').addEventListener('change', EventHandlers.handleLanguageChange);
+        
+        // Profile switcher
+        document.getElementById('profile-select').addEventListener('change', EventHandlers.handleProfileSwitch);
+        document.getElementById('profile-switcher').addEventListener('click', EventHandlers.handleProfileAction);
+        
+        // Unit toggle
+        AppState.elements.unitToggle.addEventListener('click', EventHandlers.handleUnitToggle);
+        AppState.elements.unitToggle.addEventListener('keydown', EventHandlers.handleUnitToggle);
+        document.querySelectorAll('#unit-preferences select').forEach(select => {
+            select.addEventListener('change', EventHandlers.handleUnitChange);
+        });
+        
+        // BMR equation selection
+        AppState.elements.equationSelect.addEventListener('change', EventHandlers.handleEquationChange);
+        AppState.elements.equationComparisonBody.addEventListener('click', EventHandlers.handleComparisonSelect);
+        
+        // Macro split settings
+        ['macro-preset', 'macro-protein', 'macro-protein-unit', 'macro-protein-basis', 'macro-fat-floor'].forEach(id => {
+            document.getElementById(id).addEventListener('change', EventHandlers.handleMacroSettingsChange);
+        });
+        
+        // Goal timeline
+        AppState.elements.plannerForm.addEventListener('submit', EventHandlers.handlePlanSubmit);
+        
+        // Calorie cycling planner updates as settings change
+        const cyclingForm = document.getElementById('cycling-form');
+        cyclingForm.addEventListener('change', EventHandlers.handleCyclingChange);
+        cyclingForm.addEventListener('submit', (event) => event.preventDefault());
+        
+        // Print results
+        document.getElementById('print-btn').addEventListener('click', () => window.print());
+        
+        // Daily log
+        AppState.elements.logForm.addEventListener('submit', EventHandlers.handleLogSubmit);
+        AppState.elements.logList.addEventListener('click', EventHandlers.handleLogDelete);
+        
+        // Food diary
+        document.getElementById('diary-date').addEventListener('change', EventHandlers.handleDiaryDateChange);
+        document.getElementById('diary-goal').addEventListener('change', EventHandlers.handleDiaryGoalChange);
+        document.getElementById('food-search').addEventListener('input', Utils.debounce(EventHandlers.handleFoodSearch, 150));
+        document.getElementById('food-results').addEventListener('click', EventHandlers.handleFoodPick);
+        ['diary-amount', 'diary-unit'].forEach(id => {
+            document.getElementById(id).addEventListener('input', UI.updateDiaryPreview);
+        });
+        document.getElementById('diary-form').addEventListener('submit', EventHandlers.handleDiarySubmit);
+        document.getElementById('diary-list').addEventListener('click', EventHandlers.handleDiaryDelete);
+        document.getElementById('custom-food-form').addEventListener('submit', EventHandlers.handleCustomFoodSubmit);
+        document.getElementById('custom-food-list').addEventListener('click', EventHandlers.handleCustomFoodDelete);
+        
+        // Recipes
+        document.getElementById('recipe-search').addEventListener('input', Utils.debounce(EventHandlers.handleRecipeSearch, 150));
+        document.getElementById('recipe-results').addEventListener('click', EventHandlers.handleRecipePick);
+        document.getElementById('add-ingredient-btn').addEventListener('click', EventHandlers.handleIngredientAdd);
+        document.getElementById('recipe-ingredients').addEventListener('click', EventHandlers.handleIngredientRemove);
+        ['recipe-servings', 'recipe-yield'].forEach(id => {
+            document.getElementById(id).addEventListener('input', UI.renderRecipeDraft);
+        });
+        document.getElementById('scale-recipe-btn').addEventListener('click', EventHandlers.handleRecipeScale);
+        document.getElementById('recipe-form').addEventListener('submit', EventHandlers.handleRecipeSubmit);
+        document.getElementById('new-recipe-btn').addEventListener('click', () => UI.fillRecipeForm());
+        document.getElementById('recipe-list').addEventListener('click', EventHandlers.handleRecipeAction);
+        
+        // Calculation history
+        AppState.elements.historyList.addEventListener('click', EventHandlers.handleHistoryAction);
+        AppState.elements.historyList.addEventListener('change', EventHandlers.handleHistoryNote);
+        
+        // Import: picker, drag-and-drop and preview actions
+        document.getElementById('import-btn').addEventListener('click', () => AppState.elements.importFile.click());
+        AppState.elements.importFile.addEventListener('change', EventHandlers.handleImportPick);
+        document.addEventListener('dragover', EventHandlers.handleDragOver);
+        document.addEventListener('dragleave', EventHandlers.handleDragLeave);
+        document.addEventListener('drop', EventHandlers.handleDrop);
+        document.getElementById('import-confirm').addEventListener('click', EventHandlers.handleImportConfirm);
+        document.getElementById('import-cancel').addEventListener('click', UI.hideImportPreview);
+        document.getElementById('export-actions').addEventListener('click', EventHandlers.handleExport);
+        
+        // Redraw the energy chart when its width changes, so text stays legible
+        if ('ResizeObserver' in window) {
+            let chartWidth = 0;
+            new ResizeObserver(Utils.debounce(([entry]) => {
+                const width = Math.round(entry.contentRect.width);
+                if (width !== chartWidth && AppState.lastCalculation) {
+                    chartWidth = width;
+                    UI.displayEnergyBreakdown(AppState.lastCalculation);
+                }
+            }, 150)).observe(AppState.elements.energyChart);
+        }
+        
+        // Body fat entry mode
+        AppState.elements.bodyFatMeasure.addEventListener('change', UI.updateBodyFatMode);
+        
+        // Pregnancy / lactation only applies to female profiles
+        AppState.form.querySelectorAll('input[name="gender"]').forEach(radio => {
+            radio.addEventListener('change', UI.updateLifeStageVisibility);
+        });
+        
+        // Activity entry mode and week builder
+        AppState.form.querySelectorAll('input[name="activity-mode"]').forEach(radio => {
+            radio.addEventListener('change', UI.updateActivityMode);
+        });
+        document.getElementById('add-workout-btn').addEventListener('click', () => UI.addWorkoutRow());
+        AppState.elements.workoutList.addEventListener('click', (event) => {
+            const button = event.target.closest('.workout-row__remove');
+            if (button) {
+                button.closest('.workout-row').remove();
+            }
+        });
+        
+        // Reset button
+        AppState.elements.resetBtn.addEventListener('click', EventHandlers.handleReset);
+        
+        // Toast close button
+        const toastClose = AppState.elements.toast.querySelector('.toast__close');
+        toastClose.addEventListener('click', EventHandlers.handleToastClose);
+        
+        // Sync: settings, and sending the outbox again once back online
+        document.getElementById('sync-form').addEventListener('submit', EventHandlers.handleSyncSubmit);
+        document.getElementById('sync-now-btn').addEventListener('click', EventHandlers.handleSyncNow);
+        document.getElementById('sync-off-btn').addEventListener('click', EventHandlers.handleSyncDisable);
+        window.addEventListener('online', () => {
+            Sync.schedule();
+            App.showSyncStatus();
+        });
+        window.addEventListener('offline', App.showSyncStatus);
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', EventHandlers.handleWorkerMessage);
+        }
+        
+        // New version prompt
+        document.getElementById('update-accept-btn').addEventListener('click', EventHandlers.handleUpdateAccept);
+        document.getElementById('update-dismiss-btn').addEventListener('click', () => UI.showUpdatePrompt(false));
+        
+        // Details filled in from a link
+        document.getElementById('launch-accept-btn').addEventListener('click', () => AppState.form.requestSubmit());
+        document.getElementById('launch-cancel-btn').addEventListener('click', EventHandlers.handleLaunchCancel);
+        
+        // Input validation as the user moves through the form
+        AppState.form.addEventListener('focusout', EventHandlers.handleInputValidation);
+        AppState.form.addEventListener('change', EventHandlers.handleInputValidation);
+        
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (event) => {
+            // Ctrl/Cmd + R to reset (prevent default page reload)
+            if ((event.ctrlKey || event.metaKey) && event.key === 'r') {
+                event.preventDefault();
+                UI.resetCalculator();
+            }
+            
+            // Escape to close toast
+            if (event.key === 'Escape') {
+                AppState.elements.toast.classList.remove('show');
+            }
+        });
+    },
+    
+    /**
+     * Switch to a locale and translate the page, staying in English when
+     * its messages cannot be loaded
+     */
+    applyLocale: async (locale) => {
+        try {
+            await I18n.setLocale(locale);
+        } catch (error) {
+            console.warn('Could not load messages, using English:', error);
+            await I18n.setLocale(I18n.detect(I18n.SOURCE_LANGUAGE));
+        }
+        I18n.translatePage();
+        UI.renderLanguages(Preferences.get('language', ''));
+    },
+    
+    /**
+     * Apply equation, macro, cycling and diary settings, replacing unknown
+     * or malformed values with defaults
+     */
+    applySettings: ({ bmrEquation, macroSettings, cyclingSettings, diaryGoal }) => {
+        AppState.bmrEquation = Equations.get(bmrEquation) ? bmrEquation : Equations.DEFAULT;
+        UI.populateEquationOptions();
+        AppState.macroSettings = macroSettings && macroSettings.custom ? macroSettings : Macros.DEFAULT_SETTINGS;
+        UI.populateMacroSettings();
+        AppState.cyclingSettings = cyclingSettings && Array.isArray(cyclingSettings.trainingDays)
+            ? { ...CalorieCycling.DEFAULT_SETTINGS, ...cyclingSettings }
+            : CalorieCycling.DEFAULT_SETTINGS;
+        UI.populateCyclingSettings();
+        AppState.diaryGoal = CalorieCycling.GOALS[diaryGoal] ? diaryGoal : 'maintenance';
+        UI.populateDiaryGoals();
+    },
+    
+    /**
+     * The settings a profile keeps
+     */
+    currentSettings: () => ({
+        units: { ...AppState.units },
+        bmrEquation: AppState.bmrEquation,
+        macroSettings: AppState.macroSettings,
+        cyclingSettings: AppState.cyclingSettings,
+        diaryGoal: AppState.diaryGoal
+    }),
+    
+    /**
+     * Remember the current settings for the active profile and as the
+     * preferences shown before profiles load on the next visit
+     */
+    saveSettings: async () => {
+        const settings = App.currentSettings();
+        Object.entries(settings).forEach(([key, value]) => Preferences.set(key, value));
+        try {
+            await Profiles.update(AppState.profileId, { settings });
+        } catch (error) {
+            console.warn('Could not save profile settings:', error);
+        }
+    },
+    
+    /**
+     * Load the remembered profile, or the first one. Without local storage
+     * the app keeps working as a single anonymous profile.
+     */
+    loadProfiles: async () => {
+        try {
+            const profiles = await Profiles.list();
+            const activeId = Preferences.get('activeProfile', null);
+            await App.activateProfile(profiles.find(profile => profile.id === activeId) || profiles[0]);
+        } catch (error) {
+            console.warn('Profiles unavailable:', error);
+            await App.loadHistory();
+            await App.loadDailyLog();
+            await App.loadDiary();
+        }
+    },
+    
+    /**
+     * Switch to a profile: apply its settings, fill in its stored inputs and
+     * goal, and show its history, daily log and food diary
+     */
+    activateProfile: async (profile) => {
+        // Profiles created before settings were stored take the current ones
+        if (!profile.settings) {
+            profile = await Profiles.update(profile.id, { settings: App.currentSettings() });
+        }
+        
+        AppState.profileId = profile.id;
+        Preferences.set('activeProfile', profile.id);
+        
+        UI.clearCalculator();
+        UI.showLaunchNotice(false);
+        UI.setUnits(profile.settings.units);
+        App.applySettings(profile.settings);
+        App.saveSettings();
+        if (profile.form) {
+            UI.fillForm(profile.form, profile.formUnits);
+        }
+        UI.fillGoal(profile.goal);
+        
+        UI.renderProfiles(await Profiles.list(), profile.id);
+        await App.loadHistory();
+        await App.loadDailyLog();
+        await App.loadDiary();
+    },
+    
+    /**
+     * Load and render saved calculation history
+     */
+    loadHistory: async () => {
+        try {
+            const entries = await CalculationHistory.list();
+            UI.renderHistory(entries);
+        } catch (error) {
+            console.warn('Calculation history unavailable:', error);
+        }
+    },
+    
+    /**
+     * Load the daily log, update the adaptive estimate and refresh goals
+     */
+    loadDailyLog: async () => {
+        try {
+            const entries = await DailyLog.list();
+            AppState.adaptiveEstimate = AdaptiveTDEE.estimate(entries);
+            UI.renderDailyLog(entries);
+            UI.displayAdaptiveEstimate(AppState.adaptiveEstimate);
+            App.refreshTargets();
+        } catch (error) {
+            console.warn('Daily log unavailable:', error);
+        }
+    },
+    
+    /**
+     * Load and render the food diary for the chosen day
+     */
+    loadDiary: async () => {
+        try {
+            AppState.diaryEntries = await FoodDiary.list(document.getElementById('diary-date').value);
+        } catch (error) {
+            console.warn('Food diary unavailable:', error);
+            AppState.diaryEntries = [];
+        }
+        UI.renderDiary(AppState.diaryEntries);
+    },
+    
+    /**
+     * Load the bundled and custom foods and the saved recipes for searching
+     */
+    loadFoods: async () => {
+        try {
+            await FoodDatabase.load();
+            UI.renderCustomFoods(FoodDatabase.listCustom());
+        } catch (error) {
+            console.warn('Food database unavailable:', error);
+        }
+        await App.loadRecipes();
+    },
+    
+    /**
+     * Load and render saved recipes, and offer them in the food search
+     */
+    loadRecipes: async () => {
+        try {
+            const recipes = await Recipes.list();
+            FoodDatabase.setRecipes(recipes);
+            UI.renderRecipes(recipes);
+        } catch (error) {
+            console.warn('Recipes unavailable:', error);
+        }
+    },
+    
+    /**
+     * Load the sync settings and status, and send anything left in the
+     * outbox from an earlier visit
+     */
+    loadSync: async () => {
+        try {
+            await Sync.load();
+            Sync.onChange = App.showSyncStatus;
+            UI.fillSyncForm();
+            if (await Sync.pending() > 0) {
+                Sync.schedule();
+            }
+        } catch (error) {
+            console.warn('Sync unavailable:', error);
+        }
+        await App.showSyncStatus();
+    },
+    
+    /**
+     * Show the sync status with the number of changes waiting
+     */
+    showSyncStatus: async () => {
+        try {
+            UI.renderSyncStatus(Sync.enabled() ? await Sync.pending() : 0);
+        } catch (error) {
+            console.warn('Sync status unavailable:', error);
+        }
+    },
+    
+    /**
+     * Recalculate goals for the shown results when the maintenance basis changes
+     */
+    refreshTargets: () => {
+        const last = AppState.lastCalculation;
+        if (!last) return;
+        
+        const goalsSource = AdaptiveTDEE.isUsable(AppState.adaptiveEstimate) ? 'adaptive' : 'formula';
+        const targetTdee = goalsSource === 'adaptive' ? AppState.adaptiveEstimate.tdee : last.tdee;
+        if (goalsSource === last.goalsSource && targetTdee === last.targetTdee) return;
+        
+        const leanMass = last.bodyComposition ? last.bodyComposition.leanMass : null;
+        const targets = Calculator.calculateTargets(targetTdee, last.macroRules, {
+            weight: last.inputs.weight,
+            leanMass
+        }, { ...last.inputs, bmr: last.bmr });
+        Object.assign(last, targets, { goalsSource, targetTdee });
+        UI.displayGoals(last);
+        UI.displayEnergyBreakdown(last);
+    },
+    
+    /**
+     * Apply the manifest's URL entry points, then tidy the address bar so a
+     * reload does not apply them again
+     */
+    handleLaunchUrl: () => {
+        const launch = LaunchUrl.parse(window.location);
+        
+        if (launch.reset) {
+            UI.resetCalculator();
+        }
+        
+        // Link details only fill in the form; nothing is saved until the
+        // user confirms by calculating
+        let focus = 'age';
+        if (launch.record) {
+            const { data, units } = DataFormat.fromRecord(launch.record);
+            UI.fillForm(data, units);
+            UI.showLaunchNotice(true);
+            
+            const errors = Validation.validateFormData(data, units);
+            if (launch.calculate && Object.keys(errors).length === 0) {
+                focus = 'launch-accept-btn';
+            }
+        }
+        
+        if (launch.reset || launch.record || launch.focusCalculator) {
+            document.getElementById('calculator').scrollIntoView({ behavior: 'smooth', block: 'start' });
+            document.getElementById(focus).focus();
+        }
+        
+        if (window.location.search && window.history.replaceState) {
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+    },
+    
+    /**
+     * Consume files opened with the app (manifest file_handlers)
+     */
+    setupLaunchQueue: () => {
+        if (!('launchQueue' in window)) return;
+        
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+            
+            const file = await launchParams.files[0].getFile();
+            EventHandlers.handleImportFile(file);
+        });
+    },
+    
+    /**
+     * Register service worker for PWA functionality
+     */
+    registerServiceWorker: async () => {
+        if ('serviceWorker' in navigator) {
+            try {
+                const registration = await navigator.serviceWorker.register('./sw.js');
+                console.log('Service Worker registered successfully:', registration.scope);
+                AppUpdate.watch(registration);
+            } catch (error) {
+                console.log('Service Worker registration failed:', error);
+            }
+        }
+    }
+};
+
+// ===== APPLICATION STARTUP =====
+// Initialize app when DOM is loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', App.init);
+} else {
+    App.init();
+
+} 
+
+
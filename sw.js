@@ -1,376 +1,662 @@
-/**
- * Service Worker for Offline Calorie Calculator PWA
- * Provides offline functionality and app-like experience
- */
-
-const CACHE_NAME = 'calorie-calculator-v1';
-const STATIC_CACHE_NAME = 'static-resources-v1';
-const DYNAMIC_CACHE_NAME = 'dynamic-resources-v1';
-
-// Static resources to cache immediately
-const STATIC_RESOURCES = [
-    './',
-    './index.html',
-    './styles.css',
-    './script.js',
-    './manifest.json',
-    './icons/icon-16x16.png',
-    './icons/icon-32x32.png',
-    './icons/icon-180x180.png',
-    './icons/icon-192x192.png',
-    './icons/icon-512x512.png'
-];
-
-// Resources to cache on demand
-const CACHEABLE_RESPONSES = [
-    'text/html',
-    'text/css',
-    'text/javascript',
-    'application/javascript',
-    'application/json',
-    'image/png',
-    'image/jpg',
-    'image/jpeg',
-    'image/gif',
-    'image/svg+xml',
-    'image/webp'
-];
-
-/**
- * Install event - cache static resources
- */
-self.addEventListener('install', (event) => {
-    console.log('Service Worker: Installing...');
-    
-    event.waitUntil(
-        caches.open(STATIC_CACHE_NAME)
-            .then((cache) => {
-                console.log('Service Worker: Caching static resources');
-                return cache.addAll(STATIC_RESOURCES);
-            })
-            .then(() => {
-                console.log('Service Worker: Static resources cached successfully');
-                // Skip waiting to activate immediately
-                return self.skipWaiting();
-            })
-            .catch((error) => {
-                console.error('Service Worker: Failed to cache static resources', error);
-            })
-    );
-});
-
-/**
- * Activate event - clean up old caches
- */
-self.addEventListener('activate', (event) => {
-    console.log('Service Worker: Activating...');
-    
-    event.waitUntil(
-        caches.keys()
-            .then((cacheNames) => {
-                return Promise.all(
-                    cacheNames.map((cacheName) => {
-                        // Delete old cache versions
-                        if (cacheName !== STATIC_CACHE_NAME && 
-                            cacheName !== DYNAMIC_CACHE_NAME) {
-                            console.log('Service Worker: Deleting old cache', cacheName);
-                            return caches.delete(cacheName);
-                        }
-                    })
-                );
-            })
-            .then(() => {
-                console.log('Service Worker: Activated successfully');
-                // Take control of all pages immediately
-                return self.clients.claim();
-            })
-            .catch((error) => {
-                console.error('Service Worker: Activation failed', error);
-            })
-    );
-});
-
-/**
- * Fetch event - implement caching strategies
- */
-self.addEventListener('fetch', (event) => {
-    const { request } = event;
-    const url = new URL(request.url);
-    
-    // Skip non-GET requests
-    if (request.method !== 'GET') {
-        return;
-    }
-    
-    // Skip chrome-extension requests
-    if (url.protocol === 'chrome-extension:') {
-        return;
-    }
-    
-    // Handle different types of requests
-    if (isStaticResource(request)) {
-        // Static resources: Cache First strategy
-        event.respondWith(cacheFirst(request));
-    } else if (isAPIRequest(request)) {
-        // API requests: Network First strategy (though we don't have external APIs)
-        event.respondWith(networkFirst(request));
-    } else {
-        // Other resources: Stale While Revalidate strategy
-        event.respondWith(staleWhileRevalidate(request));
-    }
-});
-
-/**
- * Check if request is for a static resource
- */
-function isStaticResource(request) {
-    const url = new URL(request.url);
-    const pathname = url.pathname;
-    
-    return pathname.endsWith('.html') ||
-           pathname.endsWith('.css') ||
-           pathname.endsWith('.js') ||
-           pathname.endsWith('.png') ||
-           pathname.endsWith('.jpg') ||
-           pathname.endsWith('.jpeg') ||
-           pathname.endsWith('.gif') ||
-           pathname.endsWith('.svg') ||
-           pathname.endsWith('.webp') ||
-           pathname.endsWith('.ico') ||
-           pathname.endsWith('.json') ||
-           pathname === '/' ||
-           pathname === '/index.html';
-}
-
-/**
- * Check if request is for an API endpoint
- */
-function isAPIRequest(request) {
-    const url = new URL(request.url);
-    return url.pathname.startsWith('/api/') || 
-           url.pathname.includes('api');
-}
-
-/**
- * Check if response is cacheable
- */
-function isCacheableResponse(response) {
-    return response.status === 200 && 
-           CACHEABLE_RESPONSES.some(type => 
-               response.headers.get('content-type')?.includes(type)
-           );
-}
-
-/**
- * Cache First strategy - serve from cache, fallback to network
- */
-async function cacheFirst(request) {
-    try {
-        // Try to get from cache first
-        const cachedResponse = await caches.match(request);
-        if (cachedResponse) {
-            console.log('Service Worker: Serving from cache', request.url);
-            return cachedResponse;
-        }
-        
-        // If not in cache, fetch from network
-        console.log('Service Worker: Fetching from network', request.url);
-        const networkResponse = await fetch(request);
-        
-        // Cache the response if it's successful
-        if (isCacheableResponse(networkResponse)) {
-            const cache = await caches.open(STATIC_CACHE_NAME);
-            cache.put(request, networkResponse.clone());
-        }
-        
-        return networkResponse;
-    } catch (error) {
-        console.error('Service Worker: Cache First failed', error);
-        
-        // If both cache and network fail, return offline page or fallback
-        if (request.headers.get('accept')?.includes('text/html')) {
-            const cache = await caches.open(STATIC_CACHE_NAME);
-            return cache.match('./index.html') || 
-                   new Response('Application is offline', {
-                       status: 503,
-                       statusText: 'Service Unavailable'
-                   });
-        }
-        
-        throw error;
-    }
-}
-
-/**
- * Network First strategy - try network first, fallback to cache
- */
-async function networkFirst(request) {
-    try {
-        console.log('Service Worker: Trying network first', request.url);
-        const networkResponse = await fetch(request);
-        
-        // Cache successful responses
-        if (isCacheableResponse(networkResponse)) {
-            const cache = await caches.open(DYNAMIC_CACHE_NAME);
-            cache.put(request, networkResponse.clone());
-        }
-        
-        return networkResponse;
-    } catch (error) {
-        console.log('Service Worker: Network failed, trying cache', request.url);
-        
-        // Fallback to cache
-        const cachedResponse = await caches.match(request);
-        if (cachedResponse) {
-            return cachedResponse;
-        }
-        
-        console.error('Service Worker: Network First failed completely', error);
-        throw error;
-    }
-}
-
-/**
- * Stale While Revalidate strategy - serve from cache, update in background
- */
-async function staleWhileRevalidate(request) {
-    const cache = await caches.open(DYNAMIC_CACHE_NAME);
-    const cachedResponse = await caches.match(request);
-    
-    // Fetch fresh version in background
-    const fetchPromise = fetch(request)
-        .then((networkResponse) => {
-            if (isCacheableResponse(networkResponse)) {
-                cache.put(request, networkResponse.clone());
-            }
-            return networkResponse;
-        })
-        .catch((error) => {
-            console.error('Service Worker: Background fetch failed', error);
-        });
-    
-    // Return cached version immediately if available
-    if (cachedResponse) {
-        console.log('Service Worker: Serving stale from cache', request.url);
-        return cachedResponse;
-    }
-    
-    // If no cached version, wait for network
-    console.log('Service Worker: No cache, waiting for network', request.url);
-    return fetchPromise;
-}
-
-/**
- * Handle background sync (for future offline form submissions)
- */
-self.addEventListener('sync', (event) => {
-    console.log('Service Worker: Background sync triggered', event.tag);
-    
-    if (event.tag === 'background-calculation') {
-        event.waitUntil(handleBackgroundCalculation());
-    }
-});
-
-/**
- * Handle background calculation sync
- */
-async function handleBackgroundCalculation() {
-    try {
-        // This could be used for syncing calculation history or preferences
-        console.log('Service Worker: Handling background calculation sync');
-        
-        // For now, just log that we're ready for background sync
-        // In a real app, this might sync calculation history to a server
-        return Promise.resolve();
-    } catch (error) {
-        console.error('Service Worker: Background calculation sync failed', error);
-        throw error;
-    }
-}
-
-/**
- * Handle push notifications (for future features)
- */
-self.addEventListener('push', (event) => {
-    console.log('Service Worker: Push notification received');
-    
-    const options = {
-        body: event.data ? event.data.text() : 'New notification from Calorie Calculator',
-        icon: './icons/icon-192x192.png',
-        badge: './icons/icon-32x32.png',
-        vibrate: [200, 100, 200],
-        tag: 'calorie-calculator',
-        actions: [
-            {
-                action: 'open',
-                title: 'Open Calculator',
-                icon: './icons/icon-32x32.png'
-            }
-        ]
-    };
-    
-    event.waitUntil(
-        self.registration.showNotification('Calorie Calculator', options)
-    );
-});
-
-/**
- * Handle notification clicks
- */
-self.addEventListener('notificationclick', (event) => {
-    console.log('Service Worker: Notification clicked');
-    
-    event.notification.close();
-    
-    if (event.action === 'open' || !event.action) {
-        event.waitUntil(
-            clients.openWindow('./index.html')
-        );
-    }
-});
-
-/**
- * Handle messages from main app
- */
-self.addEventListener('message', (event) => {
-    console.log('Service Worker: Message received', event.data);
-    
-    if (event.data && event.data.type === 'SKIP_WAITING') {
-        self.skipWaiting();
-    }
-    
-    if (event.data && event.data.type === 'CACHE_URLS') {
-        event.waitUntil(
-            caches.open(DYNAMIC_CACHE_NAME)
-                .then(cache => cache.addAll(event.data.payload))
-        );
-    }
-});
-
-/**
- * Periodic background sync (for browsers that support it)
- */
-self.addEventListener('periodicsync', (event) => {
-    console.log('Service Worker: Periodic sync triggered', event.tag);
-    
-    if (event.tag === 'daily-tips') {
-        event.waitUntil(handleDailyTipsSync());
-    }
-});
-
-/**
- * Handle daily tips sync
- */
-async function handleDailyTipsSync() {
-    try {
-        console.log('Service Worker: Handling daily tips sync');
-        // This could fetch daily health tips or reminders
-        // For now, just log the capability
-        return Promise.resolve();
-    } catch (error) {
-        console.error('Service Worker: Daily tips sync failed', error);
-        throw error;
-    }
-}
-
+/**
+ * Service Worker for Offline Calorie Calculator PWA
+ * Provides offline functionality and app-like experience
+ */
+
+// Bump on every release. A worker with a new version precaches into its own
+// caches and waits until the app asks it to take over (SKIP_WAITING).
+const VERSION = 'v3';
+const STATIC_CACHE_NAME = `static-resources-${VERSION}`;
+const DYNAMIC_CACHE_NAME = `dynamic-resources-${VERSION}`;
+
+// Served to navigations that fail while offline and are not cached
+const OFFLINE_PAGE = './offline.html';
+
+// Static resources to cache immediately. Every icon in manifest.json must be
+// listed here; the install fails otherwise (see checkManifest).
+const STATIC_RESOURCES = [
+    './',
+    './index.html',
+    OFFLINE_PAGE,
+    './styles.css',
+    './script.js',
+    './core.mjs',
+    './manifest.json',
+    './locales/es.json',
+    './locales/ar.json',
+    './data/foods.json',
+    './icons/icon-16x16.png',
+    './icons/icon-32x32.png',
+    './icons/icon-48x48.png',
+    './icons/icon-72x72.png',
+    './icons/icon-96x96.png',
+    './icons/icon-128x128.png',
+    './icons/icon-144x144.png',
+    './icons/icon-152x152.png',
+    './icons/icon-180x180.png',
+    './icons/icon-192x192.png',
+    './icons/icon-384x384.png',
+    './icons/icon-512x512.png'
+];
+
+// Resources to cache on demand
+const CACHEABLE_RESPONSES = [
+    'text/html',
+    'text/css',
+    'text/javascript',
+    'application/javascript',
+    'application/json',
+    'image/png',
+    'image/jpg',
+    'image/jpeg',
+    'image/gif',
+    'image/svg+xml',
+    'image/webp'
+];
+
+/**
+ * Install event - cache static resources. A failed install is rethrown so
+ * the browser discards this worker and keeps the current one. The new
+ * worker then waits: the app offers the update and sends SKIP_WAITING.
+ */
+self.addEventListener('install', (event) => {
+    console.log('Service Worker: Installing...');
+    
+    event.waitUntil(
+        caches.open(STATIC_CACHE_NAME)
+            .then(async (cache) => {
+                console.log('Service Worker: Caching static resources');
+                // Bypass the HTTP cache so a release never precaches old files
+                await cache.addAll(STATIC_RESOURCES.map(url => new Request(url, { cache: 'reload' })));
+                await checkManifest(cache);
+                console.log('Service Worker: Static resources cached successfully');
+            })
+            .catch((error) => {
+                console.error('Service Worker: Failed to cache static resources', error);
+                throw error;
+            })
+    );
+});
+
+/**
+ * Check the precache list against manifest.json: every app and shortcut icon
+ * must be precached so the installed app shows its icons offline
+ */
+async function checkManifest(cache) {
+    const response = await cache.match('./manifest.json');
+    const manifest = await response.json();
+    // manifest.json sits next to this worker, so both resolve paths alike
+    const precached = new Set(STATIC_RESOURCES.map(url => new URL(url, self.location).href));
+    const icons = [
+        ...(manifest.icons || []),
+        ...(manifest.shortcuts || []).flatMap(shortcut => shortcut.icons || [])
+    ];
+    const missing = [...new Set(icons
+        .map(icon => new URL(icon.src, self.location).href)
+        .filter(url => !precached.has(url)))];
+    
+    if (missing.length > 0) {
+        throw new Error(`Icons in manifest.json are not precached: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Activate event - clean up old caches
+ */
+self.addEventListener('activate', (event) => {
+    console.log('Service Worker: Activating...');
+    
+    event.waitUntil(
+        caches.keys()
+            .then((cacheNames) => {
+                return Promise.all(
+                    cacheNames.map((cacheName) => {
+                        // Delete old cache versions
+                        if (cacheName !== STATIC_CACHE_NAME && 
+                            cacheName !== DYNAMIC_CACHE_NAME) {
+                            console.log('Service Worker: Deleting old cache', cacheName);
+                            return caches.delete(cacheName);
+                        }
+                    })
+                );
+            })
+            .then(() => {
+                console.log('Service Worker: Activated successfully');
+                // Take control of all pages immediately
+                return self.clients.claim();
+            })
+            .catch((error) => {
+                console.error('Service Worker: Activation failed', error);
+            })
+    );
+});
+
+/**
+ * Fetch event - implement caching strategies
+ */
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    
+    // Skip non-GET requests
+    if (request.method !== 'GET') {
+        return;
+    }
+    
+    // Skip chrome-extension requests
+    if (url.protocol === 'chrome-extension:') {
+        return;
+    }
+    
+    // Handle different types of requests
+    if (request.mode === 'navigate' || isStaticResource(request)) {
+        // Static resources: Cache First strategy
+        event.respondWith(cacheFirst(request));
+    } else if (isAPIRequest(request)) {
+        // API requests: Network First strategy (though we don't have external APIs)
+        event.respondWith(networkFirst(request));
+    } else {
+        // Other resources: Stale While Revalidate strategy
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Check if request is for a static resource
+ */
+function isStaticResource(request) {
+    const url = new URL(request.url);
+    const pathname = url.pathname;
+    
+    return pathname.endsWith('.html') ||
+           pathname.endsWith('.css') ||
+           pathname.endsWith('.js') ||
+           pathname.endsWith('.png') ||
+           pathname.endsWith('.jpg') ||
+           pathname.endsWith('.jpeg') ||
+           pathname.endsWith('.gif') ||
+           pathname.endsWith('.svg') ||
+           pathname.endsWith('.webp') ||
+           pathname.endsWith('.ico') ||
+           pathname.endsWith('.json') ||
+           pathname === '/' ||
+           pathname === '/index.html';
+}
+
+/**
+ * Check if request is for an API endpoint
+ */
+function isAPIRequest(request) {
+    const url = new URL(request.url);
+    return url.pathname.startsWith('/api/') || 
+           url.pathname.includes('api');
+}
+
+/**
+ * Check if response is cacheable
+ */
+function isCacheableResponse(response) {
+    return response.status === 200 && 
+           CACHEABLE_RESPONSES.some(type => 
+               response.headers.get('content-type')?.includes(type)
+           );
+}
+
+/**
+ * Look a request up in this version's caches only, so a worker never serves
+ * files precached by a newer one that is still waiting
+ */
+async function matchOwnCaches(request, options) {
+    for (const cacheName of [STATIC_CACHE_NAME, DYNAMIC_CACHE_NAME]) {
+        const cache = await caches.open(cacheName);
+        const response = await cache.match(request, options);
+        if (response) {
+            return response;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Cache First strategy - serve from cache, fallback to network
+ */
+async function cacheFirst(request) {
+    try {
+        // Try to get from cache first. Navigations carry launch parameters
+        // (?data=, ?reset=true, share target) but always load the same page.
+        const cachedResponse = await matchOwnCaches(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cachedResponse) {
+            console.log('Service Worker: Serving from cache', request.url);
+            return cachedResponse;
+        }
+        
+        // If not in cache, fetch from network
+        console.log('Service Worker: Fetching from network', request.url);
+        const networkResponse = await fetch(request);
+        
+        // Cache the response if it's successful
+        if (isCacheableResponse(networkResponse)) {
+            const cache = await caches.open(STATIC_CACHE_NAME);
+            cache.put(request, networkResponse.clone());
+        }
+        
+        return networkResponse;
+    } catch (error) {
+        console.error('Service Worker: Cache First failed', error);
+        
+        // If both cache and network fail, return offline page or fallback
+        if (request.mode === 'navigate' || request.headers.get('accept')?.includes('text/html')) {
+            const offlinePage = await matchOwnCaches(OFFLINE_PAGE);
+            return offlinePage ||
+                   new Response('Application is offline', {
+                       status: 503,
+                       statusText: 'Service Unavailable',
+                       headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+                   });
+        }
+        
+        throw error;
+    }
+}
+
+/**
+ * Network First strategy - try network first, fallback to cache
+ */
+async function networkFirst(request) {
+    try {
+        console.log('Service Worker: Trying network first', request.url);
+        const networkResponse = await fetch(request);
+        
+        // Cache successful responses
+        if (isCacheableResponse(networkResponse)) {
+            const cache = await caches.open(DYNAMIC_CACHE_NAME);
+            cache.put(request, networkResponse.clone());
+        }
+        
+        return networkResponse;
+    } catch (error) {
+        console.log('Service Worker: Network failed, trying cache', request.url);
+        
+        // Fallback to cache
+        const cachedResponse = await matchOwnCaches(request);
+        if (cachedResponse) {
+            return cachedResponse;
+        }
+        
+        console.error('Service Worker: Network First failed completely', error);
+        throw error;
+    }
+}
+
+/**
+ * Stale While Revalidate strategy - serve from cache, update in background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(DYNAMIC_CACHE_NAME);
+    const cachedResponse = await matchOwnCaches(request);
+    
+    // Fetch fresh version in background
+    const fetchPromise = fetch(request)
+        .then((networkResponse) => {
+            if (isCacheableResponse(networkResponse)) {
+                cache.put(request, networkResponse.clone());
+            }
+            return networkResponse;
+        })
+        .catch((error) => {
+            console.error('Service Worker: Background fetch failed', error);
+        });
+    
+    // Return cached version immediately if available
+    if (cachedResponse) {
+        console.log('Service Worker: Serving stale from cache', request.url);
+        return cachedResponse;
+    }
+    
+    // If no cached version, wait for network
+    console.log('Service Worker: No cache, waiting for network', request.url);
+    return fetchPromise;
+}
+
+/**
+ * Handle background sync: the app registers the tag whenever calculations
+ * or daily log entries wait in its outbox
+ */
+self.addEventListener('sync', (event) => {
+    console.log('Service Worker: Background sync triggered', event.tag);
+    
+    if (event.tag === 'background-calculation') {
+        event.waitUntil(handleBackgroundCalculation());
+    }
+});
+
+// Outbox sync. The protocol is described with Sync in core.mjs, which a
+// classic service worker cannot import; the app owns the database schema.
+const DATABASE_NAME = 'calorie-calculator';
+const SYNC_STORES = ['history', 'dailyLog'];
+const SYNC_BATCH_SIZE = 100;
+
+let outboxSync = null;
+
+/**
+ * Handle background calculation sync: send the outbox to the sync server.
+ * Runs once at a time; a second request joins the run in progress.
+ */
+function handleBackgroundCalculation() {
+    if (!outboxSync) {
+        console.log('Service Worker: Handling background calculation sync');
+        outboxSync = syncOutbox().finally(() => {
+            outboxSync = null;
+        });
+    }
+    return outboxSync;
+}
+
+/**
+ * Open the app's database as it is, or resolve null before the app has
+ * created it (or its outbox)
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME);
+        // Creating or upgrading the database is left to the app
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('outbox')) {
+                db.close();
+                resolve(null);
+                return;
+            }
+            // Let the app upgrade the database while a sync is running
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => {
+            if (request.error && request.error.name === 'AbortError') {
+                resolve(null);
+            } else {
+                reject(request.error);
+            }
+        };
+    });
+}
+
+/**
+ * Run a request against a store and resolve with its result once the
+ * transaction completes
+ */
+function runInStore(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Send every queued change in batches, oldest first, then record the
+ * outcome for the app
+ */
+async function syncOutbox() {
+    const db = await openDatabase();
+    if (!db) {
+        return;
+    }
+    
+    try {
+        const config = await runInStore(db, 'sync', 'readonly', store => store.get('config'));
+        if (!config) {
+            return;
+        }
+        
+        const outcome = { conflicts: 0, updated: false };
+        await saveSyncStatus(db, { state: 'syncing' }, outcome);
+        try {
+            for (;;) {
+                const queued = await runInStore(db, 'outbox', 'readonly', store => store.getAll());
+                const changes = queued.sort((a, b) => a.updatedAt - b.updatedAt).slice(0, SYNC_BATCH_SIZE);
+                if (changes.length === 0) {
+                    break;
+                }
+                
+                const results = await sendChanges(config, changes);
+                const settled = await applySyncResults(db, changes, results, outcome);
+                // Stop rather than resend a batch the server did not answer for
+                if (settled === 0) {
+                    break;
+                }
+            }
+            await saveSyncStatus(db, { state: 'synced', lastSyncAt: Date.now(), conflicts: outcome.conflicts, error: null }, outcome);
+        } catch (error) {
+            console.error('Service Worker: Background calculation sync failed', error);
+            await saveSyncStatus(db, {
+                state: 'error',
+                conflicts: outcome.conflicts,
+                error: { code: error.code || 'network', status: error.status || null }
+            }, outcome);
+            // Background Sync tries again later; a rejected token or request
+            // would only fail again
+            if (error.retry !== false) {
+                throw error;
+            }
+        }
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Error from a sync run: code is 'network', 'unauthorized', 'http' or
+ * 'response'
+ */
+function syncError(code, { status = null, retry = true } = {}) {
+    const error = new Error(`Sync failed: ${code}${status ? ` (${status})` : ''}`);
+    return Object.assign(error, { code, status, retry });
+}
+
+/**
+ * POST a batch of changes and return the server's results
+ */
+async function sendChanges(config, changes) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) {
+        headers.Authorization = `Bearer ${config.token}`;
+    }
+    
+    let response;
+    try {
+        response = await fetch(config.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ device: config.deviceId, changes }),
+            cache: 'no-store'
+        });
+    } catch (error) {
+        throw syncError('network');
+    }
+    
+    if (response.status === 401 || response.status === 403) {
+        throw syncError('unauthorized', { status: response.status, retry: false });
+    }
+    if (!response.ok) {
+        throw syncError('http', { status: response.status, retry: response.status >= 500 || response.status === 429 });
+    }
+    
+    try {
+        const body = await response.json();
+        if (!Array.isArray(body.results)) {
+            throw new TypeError('No results');
+        }
+        return body.results;
+    } catch (error) {
+        throw syncError('response', { retry: false });
+    }
+}
+
+/**
+ * A record from the server under this device's key for it: ids and profile
+ * ids are numbered per device, so the server's copy may carry another's
+ */
+function withLocalKey(record, keyPath, key) {
+    if (!Array.isArray(keyPath)) {
+        return { ...record, [keyPath]: key };
+    }
+    const local = { ...record };
+    keyPath.forEach((path, index) => {
+        local[path] = key[index];
+    });
+    return local;
+}
+
+/**
+ * Remove answered changes from the outbox and, for conflicts, store the
+ * server's newer version locally. A change edited again while it was being
+ * sent stays queued. Returns the number of changes answered.
+ */
+function applySyncResults(db, changes, results, outcome) {
+    const sent = new Map(changes.map(change => [change.id, change]));
+    const transaction = db.transaction(['outbox', ...SYNC_STORES], 'readwrite');
+    const outbox = transaction.objectStore('outbox');
+    let settled = 0;
+    
+    results.forEach((result) => {
+        const change = sent.get(result.id);
+        if (!change || (result.status !== 'ok' && result.status !== 'conflict')) {
+            return;
+        }
+        settled++;
+        
+        outbox.get(change.id).onsuccess = (event) => {
+            const queued = event.target.result;
+            if (queued && queued.updatedAt !== change.updatedAt) {
+                return;
+            }
+            outbox.delete(change.id);
+            
+            if (result.status === 'conflict' && result.change && SYNC_STORES.includes(change.store)) {
+                const store = transaction.objectStore(change.store);
+                if (result.change.op === 'delete') {
+                    store.delete(change.key);
+                } else {
+                    store.put(withLocalKey(result.change.record, store.keyPath, change.key));
+                }
+                outcome.conflicts++;
+                outcome.updated = true;
+            }
+        };
+    });
+    
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve(settled);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Record the sync status and tell open windows, including whether records
+ * were replaced by the server's versions
+ */
+async function saveSyncStatus(db, changes, outcome) {
+    const previous = await runInStore(db, 'sync', 'readonly', store => store.get('status'));
+    const status = { ...previous, ...changes, key: 'status' };
+    await runInStore(db, 'sync', 'readwrite', store => store.put(status));
+    
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'SYNC_STATUS', status, updated: outcome.updated }));
+}
+
+/**
+ * Handle push notifications (for future features)
+ */
+self.addEventListener('push', (event) => {
+    console.log('Service Worker: Push notification received');
+    
+    const options = {
+        body: event.data ? event.data.text() : 'New notification from Calorie Calculator',
+        icon: './icons/icon-192x192.png',
+        badge: './icons/icon-32x32.png',
+        vibrate: [200, 100, 200],
+        tag: 'calorie-calculator',
+        actions: [
+            {
+                action: 'open',
+                title: 'Open Calculator',
+                icon: './icons/icon-32x32.png'
+            }
+        ]
+    };
+    
+    event.waitUntil(
+        self.registration.showNotification('Calorie Calculator', options)
+    );
+});
+
+/**
+ * Handle notification clicks
+ */
+self.addEventListener('notificationclick', (event) => {
+    console.log('Service Worker: Notification clicked');
+    
+    event.notification.close();
+    
+    if (event.action === 'open' || !event.action) {
+        event.waitUntil(
+            clients.openWindow('./index.html')
+        );
+    }
+});
+
+/**
+ * Handle messages from main app
+ */
+self.addEventListener('message', (event) => {
+    console.log('Service Worker: Message received', event.data);
+    
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+    
+    // The app asks directly where Background Sync is not supported
+    if (event.data && event.data.type === 'SYNC_OUTBOX') {
+        event.waitUntil(handleBackgroundCalculation());
+    }
+    
+    if (event.data && event.data.type === 'CACHE_URLS') {
+        event.waitUntil(
+            caches.open(DYNAMIC_CACHE_NAME)
+                .then(cache => cache.addAll(event.data.payload))
+        );
+    }
+});
+
+/**
+ * Periodic background sync (for browsers that support it)
+ */
+self.addEventListener('periodicsync', (event) => {
+    console.log('Service Worker: Periodic sync triggered', event.tag);
+    
+    if (event.tag === 'daily-tips') {
+        event.waitUntil(handleDailyTipsSync());
+    }
+});
+
+/**
+ * Handle daily tips sync
+ */
+async function handleDailyTipsSync() {
+    try {
+        console.log('Service Worker: Handling daily tips sync');
+        // This could fetch daily health tips or reminders
+        // For now, just log the capability
+        return Promise.resolve();
+    } catch (error) {
+        console.error('Service Worker: Daily tips sync failed', error);
+        throw error;
+    }
+}
+
 console.log('Service Worker: Script loaded successfully'); 
\ No newline at end of file
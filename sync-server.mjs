@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * sync-server: a mock of the self-hosted sync endpoint, for trying out and
+ * testing the app's sync locally. Records are kept in memory.
+ *
+ *   sync-server --port 8787 --token secret
+ *
+ * Then set the app's server address to http://localhost:8787/sync. The
+ * protocol is described with Sync in core.mjs; GET on the same path lists
+ * what has been stored.
+ */
+
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+import { Sync } from './core.mjs';
+
+const USAGE = `Usage: sync-server [options]
+
+  --port <number>         Port to listen on (default 8787)
+  --path <path>           Endpoint path (default /sync)
+  --token <token>         Require "Authorization: Bearer <token>"
+  --delay <ms>            Wait before answering, to watch the app sync
+  -h, --help              Show this help
+`;
+
+const OPTIONS = {
+    port: { type: 'string', default: '8787' },
+    path: { type: 'string', default: '/sync' },
+    token: { type: 'string' },
+    delay: { type: 'string', default: '0' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Error answered with an HTTP status
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ===== STORAGE =====
+// Latest change per record, whichever device sent it: { op, record, updatedAt }
+const records = new Map();
+
+/**
+ * Apply one change unless the stored version is newer, in which case the
+ * stored version is returned as a conflict for the app to keep instead.
+ * Records are keyed by change id, built from the record's syncId rather
+ * than its local key, so only edits to the same record meet here.
+ */
+const applyChange = (change) => {
+    const stored = records.get(change.id);
+    if (!Sync.wins(change, stored)) {
+        return { id: change.id, status: 'conflict', change: stored };
+    }
+    records.set(change.id, { op: change.op, record: change.record, updatedAt: change.updatedAt });
+    return { id: change.id, status: 'ok' };
+};
+
+/**
+ * Check a request body against the protocol
+ */
+const readChanges = (body) => {
+    if (!body || typeof body.device !== 'string' || !body.device || !Array.isArray(body.changes)) {
+        throw new HttpError(400, 'Expected { device, changes: [...] }');
+    }
+    if (body.changes.length > Sync.MAX_BATCH) {
+        throw new HttpError(413, `At most ${Sync.MAX_BATCH} changes per request`);
+    }
+    body.changes.forEach(change => {
+        const valid = change &&
+            typeof change.id === 'string' &&
+            Object.hasOwn(Sync.STORES, change.store) &&
+            (change.op === 'put' || change.op === 'delete') &&
+            Number.isFinite(change.updatedAt);
+        if (!valid) {
+            throw new HttpError(400, `Malformed change ${JSON.stringify(change && change.id)}`);
+        }
+    });
+    return body.changes;
+};
+
+// ===== HTTP =====
+const readBody = (request) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new HttpError(413, 'Request body too large'));
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+            reject(new HttpError(400, 'Request body is not JSON'));
+        }
+    });
+    request.on('error', reject);
+});
+
+const send = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+};
+
+const handle = async (request, response, options) => {
+    // The app runs on another origin
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    response.setHeader('Vary', 'Origin');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (new URL(request.url, 'http://localhost').pathname !== options.path) {
+        throw new HttpError(404, 'Not found');
+    }
+    if (options.token && request.headers.authorization !== `Bearer ${options.token}`) {
+        throw new HttpError(401, 'Missing or wrong access token');
+    }
+
+    if (request.method === 'GET') {
+        send(response, 200, { records: Object.fromEntries(records) });
+        return;
+    }
+    if (request.method !== 'POST') {
+        throw new HttpError(405, 'Use POST');
+    }
+
+    const body = await readBody(request);
+    const results = readChanges(body).map(change => applyChange(change));
+    if (options.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, options.delay));
+    }
+    const conflicts = results.filter(result => result.status === 'conflict').length;
+    console.log(`${new Date().toISOString()} ${body.device}: ${results.length - conflicts} stored, ${conflicts} conflicts`);
+    send(response, 200, { results });
+};
+
+// ===== MAIN =====
+const main = () => {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    const port = Number(values.port);
+    const delay = Number(values.delay);
+    if (positionals.length > 0 || !Number.isInteger(port) || port < 0 || port > 65535 || !(delay >= 0)) {
+        process.stderr.write(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    const options = { path: values.path, token: values.token, delay };
+    const server = createServer((request, response) => {
+        handle(request, response, options).catch((error) => {
+            if (!(error instanceof HttpError)) {
+                console.error(error);
+            }
+            send(response, error.status || 500, { error: error.message });
+        });
+    });
+    server.listen(port, () => {
+        console.log(`sync-server: listening on http://localhost:${server.address().port}${options.path}`);
+    });
+};
+
+main();
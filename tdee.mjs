@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/**
+ * tdee: the calorie calculator on the command line, using the same core as
+ * the PWA
+ *
+ *   tdee --age 30 --sex male --height 180cm --weight 80kg --activity moderate
+ *   tdee --csv people.csv --json
+ *   tdee --csv - < people.csv
+ *
+ * CSV batches use the app's export columns (age, gender, height_cm or
+ * height_ft and height_in, weight_kg or weight_lb, activity_level, ...), so
+ * a history export can be recalculated as is.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+    Utils,
+    Units,
+    Validation,
+    Equations,
+    Macros,
+    Activity,
+    Calculator,
+    Guardrails,
+    CSV,
+    DataFormat
+} from './core.mjs';
+
+const USAGE = `Usage: tdee [options]
+
+Single calculation:
+  --age <years>           Age in years
+  --sex <sex>             male, female or other
+  --calculate-as <sex>    With --sex other: male, female or range (default)
+  --height <length>       e.g. 180cm, 5ft11in, 5'11" or 71in
+  --weight <mass>         e.g. 80kg, 176lb or 12st8lb
+  --activity <level>      sedentary, light, moderate, very, extra or a
+                          multiplier between ${Activity.MIN_MULTIPLIER} and ${Activity.MAX_MULTIPLIER}
+  --body-fat <percent>    Enables lean-mass equations
+  --life-stage <stage>    e.g. pregnant-2 or lactating-early
+  --equation <id>         ${Equations.list.map(equation => equation.id).join(', ')}
+
+Batch:
+  --csv <file>            Calculate every row of a CSV file ("-" reads stdin)
+
+Output:
+  --energy <unit>         kcal (default) or kJ
+  --macros <preset>       ${Object.keys(Macros.presets).join(', ')}
+  --json                  Print JSON instead of a table
+  -h, --help              Show this help
+`;
+
+const OPTIONS = {
+    age: { type: 'string' },
+    sex: { type: 'string' },
+    gender: { type: 'string' },
+    'calculate-as': { type: 'string' },
+    height: { type: 'string' },
+    weight: { type: 'string' },
+    activity: { type: 'string' },
+    'body-fat': { type: 'string' },
+    'life-stage': { type: 'string' },
+    equation: { type: 'string' },
+    csv: { type: 'string' },
+    energy: { type: 'string', default: 'kcal' },
+    macros: { type: 'string', default: Macros.DEFAULT_SETTINGS.preset },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Error in the command line itself (exit code 2)
+ */
+class UsageError extends Error {}
+
+// ===== INPUT PARSING =====
+const Input = {
+    /**
+     * Read a height such as "180cm", "180", "5ft11in", "5'11\"" or "71in"
+     * into form fields and its unit
+     */
+    parseHeight: (text) => {
+        const value = String(text).trim().toLowerCase().replace(/\s+/g, '');
+        let match = value.match(/^(\d+(?:\.\d+)?)(?:cm)?$/);
+        if (match) {
+            return { unit: 'cm', fields: { height: match[1] } };
+        }
+        match = value.match(/^(\d+)(?:ft|')(?:(\d+(?:\.\d+)?)(?:in|")?)?$/);
+        if (match) {
+            return { unit: 'ft', fields: { heightFeet: match[1], heightInches: match[2] || '0' } };
+        }
+        match = value.match(/^(\d+(?:\.\d+)?)(?:in|")$/);
+        if (match) {
+            const inches = Math.round(parseFloat(match[1]));
+            return { unit: 'ft', fields: { heightFeet: String(Math.floor(inches / 12)), heightInches: String(inches % 12) } };
+        }
+        throw new UsageError(`Cannot read height "${text}". Use e.g. 180cm or 5ft11in.`);
+    },
+
+    /**
+     * Read a weight such as "80kg", "80", "176lb" or "12st8lb" into form
+     * fields and its unit
+     */
+    parseWeight: (text) => {
+        const value = String(text).trim().toLowerCase().replace(/\s+/g, '');
+        let match = value.match(/^(\d+(?:\.\d+)?)(?:kg)?$/);
+        if (match) {
+            return { unit: 'kg', fields: { weight: match[1], weightPounds: '' } };
+        }
+        match = value.match(/^(\d+(?:\.\d+)?)(?:lbs?)$/);
+        if (match) {
+            return { unit: 'lb', fields: { weight: match[1], weightPounds: '' } };
+        }
+        match = value.match(/^(\d+)st(?:(\d+(?:\.\d+)?)(?:lbs?)?)?$/);
+        if (match) {
+            return { unit: 'st', fields: { weight: match[1], weightPounds: match[2] || '0' } };
+        }
+        throw new UsageError(`Cannot read weight "${text}". Use e.g. 80kg, 176lb or 12st8lb.`);
+    },
+
+    /**
+     * Build form data and units from command-line options, as the PWA's
+     * form would
+     */
+    fromOptions: (options) => {
+        const height = options.height ? Input.parseHeight(options.height) : { unit: 'cm', fields: {} };
+        const weight = options.weight ? Input.parseWeight(options.weight) : { unit: 'kg', fields: {} };
+        const record = {
+            age: options.age,
+            gender: options.sex || options.gender,
+            activity_level: options.activity,
+            calculate_as: options['calculate-as'],
+            life_stage: options['life-stage'],
+            equation: options.equation,
+            body_fat: options['body-fat']
+        };
+        const { data } = DataFormat.fromRecord(record);
+
+        return {
+            data: {
+                ...data,
+                height: '',
+                heightFeet: '',
+                heightInches: '',
+                ...height.fields,
+                ...weight.fields
+            },
+            units: Units.normalize({ weight: weight.unit, height: height.unit })
+        };
+    }
+};
+
+// ===== CALCULATION =====
+/**
+ * Validate and calculate one input. Returns { data, units, results, errors,
+ * warnings }; warnings do not stop the calculation.
+ */
+const evaluate = ({ data, units }, macroRules) => {
+    const issues = Validation.validateForm(data, units);
+    const messages = (severity) => issues
+        .filter(issue => issue.severity === severity)
+        .map(issue => `${issue.field}: ${Validation.describe(issue)}`);
+    const errors = messages('error');
+    const warnings = messages('warning');
+    let results = null;
+    if (errors.length === 0) {
+        try {
+            results = Calculator.calculate({ ...data, macroRules }, { units });
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    return { data, units, results, errors, warnings };
+};
+
+// ===== OUTPUT =====
+const Output = {
+    /**
+     * Lay out rows of cells as a plain-text table, numbers right-aligned
+     */
+    table: (rows) => {
+        const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => String(row[column]).length)));
+        return rows.map(row => row.map((cell, column) => {
+            const text = String(cell);
+            return typeof cell === 'number' ? text.padStart(widths[column]) : text.padEnd(widths[column]);
+        }).join('  ').trimEnd()).join('\n') + '\n';
+    },
+
+    /**
+     * One calculation as label/value lines
+     */
+    single: (results, energy) => {
+        const amount = (kcal) => `${Utils.formatNumber(Units.fromKcal(kcal, energy))} ${energy}/day`;
+        const { goals, guardrails, macros } = results;
+        const goal = (group, level) => (guardrails && guardrails.checks[group][level].status === 'hidden'
+            ? 'hidden'
+            : amount(goals[group][level]));
+        const split = macros.maintenance;
+        const rows = [
+            ['Equation', Equations.get(results.equation).name],
+            ['BMR', amount(results.bmr)],
+            ['TDEE', amount(results.tdee)],
+            ['Activity multiplier', `×${results.activity.multiplier.toFixed(2)}`],
+            ['Mild weight loss', goal('loss', 'mild')],
+            ['Moderate weight loss', goal('loss', 'moderate')],
+            ['Aggressive weight loss', goal('loss', 'aggressive')],
+            ['Mild weight gain', goal('gain', 'mild')],
+            ['Moderate weight gain', goal('gain', 'moderate')],
+            ['Macros', `protein ${split.protein} g, fat ${split.fat} g, carbs ${split.carbs} g`]
+        ];
+        split.warnings.forEach(warning => rows.push(['Warning', Macros.describeWarning(warning)]));
+        // Why goals read "hidden", once per reason
+        if (guardrails) {
+            new Set([guardrails.blocker, guardrails.gainBlocker]
+                .filter(Boolean)
+                .map(reason => Guardrails.describe(reason, amount)))
+                .forEach(text => rows.push(['Note', text]));
+        }
+        results.notices.forEach(notice => rows.push(['Notice', Calculator.describeNotice(notice, amount)]));
+        if (results.range) {
+            rows.splice(3, 0, ['TDEE range', `${amount(results.range.tdee.low)} to ${amount(results.range.tdee.high)}`]);
+        }
+        if (results.bodyComposition) {
+            rows.push(['Lean body mass', `${Utils.formatNumber(results.bodyComposition.leanMass, 1)} kg`]);
+        }
+        if (results.metrics) {
+            const { bmi, healthyRange } = results.metrics;
+            rows.push(['BMI', `${Utils.formatNumber(bmi.value, 1)}${bmi.category ? ` (${bmi.category})` : ''}`]);
+            if (healthyRange) {
+                rows.push(['Healthy weight', `${Utils.formatNumber(healthyRange.low, 1)} to ${Utils.formatNumber(healthyRange.high, 1)} kg`]);
+            }
+        }
+        return Output.table(rows);
+    },
+
+    /**
+     * The calculator's results for JSON, with every energy converted to the
+     * chosen unit and that unit given as energyUnit
+     */
+    json: (results, energy) => {
+        const inEnergy = (object, keys) => ({
+            ...object,
+            ...Object.fromEntries(keys
+                .filter(key => typeof object[key] === 'number')
+                .map(key => [key, Units.fromKcal(object[key], energy)]))
+        });
+        const byLevel = (groups, convert) => Object.fromEntries(Object.entries(groups).map(([group, levels]) => [
+            group,
+            Object.fromEntries(Object.entries(levels).map(([level, value]) => [level, convert(value)]))
+        ]));
+        const { range, guardrails, activity } = results;
+        return {
+            energyUnit: energy,
+            ...inEnergy(results, ['bmr', 'tdee', 'targetTdee']),
+            range: range && { bmr: inEnergy(range.bmr, ['low', 'high']), tdee: inEnergy(range.tdee, ['low', 'high']) },
+            goals: byLevel(results.goals, kcal => Units.fromKcal(kcal, energy)),
+            guardrails: guardrails && {
+                ...guardrails,
+                checks: byLevel(guardrails.checks, check => ({
+                    ...inEnergy(check, ['requested']),
+                    reasons: check.reasons.map(reason => inEnergy(reason, ['calories', 'bmr']))
+                }))
+            },
+            comparison: results.comparison.map(row => inEnergy(row, ['bmr', 'tdee'])),
+            activity: { ...inEnergy(activity, ['extraCalories']), breakdown: inEnergy(activity.breakdown, Object.keys(activity.breakdown)) },
+            notices: results.notices.map(notice => inEnergy(notice, ['calories']))
+        };
+    },
+
+    /**
+     * A batch as one line per row, with errors, warnings or notices in the
+     * last column
+     */
+    batch: (entries, energy) => {
+        const inEnergy = (kcal) => Math.round(Units.fromKcal(kcal, energy));
+        const amount = (kcal) => `${Utils.formatNumber(inEnergy(kcal))} ${energy}/day`;
+        const header = ['row', 'age', 'gender', 'height_cm', 'weight_kg', 'equation', `bmr_${energy}`, `tdee_${energy}`, 'status'];
+        const rows = entries.map(({ rowNumber, results, errors, warnings }) => (results
+            ? [
+                rowNumber,
+                results.inputs.age,
+                results.inputs.gender,
+                Math.round(results.inputs.height * 10) / 10,
+                Math.round(results.inputs.weight * 10) / 10,
+                results.equation,
+                inEnergy(results.bmr),
+                inEnergy(results.tdee),
+                [...warnings, ...results.notices.map(notice => Calculator.describeNotice(notice, amount))].join('; ') || 'ok'
+            ]
+            : [rowNumber, '', '', '', '', '', '', '', errors.join('; ')]));
+        return Output.table([header, ...rows]);
+    }
+};
+
+// ===== MAIN =====
+const main = () => {
+    const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (positionals.length > 0) {
+        throw new UsageError(`Unexpected argument "${positionals[0]}"`);
+    }
+
+    const energy = Units.normalize({ energy: options.energy }).energy;
+    if (energy !== options.energy) {
+        throw new UsageError(`Unknown energy unit "${options.energy}". Use kcal or kJ.`);
+    }
+    if (!Macros.presets[options.macros]) {
+        throw new UsageError(`Unknown macro preset "${options.macros}"`);
+    }
+    const macroRules = Macros.resolveRules({ ...Macros.DEFAULT_SETTINGS, preset: options.macros });
+
+    if (options.csv !== undefined) {
+        const text = readFileSync(options.csv === '-' ? 0 : options.csv, 'utf8');
+        const entries = CSV.parseObjects(text).map((record, index) => {
+            const { data, units, errors } = DataFormat.fromRecord(record);
+            const entry = errors.length > 0
+                ? { data, units, results: null, errors: errors.map(Validation.describe), warnings: [] }
+                : evaluate({ data, units }, macroRules);
+            // Row numbers count the header line, as in the app's import preview
+            return { rowNumber: index + 2, ...entry };
+        });
+
+        process.stdout.write(options.json
+            ? JSON.stringify(entries.map(({ rowNumber, results, errors, warnings }) => ({
+                row: rowNumber,
+                results: results && Output.json(results, energy),
+                errors,
+                warnings
+            })), null, 2) + '\n'
+            : Output.batch(entries, energy));
+        return entries.some(entry => entry.errors.length > 0) ? 1 : 0;
+    }
+
+    const { results, errors, warnings } = evaluate(Input.fromOptions(options), macroRules);
+    warnings.forEach(warning => process.stderr.write(`tdee: warning: ${warning}\n`));
+    if (errors.length > 0) {
+        errors.forEach(error => process.stderr.write(`tdee: ${error}\n`));
+        return 1;
+    }
+    process.stdout.write(options.json
+        ? JSON.stringify(Output.json(results, energy), null, 2) + '\n'
+        : Output.single(results, energy));
+    return 0;
+};
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+        process.stderr.write(`tdee: ${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+    } else {
+        process.stderr.write(`tdee: ${error.message}\n`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * Tests for the DOM-free calculator core. Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Utils,
+    Units,
+    Equations,
+    Calculator,
+    AdaptiveTDEE,
+    GoalPlanner,
+    Sync,
+    CSV,
+    DataFormat,
+    LaunchUrl
+} from '../core.mjs';
+
+const METRIC = { weight: 'kg', height: 'cm', energy: 'kcal' };
+const IMPERIAL = { weight: 'lb', height: 'ft', energy: 'kcal' };
+
+// Consecutive date keys
+const dates = (count, start = '2026-09-01') => Array.from({ length: count }, (_, i) => {
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + i);
+    return date.toISOString().slice(0, 10);
+});
+
+describe('Equations', () => {
+    const bmr = (id, inputs) => Equations.get(id).calculate(inputs);
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+    const man = { weight: 80, height: 180, age: 30, gender: 'male' };
+    const woman = { weight: 60, height: 165, age: 40, gender: 'female' };
+    
+    it('match the published formulas', () => {
+        close(bmr('mifflin-st-jeor', man), 1780);
+        close(bmr('mifflin-st-jeor', woman), 1270.25);
+        close(bmr('harris-benedict', man), 1853.632);
+        close(bmr('harris-benedict', woman), 1340.383);
+        close(bmr('katch-mcardle', { leanMass: 60 }), 1666);
+        close(bmr('cunningham', { leanMass: 60 }), 1820);
+        close(bmr('owen', man), 1695);
+        close(bmr('owen', woman), 1225.8);
+    });
+    
+    it('use the WHO/Schofield band for the age', () => {
+        close(bmr('who-schofield', man), 1807);
+        close(bmr('who-schofield', { ...man, age: 25 }), 1903);
+        close(bmr('who-schofield', { ...woman, age: 25 }), 1378);
+        close(bmr('who-schofield', { weight: 16, age: 4, gender: 'male' }), 858.2);
+    });
+    
+    it('take the midpoint of both sexes for other genders', () => {
+        const equation = Equations.get('mifflin-st-jeor');
+        close(Equations.evaluate(equation, { ...man, gender: 'other' }), (1780 + 1780 - 166) / 2);
+    });
+    
+    it('list what is missing for lean-mass equations', () => {
+        assert.deepEqual(Equations.missingInputs(Equations.get('katch-mcardle'), man), ['leanMass']);
+        assert.ok(Equations.isApplicable(Equations.get('katch-mcardle'), { leanMass: 60 }));
+    });
+});
+
+describe('Calculator', () => {
+    it('multiplies BMR by the activity level', () => {
+        const results = Calculator.calculate({ age: '30', gender: 'male', height: '180', weight: '80', activityLevel: '1.55' }, { units: METRIC });
+        assert.equal(results.bmr, 1780);
+        assert.equal(results.tdee, Math.round(1780 * 1.55));
+    });
+    
+    it('gives the same result for the same person in imperial units', () => {
+        const metric = Calculator.calculate({ age: '30', gender: 'male', height: '182.9', weight: '79.8', activityLevel: '1.2' }, { units: METRIC });
+        const imperial = Calculator.calculate({ age: '30', gender: 'male', heightFeet: '6', heightInches: '0', weight: '176', activityLevel: '1.2' }, { units: IMPERIAL });
+        assert.ok(Math.abs(metric.bmr - imperial.bmr) <= 1);
+    });
+});
+
+describe('Units', () => {
+    it('round-trip weights through kg', () => {
+        assert.deepEqual(Units.weightFromKg(Units.weightToKg(176, 'lb'), 'lb'), { weight: '176', weightPounds: '' });
+        assert.deepEqual(Units.weightFromKg(Units.weightToKg(12, 'st', 8), 'st'), { weight: '12', weightPounds: '8' });
+        assert.deepEqual(Units.weightFromKg(Units.weightToKg(82.5, 'kg'), 'kg'), { weight: '82.5', weightPounds: '' });
+    });
+    
+    it('round-trip energy through kJ', () => {
+        assert.equal(Units.fromKcal(1000, 'kJ'), 4184);
+        assert.ok(Math.abs(Units.toKcal(Units.fromKcal(2345, 'kJ'), 'kJ') - 2345) < 1e-9);
+        assert.equal(Units.fromKcal(2345, 'kcal'), 2345);
+    });
+    
+    it('round-trip form data from imperial to metric and back', () => {
+        const typed = { heightFeet: '5', heightInches: '11', weight: '176', weightPounds: '', waist: '32' };
+        const metric = Units.convertFormData(typed, IMPERIAL, METRIC);
+        assert.equal(metric.height, '180.3');
+        assert.equal(metric.weight, '79.8');
+        assert.equal(metric.waist, '81.3');
+        
+        const back = Units.convertFormData(metric, METRIC, IMPERIAL);
+        assert.equal(back.heightFeet, '5');
+        assert.equal(back.heightInches, '11');
+        assert.equal(back.weight, '175.9');
+        assert.equal(back.waist, '32');
+    });
+    
+    it('round heights to whole inches before splitting off feet', () => {
+        assert.deepEqual(Utils.cmToFeetInches(182.8), { feet: 6, inches: 0 });
+    });
+    
+    it('fall back to defaults for unknown units', () => {
+        assert.deepEqual(Units.normalize({ weight: 'stone', energy: 'kJ' }), { weight: 'kg', height: 'cm', energy: 'kJ' });
+    });
+});
+
+describe('CSV export and import', () => {
+    const columns = [...DataFormat.INPUT_COLUMNS, ...DataFormat.resultColumns()];
+    
+    it('reads back what it writes', () => {
+        const form = { age: '41', gender: 'female', heightFeet: '5', heightInches: '6', weight: '150', weightPounds: '', activityLevel: '1.375' };
+        const results = Calculator.calculate(form, { units: IMPERIAL });
+        const entry = { timestamp: Date.UTC(2026, 9, 1, 8), units: IMPERIAL, form, results, note: 'after "holiday", rested' };
+        
+        const [record] = CSV.parseObjects(CSV.stringify(columns, [DataFormat.toRecord(entry)]));
+        const { data, units, timestamp, note, errors } = DataFormat.fromRecord(record);
+        
+        assert.deepEqual(errors, []);
+        assert.deepEqual(units, IMPERIAL);
+        assert.equal(timestamp, entry.timestamp);
+        assert.equal(note, entry.note);
+        assert.equal(data.heightFeet, '5');
+        assert.equal(data.heightInches, '6');
+        assert.equal(data.weight, '150');
+        assert.equal(Calculator.calculate(data, { units }).tdee, results.tdee);
+    });
+    
+    it('writes energy columns in kJ on request', () => {
+        const results = Calculator.calculate({ age: '30', gender: 'male', height: '180', weight: '80', activityLevel: '1.55' }, { units: METRIC });
+        const record = DataFormat.toRecord({ timestamp: 0, units: METRIC, form: {}, results }, 'kJ');
+        assert.equal(record.energy_unit, 'kJ');
+        assert.equal(record.bmr, Math.round(1780 * 4.184));
+        assert.equal(record.maintenance_kj, Math.round(results.tdee * 4.184));
+    });
+    
+    it('parses quoted fields and semicolon-separated files', () => {
+        assert.deepEqual(CSV.parse('a;b\r\n"1;2";"say ""hi"""\r\n'), [['a', 'b'], ['1;2', 'say "hi"']]);
+    });
+});
+
+describe('Sync', () => {
+    it('names changes by syncId, not by local key', () => {
+        const record = { id: 1, timestamp: 10, syncId: 'a' };
+        const other = { id: 1, timestamp: 10, syncId: 'b' };
+        assert.equal(Sync.change('history', record).id, Sync.changeId('history', 'a'));
+        assert.notEqual(Sync.change('history', record).id, Sync.change('history', other).id);
+        assert.notEqual(Sync.changeId('history', 'a'), Sync.changeId('dailyLog', 'a'));
+    });
+    
+    it('describes puts and deletions with the local key', () => {
+        const record = { id: 1, timestamp: 10, syncId: 'a' };
+        assert.deepEqual(Sync.change('history', record), { id: 'history:a', store: 'history', key: 1, op: 'put', record, updatedAt: 10 });
+        assert.deepEqual(Sync.change('history', record, { deleted: true, updatedAt: 20 }), { id: 'history:a', store: 'history', key: 1, op: 'delete', record: null, updatedAt: 20 });
+        assert.deepEqual(Sync.change('dailyLog', { profileId: 2, date: '2026-10-01', syncId: 'c', updatedAt: 5 }).key, [2, '2026-10-01']);
+    });
+    
+    it('lets the later change win and a tie go to the incoming one', () => {
+        assert.ok(Sync.wins({ updatedAt: 2 }, undefined));
+        assert.ok(Sync.wins({ updatedAt: 2 }, { updatedAt: 1 }));
+        assert.ok(Sync.wins({ updatedAt: 2 }, { updatedAt: 2 }));
+        assert.ok(!Sync.wins({ updatedAt: 1 }, { updatedAt: 2 }));
+    });
+});
+
+describe('AdaptiveTDEE', () => {
+    // Eating 2000 kcal a day while burning 2500, with day-to-day swings
+    const DEFICIT = 500 / AdaptiveTDEE.KCAL_PER_KG;
+    const series = (count, start) => dates(count, start).map((date, i) => ({
+        date,
+        calories: 2000,
+        weight: 80 - i * DEFICIT + (i % 3 - 1) * 0.3
+    }));
+    
+    it('recovers expenditure from intake and the weight trend', () => {
+        const estimate = AdaptiveTDEE.estimate(series(28));
+        assert.ok(Math.abs(estimate.tdee - 2500) < 25, `estimated ${estimate.tdee}`);
+        assert.ok(Math.abs(estimate.weeklyChange + 7 * DEFICIT) < 0.01);
+        assert.equal(estimate.confidence, 'high');
+        assert.ok(AdaptiveTDEE.isUsable(estimate));
+    });
+    
+    it('reports intake as expenditure when the weight holds', () => {
+        const steady = dates(21).map(date => ({ date, calories: 2200, weight: 70 }));
+        assert.equal(AdaptiveTDEE.estimate(steady).tdee, 2200);
+    });
+    
+    it('is less confident with less data', () => {
+        assert.equal(AdaptiveTDEE.estimate(series(14)).confidence, 'medium');
+        assert.equal(AdaptiveTDEE.estimate(series(8)).confidence, 'low');
+        assert.equal(AdaptiveTDEE.estimate(series(5)).tdee, null);
+        assert.equal(AdaptiveTDEE.estimate([]).confidence, 'none');
+    });
+    
+    it('only looks at the last four weeks', () => {
+        const old = dates(30, '2026-07-01').map(date => ({ date, calories: 4000, weight: 90 }));
+        assert.ok(Math.abs(AdaptiveTDEE.estimate([...old, ...series(28)]).tdee - 2500) < 25);
+    });
+});
+
+describe('LaunchUrl', () => {
+    const record = { age: '32', gender: 'male', height_cm: '180', weight_kg: '82', activity_level: '1.55' };
+    
+    it('decodes what it encodes', () => {
+        const url = LaunchUrl.encode({ ...record, note: 'left out', timestamp: 1 }, { calculate: true });
+        assert.equal(url, 'web+calorie:age=32&gender=male&height_cm=180&weight_kg=82&activity_level=1.55&calculate=1');
+        assert.deepEqual(LaunchUrl.decode(url), { record, calculate: true });
+        assert.deepEqual(LaunchUrl.decode(LaunchUrl.encode(record)), { record, calculate: false });
+    });
+    
+    it('ignores unknown parameters', () => {
+        assert.deepEqual(LaunchUrl.decode('web+calorie:age=30&evil=1').record, { age: '30' });
+    });
+    
+    it('reads the protocol handler, share target and shortcut parameters', () => {
+        const handled = LaunchUrl.parse({ search: `?data=${encodeURIComponent(LaunchUrl.encode(record))}`, hash: '' });
+        assert.deepEqual(handled.record, record);
+        
+        const link = LaunchUrl.encode(record, { calculate: true });
+        const shared = LaunchUrl.parse({ search: `?text=${encodeURIComponent(`Mine: ${link}`)}`, hash: '' });
+        assert.deepEqual(shared.record, record);
+        assert.equal(shared.calculate, true);
+        
+        const text = LaunchUrl.parse({ search: '?text=32+male+180cm+82kg+moderately+active', hash: '' });
+        assert.deepEqual(text.record, record);
+        assert.equal(text.calculate, false);
+        
+        assert.deepEqual(LaunchUrl.parse({ search: '?reset=true', hash: '#calculator' }), {
+            reset: true,
+            focusCalculator: true,
+            record: null,
+            calculate: false
+        });
+    });
+});
+
+
+describe('DataFormat.fromText', () => {
+    it('reads inputs out of a shared sentence', () => {
+        assert.deepEqual(DataFormat.fromText('32 male 180cm 82kg moderately active'), {
+            age: '32',
+            gender: 'male',
+            height_cm: '180',
+            weight_kg: '82',
+            activity_level: '1.55'
+        });
+    });
+    
+    it('does not read the m of "I\'m" as male', () => {
+        assert.deepEqual(DataFormat.fromText('I\'m a 45 year old woman, 5\'6", 150 lbs, sedentary'), {
+            age: '45',
+            gender: 'female',
+            height_ft: '5',
+            height_in: '6',
+            weight_lb: '150',
+            activity_level: '1.2'
+        });
+    });
+    
+    it('keeps the first gender word', () => {
+        assert.equal(DataFormat.fromText('man, 40, my wife is a woman').gender, 'male');
+        assert.equal(DataFormat.fromText('f 28 165cm 60kg').gender, 'female');
+    });
+});
+
+describe('GoalPlanner', () => {
+    it('starts from the maintenance figure the calculator shows', () => {
+        [
+            { age: '30', gender: 'female', height: '165', weight: '65', activityLevel: '1.375', lifeStage: 'pregnant-2' },
+            { age: '30', gender: 'female', height: '165', weight: '65', activityLevel: '1.375', lifeStage: 'lactating-early' },
+            { age: '14', gender: 'male', height: '165', weight: '55', activityLevel: '1.55' }
+        ].forEach(form => {
+            const results = Calculator.calculate(form, { units: METRIC });
+            const profile = GoalPlanner.profileFrom(results);
+            assert.equal(Math.round(GoalPlanner.tdeeAt(profile, profile.weight)), results.tdee);
+        });
+    });
+    
+    it('refuses plans the guardrails rule out', () => {
+        [
+            [{ age: '30', gender: 'female', height: '165', weight: '65', activityLevel: '1.375', lifeStage: 'pregnant-2' }, 'pregnancy'],
+            [{ age: '14', gender: 'male', height: '165', weight: '55', activityLevel: '1.55' }, 'child'],
+            [{ age: '30', gender: 'female', height: '170', weight: '50', activityLevel: '1.375' }, 'underweight']
+        ].forEach(([form, code]) => {
+            const results = Calculator.calculate(form, { units: METRIC });
+            const profile = GoalPlanner.profileFrom(results);
+            assert.equal(results.guardrails.blocker.code, code);
+            assert.equal(GoalPlanner.plan(profile, { weeklyPace: -0.5, today: '2026-10-19' }).blocked.code, code);
+            assert.equal(GoalPlanner.plan(profile, { targetWeight: profile.weight - 5, today: '2026-10-19' }).blocked.code, code);
+            // Children are kept from gaining too
+            assert.deepEqual(GoalPlanner.plan(profile, { weeklyPace: 0.25, today: '2026-10-19' }).blocked, results.guardrails.gainBlocker ?? undefined);
+        });
+    });
+    
+    it('plans from the first week\'s maintenance', () => {
+        const results = Calculator.calculate({ age: '30', gender: 'female', height: '165', weight: '65', activityLevel: '1.375', lifeStage: 'lactating-early' }, { units: METRIC });
+        const plan = GoalPlanner.plan(GoalPlanner.profileFrom(results), { weeklyPace: 0.25, today: '2026-10-19' });
+        assert.equal(Math.round(plan.weeks[0].tdee), results.tdee);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the mock sync server, driven the way two devices would drive
+ * it. Run with: npm test
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { Sync } from '../core.mjs';
+
+const SERVER = fileURLToPath(new URL('../sync-server.mjs', import.meta.url));
+const TOKEN = 'secret';
+
+let server;
+let endpoint;
+
+const post = async (device, changes) => {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ device, changes })
+    });
+    return (await response.json()).results;
+};
+
+const stored = async () => {
+    const response = await fetch(endpoint, { headers: { Authorization: `Bearer ${TOKEN}` } });
+    return (await response.json()).records;
+};
+
+// A calculation as a device saves it, numbered by that device's database
+const calculation = (id, profileId, weight, updatedAt) => ({
+    id,
+    profileId,
+    timestamp: updatedAt,
+    form: { weight },
+    syncId: Sync.recordId(),
+    updatedAt
+});
+
+before(async () => {
+    server = spawn(process.execPath, [SERVER, '--port', '0', '--token', TOKEN]);
+    const [line] = await once(server.stdout, 'data');
+    endpoint = String(line).match(/http:\S+/)[0];
+});
+
+after(() => {
+    server.kill();
+});
+
+describe('sync between two devices', () => {
+    it('keeps records that share a local id apart', async () => {
+        const fromA = calculation(1, 1, 80, 1000);
+        const fromB = calculation(1, 1, 62, 2000);
+        
+        assert.deepEqual(await post('device-a', [Sync.change('history', fromA)]), [
+            { id: Sync.changeId('history', fromA.syncId), status: 'ok' }
+        ]);
+        assert.deepEqual(await post('device-b', [Sync.change('history', fromB)]), [
+            { id: Sync.changeId('history', fromB.syncId), status: 'ok' }
+        ]);
+        
+        const records = await stored();
+        assert.equal(records[Sync.changeId('history', fromA.syncId)].record.form.weight, 80);
+        assert.equal(records[Sync.changeId('history', fromB.syncId)].record.form.weight, 62);
+    });
+    
+    it('keeps the later edit of the same record', async () => {
+        const entry = { profileId: 2, date: '2026-10-10', weight: 80, syncId: Sync.recordId(), updatedAt: 1000 };
+        await post('device-a', [Sync.change('dailyLog', { ...entry, weight: 79, updatedAt: 3000 })]);
+        
+        const [result] = await post('device-b', [Sync.change('dailyLog', { ...entry, weight: 81, updatedAt: 2000 })]);
+        assert.equal(result.status, 'conflict');
+        assert.equal(result.change.record.weight, 79);
+        
+        const deletion = Sync.change('dailyLog', entry, { deleted: true, updatedAt: 4000 });
+        assert.equal(deletion.op, 'delete');
+        assert.deepEqual(deletion.key, [2, '2026-10-10']);
+        assert.equal((await post('device-b', [deletion]))[0].status, 'ok');
+        assert.equal((await stored())[deletion.id].op, 'delete');
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for the tdee command-line tool, run as a user would run it.
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../tdee.mjs', import.meta.url));
+const PERSON = ['--age', '30', '--sex', 'male', '--height', '180cm', '--weight', '80kg', '--activity', 'moderate'];
+
+const tdee = (args, input = '') => {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+    return { status, stdout, stderr };
+};
+
+const json = (args) => {
+    const { status, stdout, stderr } = tdee([...args, '--json']);
+    assert.equal(status, 0, stderr);
+    return JSON.parse(stdout);
+};
+
+describe('tdee arguments', () => {
+    it('reads heights in any of the documented notations', () => {
+        const feet = json(['--age', '30', '--sex', 'male', '--height', '5\'11"', '--weight', '80kg', '--activity', 'light']);
+        const inches = json(['--age', '30', '--sex', 'male', '--height', '71in', '--weight', '80kg', '--activity', 'light']);
+        const both = json(['--age', '30', '--sex', 'male', '--height', '5ft11in', '--weight', '80kg', '--activity', 'light']);
+        assert.ok(Math.abs(feet.inputs.height - 180.34) < 1e-9);
+        assert.deepEqual(inches.inputs, feet.inputs);
+        assert.deepEqual(both.inputs, feet.inputs);
+    });
+    
+    it('reads weights in kg, pounds and stones', () => {
+        const weight = (text) => json(['--age', '30', '--sex', 'male', '--height', '180cm', '--weight', text, '--activity', 'light']).inputs.weight;
+        assert.equal(weight('80kg'), 80);
+        assert.ok(Math.abs(weight('176lb') - 79.83) < 0.01);
+        assert.ok(Math.abs(weight('12st8lb') - weight('176lb')) < 1e-9);
+    });
+    
+    it('accepts activity names and multipliers', () => {
+        assert.equal(json([...PERSON]).inputs.activityLevel, '1.55');
+        assert.equal(json([...PERSON.slice(0, -1), '1.55']).tdee, json(PERSON).tdee);
+    });
+    
+    it('exits with 2 on command line mistakes', () => {
+        const unit = tdee([...PERSON, '--energy', 'MJ']);
+        assert.equal(unit.status, 2);
+        assert.match(unit.stderr, /Unknown energy unit "MJ"/);
+        assert.equal(tdee([...PERSON, '--height', 'tall']).status, 2);
+        assert.equal(tdee([...PERSON, '--wings', '2']).status, 2);
+        assert.equal(tdee([...PERSON, 'extra']).status, 2);
+    });
+    
+    it('exits with 1 when the inputs are invalid', () => {
+        const { status, stderr } = tdee(['--sex', 'male', '--height', '180cm', '--weight', '80kg', '--activity', 'moderate']);
+        assert.equal(status, 1);
+        assert.match(stderr, /Age is required/);
+    });
+});
+
+describe('tdee output', () => {
+    it('prints a table in kcal by default', () => {
+        const { status, stdout } = tdee(PERSON);
+        assert.equal(status, 0);
+        assert.match(stdout, /^BMR +1,780 kcal\/day$/m);
+        assert.match(stdout, /^TDEE +2,759 kcal\/day$/m);
+    });
+    
+    it('reports JSON in the chosen energy unit', () => {
+        const kcal = json(PERSON);
+        const kJ = json([...PERSON, '--energy', 'kJ']);
+        assert.equal(kcal.energyUnit, 'kcal');
+        assert.equal(kJ.energyUnit, 'kJ');
+        assert.ok(Math.abs(kJ.bmr - 1780 * 4.184) < 1e-9);
+        assert.ok(Math.abs(kJ.goals.loss.mild - kcal.goals.loss.mild * 4.184) < 1);
+        assert.deepEqual(kJ.inputs, kcal.inputs);
+    });
+    
+    it('prints notices and hides weight-change goals for children', () => {
+        const { status, stdout } = tdee(['--age', '4', '--sex', 'male', '--height', '102cm', '--weight', '16kg', '--activity', 'moderate']);
+        assert.equal(status, 0);
+        assert.match(stdout, /^Mild weight gain +hidden$/m);
+        assert.match(stdout, /^Note +Weight-change targets are not shown for children/m);
+        assert.match(stdout, /^Notice +Mifflin-St Jeor is for adults/m);
+    });
+    
+    it('calculates every row of a CSV batch', () => {
+        const csv = 'age,gender,height_cm,weight_kg,activity_level\n30,male,180,80,1.55\n,male,180,80,1.55\n';
+        const { status, stdout } = tdee(['--csv', '-'], csv);
+        assert.equal(status, 1);
+        const [header, first, second] = stdout.trim().split('\n');
+        assert.match(header, /bmr_kcal +tdee_kcal +status/);
+        assert.match(first, /^ +2 +30 +male .* 1780 +2759 +ok$/);
+        assert.match(second, /^ +3 .*Age is required/);
+        
+        const rows = JSON.parse(tdee(['--csv', '-', '--json', '--energy', 'kJ'], csv).stdout);
+        assert.deepEqual(rows.map(row => row.row), [2, 3]);
+        assert.equal(rows[0].results.energyUnit, 'kJ');
+        assert.equal(rows[1].results, null);
+    });
+});